@@ -3,6 +3,34 @@
 
 'use strict';
 
+importScripts('lib/settings.js', 'lib/errors.js', 'lib/cache.js', 'lib/scheduler.js', 'lib/names.js', 'lib/parser.js', 'lib/diagnostics.js', 'lib/watchlist.js');
+
+// Publications listed per profile page request (Scholar's maximum)
+const PROFILE_PAGE_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// One request queue shared by every tab
+const scheduler = SDScheduler.createScheduler({ onStateChange: broadcastSchedulerState });
+
+// User settings; requests wait for them so the preferred domain is used
+let settings = SDSettings.DEFAULT_SETTINGS;
+const settingsReady = SDSettings.load().then(applySettings);
+SDSettings.onChange(applySettings);
+
+/**
+ * Apply settings to the request queue and the cache
+ * @param {Object} newSettings - Complete settings
+ */
+function applySettings(newSettings) {
+  settings = newSettings;
+  scheduler.configure({ spacingMs: settings.requestSpacingMs });
+  SDCache.setTtl('search', settings.searchCacheHours * HOUR_MS);
+  SDCache.setTtl('profile', settings.profileCacheHours * HOUR_MS);
+  SDCache.setTtl('metrics', settings.profileCacheHours * HOUR_MS);
+  scheduleWatchlist();
+}
+
 /**
  * Construct the Google Scholar author search URL
  * @param {string} authorName - The author name to search for
@@ -10,118 +38,141 @@
  * @returns {string} The search URL
  */
 function buildSearchUrl(authorName, afterToken = null) {
-  let url = `https://scholar.google.com/citations?view_op=search_authors&mauthors=${encodeURIComponent(authorName)}`;
-  if (afterToken) {
-    // Check token format and add appropriate parameter
-    if (afterToken.startsWith('cstart:')) {
-      url += `&cstart=${afterToken.substring(7)}`;
-    } else if (/^\d+$/.test(afterToken)) {
-      url += `&start=${afterToken}`;
-    } else {
-      url += `&after_author=${afterToken}`;
-    }
+  return SDParser.buildSearchUrl(SDSettings.scholarBaseUrl(settings), authorName, afterToken);
+}
+
+/**
+ * Construct the URL of an author's profile page
+ * @param {string} userId - The Scholar user ID
+ * @param {number} cstart - Index of the first publication to list
+ * @param {string} [sortBy] - Publication order, e.g. 'pubdate'
+ * @returns {string} The profile URL
+ */
+function buildProfileUrl(userId, cstart = 0, sortBy = null) {
+  let url = `${SDSettings.scholarBaseUrl(settings)}/citations?user=${encodeURIComponent(userId)}&pagesize=${PROFILE_PAGE_SIZE}`;
+  if (cstart > 0) {
+    url += `&cstart=${cstart}`;
+  }
+  if (sortBy) {
+    url += `&sortby=${encodeURIComponent(sortBy)}`;
   }
   return url;
 }
 
 /**
- * Extract the "after_author" token for next page from HTML
- * @param {string} html - The HTML string
- * @returns {string|null} The after_author token or null if no more pages
+ * Tell every open Scholar tab about the scheduler state (e.g. a cooldown)
+ * @param {Object} state - Scheduler state from getState()
  */
-function extractNextPageToken(html) {
-  // Decode HTML entities first (Google Scholar often encodes & as &amp;)
-  const decodedHtml = html.replace(/&amp;/g, '&');
-
-  // Pattern 1: Look for after_author in any link/button (use decoded HTML)
-  let match = decodedHtml.match(/after_author=([^&"'\s><]+)/g);
-  if (match && match.length > 0) {
-    // Get the last occurrence (usually the "Next" button)
-    const lastMatch = match[match.length - 1];
-    const tokenMatch = lastMatch.match(/after_author=([^&"'\s><]+)/);
-    if (tokenMatch) {
-      console.log('[Scholar Disambiguator] Found after_author token:', tokenMatch[1]);
-      return tokenMatch[1];
+function broadcastSchedulerState(state) {
+  chrome.tabs.query({ url: chrome.runtime.getManifest().host_permissions }, tabs => {
+    for (const tab of tabs) {
+      // Tabs without the content script have no listener
+      chrome.tabs.sendMessage(tab.id, { action: 'schedulerState', state }).catch(() => {});
     }
-  }
+  });
+}
 
-  // Pattern 2: Look for cstart parameter (citation start)
-  match = decodedHtml.match(/cstart=(\d+)/);
-  if (match) {
-    console.log('[Scholar Disambiguator] Found cstart token:', match[1]);
-    return 'cstart:' + match[1];
-  }
+/**
+ * Fetch a Google Scholar page through the shared request queue.
+ * Identical requests from several tabs are made only once.
+ * @param {string} url - The page URL
+ * @param {string} pageKind - 'search' or 'profile', used to detect layout changes
+ * @returns {Promise<Object>} Result object with HTML or error
+ */
+function fetchScholarPage(url, pageKind) {
+  return scheduler.enqueue(url, () => requestScholarPage(url, pageKind), { pageKind });
+}
 
-  // Pattern 3: Look for start parameter with value > 0
-  match = decodedHtml.match(/[?&]start=(\d+)/g);
-  if (match && match.length > 0) {
-    const lastMatch = match[match.length - 1];
-    const numMatch = lastMatch.match(/start=(\d+)/);
-    if (numMatch && parseInt(numMatch[1]) > 0) {
-      console.log('[Scholar Disambiguator] Found start token:', numMatch[1]);
-      return numMatch[1];
-    }
+/**
+ * Fetch a Google Scholar page immediately and classify failures
+ * (see src/lib/errors.js)
+ * @param {string} url - The page URL
+ * @param {string} [pageKind] - 'search' or 'profile'
+ * @returns {Promise<Object>} Result object with HTML or error
+ */
+async function requestScholarPage(url, pageKind) {
+  console.log('[Scholar Disambiguator] URL:', url);
+
+  let response;
+  let html;
+  try {
+    response = await fetch(url, {
+      method: 'GET',
+      credentials: 'include'
+    });
+    html = await response.text();
+  } catch (e) {
+    console.error('[Scholar Disambiguator] Fetch error:', e);
+    return SDErrors.classifyException(e, navigator.onLine);
   }
 
-  // Pattern 4: Look for Next button onclick with JavaScript
-  match = decodedHtml.match(/gs_btnPR[^>]*onclick="[^"]*after_author=([^&"']+)/);
-  if (match) {
-    console.log('[Scholar Disambiguator] Found onclick token:', match[1]);
-    return match[1];
-  }
-
-  // Pattern 5: Look for next page link in navigation buttons (href or onclick)
-  // Google Scholar uses buttons with navigation like: onclick="window.location='...&after_author=TOKEN...'"
-  const nextBtnMatch = decodedHtml.match(/gs_btnPR[^>]*(?:href|onclick)=[^>]*(?:after_author|start)=([^&"'\\]+)/);
-  if (nextBtnMatch) {
-    console.log('[Scholar Disambiguator] Found next button token:', nextBtnMatch[1]);
-    return nextBtnMatch[1];
-  }
-
-  // Pattern 6: Look for any navigation link containing after_author near "Next" or navigation buttons
-  const navMatch = decodedHtml.match(/(?:gs_btnPR|Next|下一页)[^<]*<[^>]+(?:href|onclick)=[^>]*after_author=([^&"'\\]+)/i);
-  if (navMatch) {
-    console.log('[Scholar Disambiguator] Found nav link token:', navMatch[1]);
-    return navMatch[1];
-  }
-
-  // Check if there's a "Next" button at all (for debugging)
-  const hasNextButton = html.includes('gs_btnPR') ||
-                        html.includes('>Next<') ||
-                        html.includes('aria-label="Next"') ||
-                        html.includes('下一页');
-  console.log('[Scholar Disambiguator] Has next button:', hasNextButton);
-
-  // If there's a next button but we couldn't extract token, log for debugging
-  if (hasNextButton) {
-    // Look for gs_btnPR and log surrounding context
-    const btnIndex = html.indexOf('gs_btnPR');
-    if (btnIndex > -1) {
-      // Get 500 chars before and after for more context
-      const startIdx = Math.max(0, btnIndex - 100);
-      const endIdx = Math.min(html.length, btnIndex + 400);
-      console.log('[Scholar Disambiguator] Next button context:', html.substring(startIdx, endIdx));
-    }
+  const error = SDErrors.classifyResponse({
+    status: response.status,
+    ok: response.ok,
+    url: response.url,
+    html
+  }, pageKind);
 
-    // Also check for any href with after_author anywhere in the document
-    const anyAfterAuthor = html.match(/after_author[^"'<>]{0,100}/);
-    if (anyAfterAuthor) {
-      console.log('[Scholar Disambiguator] Found after_author pattern:', anyAfterAuthor[0]);
+  if (error) {
+    console.warn('[Scholar Disambiguator] Request failed:', error.error, url);
+    if (error.error === SDErrors.ERROR_TYPES.LAYOUT_CHANGED) {
+      SDDiagnostics.record([{ pageKind, field: 'page', kind: 'missing', selectorSet: null }], url);
     }
+    return { ...error, url };
   }
 
-  return null;
+  return { success: true, html, url };
 }
 
+// ==================== CAPTCHA RECOVERY ====================
+
+// Tab where the user is solving a Scholar challenge
+let challengeTabId = null;
+
 /**
- * Check if the page has any author results
- * @param {string} html - The HTML string
- * @returns {boolean} True if results exist
+ * Open the page that triggered the CAPTCHA so the user can solve it there
+ * @param {Object} sender - Message sender, to place the tab next to it
  */
-function hasResults(html) {
-  return html.includes('gsc_1usr');
+async function openChallenge(sender) {
+  const state = scheduler.getState();
+  const url = state.pausedKey || SDSettings.scholarBaseUrl(settings);
+  const tab = await openTab(url, sender);
+  challengeTabId = tab.id;
 }
 
+/**
+ * Check whether the challenge was solved by requesting the paused page
+ * directly, and resume the queue only if the page loads. Any other failure
+ * (still a CAPTCHA, a rate limit, no connection) keeps the queue paused.
+ * @returns {Promise<boolean>} Whether the queue resumed
+ */
+async function probeChallenge() {
+  const state = scheduler.getState();
+  if (state.status !== 'paused') return true;
+
+  const pageKind = state.pausedInfo ? state.pausedInfo.pageKind : undefined;
+  const result = await requestScholarPage(state.pausedKey, pageKind);
+  if (!result.success) {
+    console.log('[Scholar Disambiguator] Challenge not solved yet:', result.error);
+    return false;
+  }
+  scheduler.resume();
+  return true;
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (tabId === challengeTabId && changeInfo.status === 'complete') {
+    probeChallenge();
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  if (tabId === challengeTabId) {
+    challengeTabId = null;
+    probeChallenge();
+  }
+});
+
 /**
  * Fetch author search results from Google Scholar (single page)
  * @param {string} authorName - The author name to search for
@@ -129,77 +180,461 @@ function hasResults(html) {
  * @returns {Promise<Object>} Result object with HTML, next token, or error
  */
 async function fetchAuthorSearch(authorName, afterToken = null) {
-  const url = buildSearchUrl(authorName, afterToken);
-
+  await settingsReady;
   console.log('[Scholar Disambiguator] Searching for:', authorName);
-  console.log('[Scholar Disambiguator] URL:', url);
 
+  const result = await fetchScholarPage(buildSearchUrl(authorName, afterToken), 'search');
+  if (!result.success) {
+    return result;
+  }
+
+  let nextToken = null;
+  if (SDParser.hasResults(result.html)) {
+    const next = SDParser.extractNextPageToken(result.html);
+    nextToken = next.token;
+    SDDiagnostics.record(next.issues, result.url);
+  }
+
+  console.log('[Scholar Disambiguator] Fetch successful, nextToken:', nextToken ? 'yes' : 'no');
+
+  return {
+    success: true,
+    html: result.html,
+    nextToken
+  };
+}
+
+/**
+ * Search several spellings of a name and merge the first result page of each,
+ * de-duplicated by user ID. Pagination continues from the primary name only.
+ * @param {string} authorName - The primary author name
+ * @param {string[]} variants - Additional spellings to search
+ * @returns {Promise<Object>} Result object with merged HTML, next token of the
+ *   primary search, the variant that found each extra profile, or error
+ */
+async function fetchAuthorVariantSearch(authorName, variants) {
+  const primary = await fetchAuthorSearch(authorName);
+  if (!primary.success) {
+    return primary;
+  }
+
+  const seenUserIds = new Set();
+  const cards = [];
+  const variantMatches = {};
+  const addCards = (html, variant) => {
+    for (const card of SDParser.splitResultCards(html)) {
+      if (card.userId && seenUserIds.has(card.userId)) continue;
+      if (card.userId) seenUserIds.add(card.userId);
+      cards.push(card.html);
+      if (variant && card.userId) variantMatches[card.userId] = variant;
+    }
+  };
+  addCards(primary.html, null);
+
+  let warning = null;
+  for (const variant of variants) {
+    if (variant.toLowerCase() === authorName.toLowerCase()) continue;
+
+    const result = await fetchAuthorSearch(variant);
+    if (!result.success) {
+      // Keep what was found so far rather than pushing further into a rate limit
+      warning = `Some name variants were not searched: ${result.message}`;
+      break;
+    }
+    addCards(result.html, variant);
+  }
+
+  console.log('[Scholar Disambiguator] Merged', cards.length, 'profiles from', variants.length, 'name variants');
+
+  return {
+    success: true,
+    html: `<div id="gsc_sa_ccl">${cards.join('')}</div>`,
+    nextToken: primary.nextToken,
+    variantMatches,
+    warning
+  };
+}
+
+/**
+ * Fetch one page of an author's profile (up to PROFILE_PAGE_SIZE publications)
+ * @param {string} userId - The Scholar user ID
+ * @param {number} cstart - Index of the first publication to fetch
+ * @param {string} [sortBy] - Publication order; Scholar's default is by
+ *   citations, 'pubdate' lists the newest first
+ * @returns {Promise<Object>} Result object with HTML, next cstart, or error
+ */
+async function fetchProfilePage(userId, cstart = 0, sortBy = null) {
+  await settingsReady;
+  console.log('[Scholar Disambiguator] Fetching profile:', userId, 'cstart:', cstart);
+
+  const result = await fetchScholarPage(buildProfileUrl(userId, cstart, sortBy), 'profile');
+  if (!result.success) {
+    return result;
+  }
+
+  // A full page means there may be more publications after it
+  const rowCount = (result.html.match(/class="gsc_a_tr"/g) || []).length;
+  const nextCstart = rowCount >= PROFILE_PAGE_SIZE ? cstart + rowCount : null;
+
+  return {
+    success: true,
+    html: result.html,
+    nextCstart
+  };
+}
+
+/**
+ * Show how many same-name profiles a tab found on the toolbar icon.
+ * Chrome clears per-tab badges when the tab navigates.
+ * @param {number} tabId - The tab that searched
+ * @param {number} count - Profiles found so far
+ * @param {boolean} hasMore - Whether Scholar has more result pages
+ */
+function updateBadge(tabId, count, hasMore) {
+  let text = '';
+  if (count > 0) {
+    text = count > 99 ? '99+' : `${count}${hasMore ? '+' : ''}`;
+  }
+  chrome.action.setBadgeText({ tabId, text });
+  chrome.action.setBadgeBackgroundColor({ tabId, color: '#1a73e8' });
+  chrome.action.setTitle({
+    tabId,
+    title: count > 0
+      ? `Scholar Disambiguator: ${count}${hasMore ? '+' : ''} other profiles with this name`
+      : 'Scholar Disambiguator'
+  });
+}
+
+/**
+ * Open a URL in a new tab next to the tab that asked for it
+ * @param {string} url - Absolute URL
+ * @param {Object} sender - Message sender
+ * @returns {Promise<Object>} The created tab
+ */
+function openTab(url, sender) {
+  return chrome.tabs.create({
+    url,
+    index: sender.tab ? sender.tab.index + 1 : undefined,
+    openerTabId: sender.tab ? sender.tab.id : undefined
+  });
+}
+
+/**
+ * Open an extension page in a new tab next to the tab that asked for it
+ * @param {string} path - Page path with query string, relative to the extension root
+ * @param {Object} sender - Message sender
+ * @returns {Promise<Object>} The created tab
+ */
+function openExtensionPage(path, sender) {
+  return openTab(chrome.runtime.getURL(path), sender);
+}
+
+// ==================== NAME LOOKUP ====================
+
+const LOOKUP_MENU = 'sd-lookup';
+const LOOKUP_KEY = 'sd_lookup'; // Read by the toolbar popup (src/pages/popup.js)
+const LOOKUP_MAX_LENGTH = 100; // Longer selections are not a name
+
+/**
+ * Turn selected text into a name to search
+ * @param {string} text - Selection, possibly spanning lines
+ * @returns {string} Name, or '' if the selection cannot be one
+ */
+function cleanSelectedName(text) {
+  const name = SDNames.cleanListedName(text);
+  return name.length <= LOOKUP_MAX_LENGTH ? name : '';
+}
+
+/**
+ * Show the lookup of a name in the toolbar popup, or in a tab when the
+ * browser cannot open the popup from here
+ * @param {string} name - Name to look up
+ * @param {Object} [tab] - Tab the name was selected in
+ */
+async function openLookup(name, tab) {
+  await chrome.storage.local.set({ [LOOKUP_KEY]: { name, pending: true } });
   try {
-    const response = await fetch(url, {
-      method: 'GET',
-      credentials: 'include'
+    await chrome.action.openPopup();
+  } catch (e) {
+    openExtensionPage(`src/pages/popup.html?name=${encodeURIComponent(name)}`, { tab });
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: LOOKUP_MENU,
+    title: 'Find Scholar profiles named "%s"',
+    contexts: ['selection']
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== LOOKUP_MENU) return;
+  const name = cleanSelectedName(info.selectionText);
+  if (name) {
+    openLookup(name, tab);
+  }
+});
+
+// ==================== WATCHLIST ====================
+
+const WATCH_ALARM = 'sd-watchlist';
+
+// Requests one scheduled check may make, so a long watchlist cannot keep the
+// shared queue busy; names checked least recently go first
+const WATCH_MAX_REQUESTS = 30;
+
+let watchRun = null; // Promise of the check in progress
+
+/**
+ * Create or update the periodic alarm from the settings
+ */
+async function scheduleWatchlist() {
+  const periodInMinutes = settings.watchIntervalHours * 60;
+  const alarm = await chrome.alarms.get(WATCH_ALARM);
+  if (!alarm || alarm.periodInMinutes !== periodInMinutes) {
+    await chrome.alarms.create(WATCH_ALARM, { periodInMinutes });
+  }
+}
+
+/**
+ * Check the watchlist, joining a check already in progress
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyNew] - Only take the first snapshot of names never checked
+ * @returns {Promise<Object>} { checked, added, skipped }
+ */
+function checkWatchlist(options = {}) {
+  if (!watchRun) {
+    watchRun = runWatchlistCheck(options).finally(() => {
+      watchRun = null;
     });
+  }
+  return watchRun;
+}
+
+/**
+ * Search each watched name through the shared queue, up to the "Load all"
+ * page limit, and notify about user IDs missing from the last snapshot
+ */
+async function runWatchlistCheck({ onlyNew = false } = {}) {
+  await settingsReady;
+
+  // Never add to a queue that is already in trouble
+  const state = scheduler.getState();
+  if (state.status === 'paused' || state.status === 'cooldown') {
+    console.log('[Scholar Disambiguator] Watchlist check skipped, queue is', state.status);
+    return { checked: 0, added: 0, skipped: true };
+  }
 
-    if (!response.ok) {
-      if (response.status === 429) {
-        return {
-          success: false,
-          error: 'rate_limited',
-          message: 'Google Scholar is limiting requests. Please try again in a few minutes.'
-        };
+  const entries = Object.values(await SDWatchlist.loadAll())
+    .filter(entry => !onlyNew || entry.knownUserIds === null)
+    .sort((a, b) => (a.lastChecked || 0) - (b.lastChecked || 0));
+
+  let budget = WATCH_MAX_REQUESTS;
+  let checked = 0;
+  let addedTotal = 0;
+  for (const entry of entries) {
+    if (budget <= 0) break;
+
+    const profiles = [];
+    let token = null;
+    let pages = 0;
+    let error = null;
+    while (pages < settings.loadAllMaxPages && budget > 0) {
+      budget--;
+      pages++;
+      const result = await fetchAuthorSearch(entry.name, token);
+      if (!result.success) {
+        error = result;
+        break;
+      }
+      for (const card of SDParser.splitResultCards(result.html)) {
+        if (card.userId && card.userId !== entry.userId) {
+          profiles.push({ userId: card.userId, ...SDParser.summarizeCard(card.html) });
+        }
       }
-      return {
-        success: false,
-        error: 'network_error',
-        message: `HTTP error: ${response.status}`
-      };
+      token = result.nextToken;
+      if (!token) break;
     }
 
-    const html = await response.text();
-
-    // Check for CAPTCHA page
-    if (html.includes('Please show you') || html.includes('unusual traffic')) {
-      return {
-        success: false,
-        error: 'captcha',
-        message: 'Google Scholar is requesting CAPTCHA verification. Please visit Google Scholar directly and complete the verification.'
-      };
+    // A partial first snapshot would report the rest as new next time; later
+    // checks can use partial results, since missing profiles never count as removed
+    const complete = !error && (!token || pages >= settings.loadAllMaxPages);
+    let added = [];
+    if (complete || (entry.knownUserIds && profiles.length > 0)) {
+      const diff = SDWatchlist.diffSnapshot(entry, profiles);
+      added = diff.added;
+      await SDWatchlist.update(entry.id, { ...diff.changes, lastError: error ? error.message : null });
+      checked++;
+    } else if (error) {
+      await SDWatchlist.update(entry.id, { lastError: error.message });
+    }
+    if (added.length > 0) {
+      addedTotal += added.length;
+      notifyNewProfiles(entry, added);
     }
 
-    // Extract next page token
-    const nextToken = hasResults(html) ? extractNextPageToken(html) : null;
+    // Everything else would hit the same wall
+    if (error && (error.error === 'rate_limited' || error.error === 'captcha')) break;
+  }
 
-    console.log('[Scholar Disambiguator] Fetch successful, nextToken:', nextToken ? 'yes' : 'no');
+  console.log('[Scholar Disambiguator] Watchlist checked', checked, 'names,', addedTotal, 'new profiles');
+  return { checked, added: addedTotal, skipped: false };
+}
 
-    return {
-      success: true,
-      html,
-      nextToken
-    };
-  } catch (e) {
-    console.error('[Scholar Disambiguator] Fetch error:', e);
-    return {
-      success: false,
-      error: 'network_error',
-      message: 'Unable to connect. Check your internet connection.'
-    };
+/**
+ * Show a notification listing the new profiles of a watched name
+ * @param {Object} entry - Watchlist entry
+ * @param {Object[]} added - New profiles { userId, name, affiliation }
+ */
+function notifyNewProfiles(entry, added) {
+  chrome.notifications.create(`${WATCH_ALARM}:${entry.id}`, {
+    type: 'list',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `${added.length} new profile${added.length === 1 ? '' : 's'} named ${entry.name}`,
+    message: 'New on Google Scholar since the last check',
+    items: added.slice(0, 5).map(profile => ({
+      title: profile.name || profile.userId,
+      message: profile.affiliation || 'Affiliation not listed'
+    })),
+    contextMessage: added.length > 5 ? `and ${added.length - 5} more` : undefined
+  });
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === WATCH_ALARM) {
+    checkWatchlist();
+  }
+});
+
+// Open the search for the name the notification is about
+chrome.notifications.onClicked.addListener(async notificationId => {
+  if (!notificationId.startsWith(`${WATCH_ALARM}:`)) return;
+  chrome.notifications.clear(notificationId);
+
+  const all = await SDWatchlist.loadAll();
+  const entry = all[notificationId.slice(WATCH_ALARM.length + 1)];
+  if (entry) {
+    await settingsReady;
+    chrome.tabs.create({ url: buildSearchUrl(entry.name) });
   }
+});
+
+/**
+ * Send the outcome of an async handler back to the content script
+ * @param {Promise<Object>} promise - Handler result
+ * @param {Function} sendResponse - Message response callback
+ */
+function respondWith(promise, sendResponse) {
+  promise
+    .then(result => sendResponse(result))
+    .catch(error => sendResponse({
+      success: false,
+      error: 'unknown',
+      message: error.message
+    }));
 }
 
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'searchAuthors') {
-    fetchAuthorSearch(request.authorName, request.afterToken)
-      .then(result => sendResponse(result))
-      .catch(error => sendResponse({
-        success: false,
-        error: 'unknown',
-        message: error.message
-      }));
+    respondWith(fetchAuthorSearch(request.authorName, request.afterToken), sendResponse);
 
     // Return true to indicate we will send response asynchronously
     return true;
   }
+
+  if (request.action === 'searchAuthorVariants') {
+    respondWith(fetchAuthorVariantSearch(request.authorName, request.variants || []), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'fetchProfile') {
+    respondWith(fetchProfilePage(request.userId, request.cstart || 0, request.sortBy || null), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'updateBadge') {
+    if (sender.tab) {
+      updateBadge(sender.tab.id, request.count, request.hasMore);
+    }
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (request.action === 'openCompare' || request.action === 'openGraph') {
+    const page = request.action === 'openCompare' ? 'compare.html' : 'graph.html';
+    const params = new URLSearchParams({
+      users: (request.userIds || []).join(','),
+      current: request.currentUserId || '',
+      name: request.authorName || ''
+    });
+    respondWith(openExtensionPage(`src/pages/${page}?${params}`, sender).then(() => ({ success: true })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'openChallenge') {
+    respondWith(openChallenge(sender).then(() => ({ success: true })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'openSignIn') {
+    const url = SDErrors.signInUrl(request.url || SDSettings.scholarBaseUrl(settings));
+    respondWith(openTab(url, sender).then(() => ({ success: true })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'resumeQueue') {
+    respondWith(probeChallenge().then(resumed => ({ success: true, resumed })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'cancelQueue') {
+    scheduler.cancelPending(SDErrors.createError(SDErrors.ERROR_TYPES.CAPTCHA));
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (request.action === 'watchlistCheck') {
+    respondWith(checkWatchlist({ onlyNew: !!request.onlyNew }).then(result => ({ success: true, ...result })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'getSchedulerState') {
+    sendResponse({ success: true, state: scheduler.getState() });
+    return false;
+  }
+
+  if (request.action === 'cacheGet') {
+    const lookup = settingsReady.then(() => SDCache.get(request.type, request.key));
+    respondWith(lookup.then(entry => ({ success: true, entry })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'cacheSet') {
+    respondWith(SDCache.set(request.type, request.key, request.value).then(() => ({ success: true })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'cacheClear') {
+    respondWith(SDCache.clear(request.type).then(removed => ({ success: true, removed })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'cacheExport') {
+    respondWith(SDCache.entries().then(entries => ({ success: true, entries })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'cacheImport') {
+    respondWith(SDCache.importEntries(request.entries || []).then(imported => ({ success: true, imported })), sendResponse);
+    return true;
+  }
+
+  if (request.action === 'cacheStats') {
+    respondWith(SDCache.stats().then(stats => ({ success: true, stats })), sendResponse);
+    return true;
+  }
 });
 
 console.log('[Scholar Disambiguator] Background service worker initialized');
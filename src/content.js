@@ -7,21 +7,64 @@
   // Store current page info
   let currentUserId = null;
   let currentAuthorName = null;
+  let nameVariants = []; // Spellings searched alongside the primary name
+  let searchVariants = true; // Whether to include nameVariants in searches
+  let autoSearchStarted = false; // Auto-search runs at most once per page load
+  let profileContext = null; // Signals from the current profile used for scoring
   let sidebarContainer = null;
   let currentPage = 1;
-  let lastSearchTime = 0;
   let isCollapsed = false;
+  let settings = SDSettings.DEFAULT_SETTINGS; // Options page settings (chrome.storage.sync)
+  let statusContainer = null; // Status line kept above every sidebar state
+  let schedulerState = null; // Latest request queue state from the service worker
+  let cooldownTimer = null;
+  let retryAfterChallenge = false; // The search failed on a CAPTCHA; run it again once the queue resumes
+  let retryWhenOnline = false; // The search failed offline; run it again on reconnect
 
   // Results storage
-  let allAuthors = []; // All fetched authors
+  let allAuthors = []; // All fetched authors except the current profile, ranked
+  let foundAuthors = []; // All fetched authors as cached, the current profile included
+  let resultsCacheKey = null; // Cache entry of the results shown (see getCacheKey)
   let nextPageToken = null; // Token for fetching next page from Google Scholar
   let isLoadingMore = false; // Flag to prevent multiple simultaneous fetches
 
+  // Filters and sorting of the loaded results (src/lib/filters.js)
+  let filters = { ...SDFilters.DEFAULT_FILTERS };
+  let sortBy = 'match'; // One of SDFilters.SORTS
+  let filtersOpen = false;
+
+  // "Load all" walks the remaining result pages through the shared queue
+  let loadAllRun = null; // { pages, maxPages, startedAt, stop(reason) } while running
+  let loadAllStopped = null; // { reason, pages, error } after a run ended early
+
+  // Publication overlap
+  const loadedProfiles = new Map(); // userId -> { success, profile } or error result
+  const expandedUserIds = new Set(); // Candidates whose overlap panel is open
+
+  // Duplicate profile detection
+  let duplicateMode = false;
+  let duplicateScan = null; // { done, total } while top candidates are being fetched
+
+  // Citation metrics and activity of visible candidates
+  const metricsRequests = new Map(); // userId -> Promise of the loaded metrics
+  const loadedMetrics = new Map(); // userId -> { metrics, activeYears } or error result
+
+  // Same/different person labels between the current profile and candidates
+  let labels = new Map(); // Candidate userId -> { label, note, updatedAt }
+  let editingNoteUserId = null; // Candidate whose note editor is open
+  let favorites = {}; // Starred profiles: userId -> { userId, name, addedAt }
+  let watched = false; // Whether the current author's name is on the watchlist
+
+  // Side-by-side comparison
+  const compareUserIds = new Set(); // Candidates picked for the comparison view
+  let compareIncludesSelf = true; // Whether the current profile is one of the compared columns
+
   // Constants
-  const CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes
-  const MIN_SEARCH_DELAY_MS = 2000; // 2 seconds between searches
-  const CACHE_KEY_PREFIX = 'sd_cache_';
-  const RESULTS_PER_PAGE = 10; // Results per UI page
+  const MAX_COMPARE = 4; // Profiles in one comparison view
+  const GRAPH_CANDIDATES = 8; // Top-ranked candidates drawn in the co-author graph
+  const DUPLICATE_SCAN_LIMIT = 5; // Top-ranked candidates fetched in duplicate mode
+
+  const escapeHtml = SDCards.escapeHtml;
 
   /**
    * Extract the user ID from the current URL
@@ -34,210 +77,338 @@
   /**
    * Extract the author name from the profile page
    * Handles names with non-Latin characters like "Jia Wang (王佳)" or "Xing Xie 谢幸"
-   * Returns only the English/Latin part of the name
+   * Returns the Latin part of the name, or a romanization of CJK-only names
    */
   function extractAuthorName() {
     const nameElement = document.querySelector('#gsc_prf_in');
     if (!nameElement) return null;
 
-    let fullName = nameElement.textContent.trim();
-
-    // Remove content in parentheses (often contains Chinese name)
-    fullName = fullName.replace(/\s*\([^)]*\)\s*/g, ' ');
+    return SDNames.primarySearchName(nameElement.textContent);
+  }
 
-    // Extract only Latin characters, spaces, hyphens, and periods
-    // This handles names like "Xing Xie 谢幸" -> "Xing Xie"
-    const latinMatch = fullName.match(/^[A-Za-z\s.\-']+/);
-    if (latinMatch) {
-      return latinMatch[0].trim();
-    }
+  /**
+   * Generate the other spellings of the profile name to search
+   */
+  function extractNameVariants() {
+    const nameElement = document.querySelector('#gsc_prf_in');
+    if (!nameElement) return [];
 
-    // Fallback: return cleaned full name
-    return fullName.trim();
+    return SDNames.generateNameVariants(nameElement.textContent)
+      .filter(variant => variant.toLowerCase() !== currentAuthorName.toLowerCase());
   }
 
   /**
-   * Extract user ID from a profile URL
+   * Extract the signals used to score candidates from the current profile page:
+   * affiliation, verified email domain, citations, interests and co-authors
    */
-  function extractUserIdFromUrl(url) {
-    const match = url.match(/[?&]user=([^&]+)/);
-    return match ? match[1] : null;
+  function extractProfileContext() {
+    const nameElement = document.querySelector('#gsc_prf_in');
+    const name = nameElement ? nameElement.textContent.trim() : '';
+
+    const affiliationElement = document.querySelector('#gsc_prf_i .gsc_prf_il');
+    const affiliation = affiliationElement ? affiliationElement.textContent.trim() : '';
+
+    const emailElement = document.querySelector('#gsc_prf_ivh');
+    let emailDomain = null;
+    if (emailElement) {
+      const emailMatch = emailElement.textContent.match(/at\s+(\S+)/i);
+      emailDomain = emailMatch ? emailMatch[1] : null;
+    }
+
+    const citationElement = document.querySelector('#gsc_rsb_st td.gsc_rsb_std');
+    const citationCount = citationElement ? parseInt(citationElement.textContent.replace(/\D/g, ''), 10) || null : null;
+
+    const interests = Array.from(document.querySelectorAll('#gsc_prf_int a'))
+      .map(el => el.textContent.trim())
+      .filter(Boolean);
+
+    const coauthors = [];
+    for (const el of document.querySelectorAll('#gsc_rsb_co .gsc_rsb_aa')) {
+      const link = el.querySelector('.gsc_rsb_a_desc a');
+      if (!link) continue;
+      const affiliationEl = el.querySelector('.gsc_rsb_a_ext');
+      coauthors.push({
+        name: link.textContent.trim(),
+        userId: SDParser.extractUserIdFromUrl(link.getAttribute('href') || ''),
+        affiliation: affiliationEl ? affiliationEl.textContent.trim() : ''
+      });
+    }
+
+    return { name, affiliation, emailDomain, citationCount, interests, coauthors };
   }
 
   // ==================== CACHING ====================
 
-  function getCacheKey(authorName) {
-    return CACHE_KEY_PREFIX + encodeURIComponent(authorName.toLowerCase());
+  // The cache lives in the service worker (chrome.storage.local) and is
+  // shared by every tab; see src/lib/cache.js. Messaging and profile loading
+  // are shared with the extension pages (src/lib/client.js).
+  const { sendMessage, getCachedEntry, setCachedEntry } = SDClient;
+
+  /**
+   * Whether searches merge in the name variants
+   */
+  function usesVariants() {
+    return searchVariants && nameVariants.length > 0;
   }
 
-  function getCachedResults(authorName) {
-    try {
-      const key = getCacheKey(authorName);
-      const cached = sessionStorage.getItem(key);
-      if (!cached) return null;
-
-      const data = JSON.parse(cached);
-      if (Date.now() - data.timestamp > CACHE_DURATION_MS) {
-        sessionStorage.removeItem(key);
-        return null;
-      }
+  /**
+   * Cache key of a search for a name in the current mode. Results merged
+   * from name variants are kept apart from those of the name alone.
+   */
+  function getCacheKey(authorName) {
+    const key = authorName.toLowerCase();
+    return usesVariants()
+      ? `${key}|variants:${nameVariants.map(variant => variant.toLowerCase()).sort().join('|')}`
+      : key;
+  }
 
+  /**
+   * Read the results cached under a key, without the current profile (other
+   * profiles with the same name share the entry)
+   */
+  async function getCachedResults(key) {
+    const data = await SDClient.getCachedSearch(key, currentUserId);
+    if (data) {
       console.log('[Scholar Disambiguator] Using cached results');
-      return data;
-    } catch (e) {
-      return null;
     }
+    return data;
   }
 
-  function cacheResults(authorName, authors, nextToken) {
-    try {
-      const key = getCacheKey(authorName);
-      const data = {
-        timestamp: Date.now(),
-        authors,
-        nextToken
-      };
-      sessionStorage.setItem(key, JSON.stringify(data));
-    } catch (e) {
-      console.error('[Scholar Disambiguator] Cache write error:', e);
-    }
+  /**
+   * Write the results shown back to their cache entry
+   */
+  function cacheResults() {
+    SDClient.cacheSearch(resultsCacheKey, foundAuthors, nextPageToken);
+  }
+
+  async function clearCache() {
+    SDClient.forgetProfiles();
+    loadedProfiles.clear();
+    metricsRequests.clear();
+    loadedMetrics.clear();
+    await sendMessage({ action: 'cacheClear' });
+    console.log('[Scholar Disambiguator] Cache cleared');
   }
 
   // ==================== RATE LIMITING ====================
 
-  function getRateLimitDelay() {
-    const elapsed = Date.now() - lastSearchTime;
-    return elapsed < MIN_SEARCH_DELAY_MS ? MIN_SEARCH_DELAY_MS - elapsed : 0;
+  // Requests are spaced and backed off by the shared queue in the service
+  // worker (src/lib/scheduler.js); the sidebar only reports its state
+
+  function handleSchedulerState(state) {
+    const wasPaused = !!schedulerState && schedulerState.status === 'paused';
+    schedulerState = state;
+    renderStatus();
+
+    // Requests fail at once while paused; search again after the challenge
+    if (wasPaused && state.status !== 'paused' && retryAfterChallenge) {
+      handleSearchClick(true);
+    }
+
+    // Never keep walking pages into a CAPTCHA
+    if (loadAllRun && state.status === 'paused') {
+      loadAllRun.stop('captcha');
+    }
   }
 
-  function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  function renderStatus() {
+    if (!statusContainer) return;
+
+    clearTimeout(cooldownTimer);
+    const state = schedulerState;
+    const remainingMs = state ? state.cooldownUntil - Date.now() : 0;
+    const queued = state && state.queued > 0 ? ` ${state.queued} request${state.queued === 1 ? '' : 's'} waiting.` : '';
+
+    // The queue waits for the user to solve a CAPTCHA
+    if (state && state.status === 'paused') {
+      statusContainer.innerHTML = `
+        <div class="sd-cooldown">
+          ${escapeHtml(SDErrors.describe(state.pausedReason).message)}${queued}
+          <div class="sd-cooldown-actions">
+            <button class="sd-link-btn" id="sd-challenge-open-btn">Open challenge</button>
+            <button class="sd-link-btn" id="sd-challenge-done-btn">I solved it</button>
+            <button class="sd-link-btn" id="sd-challenge-cancel-btn" title="Try requests again without checking the challenge">Dismiss</button>
+          </div>
+        </div>
+      `;
+      statusContainer.querySelector('#sd-challenge-open-btn').addEventListener('click', () => sendMessage({ action: 'openChallenge' }));
+      statusContainer.querySelector('#sd-challenge-done-btn').addEventListener('click', async event => {
+        const response = await sendMessage({ action: 'resumeQueue' });
+        if (response && !response.resumed) {
+          event.target.textContent = 'Still blocked - try again';
+        }
+      });
+      statusContainer.querySelector('#sd-challenge-cancel-btn').addEventListener('click', () => sendMessage({ action: 'cancelQueue' }));
+      return;
+    }
+
+    if (!state || state.status !== 'cooldown' || remainingMs <= 0) {
+      statusContainer.innerHTML = '';
+      return;
+    }
+
+    statusContainer.innerHTML = `
+      <div class="sd-cooldown">
+        Google Scholar is limiting requests. Pausing all tabs for ${Math.ceil(remainingMs / 1000)}s.${queued}
+      </div>
+    `;
+
+    // Count down until the cooldown ends
+    cooldownTimer = setTimeout(renderStatus, 1000);
   }
 
-  // ==================== PARSING ====================
+  // ==================== RANKING ====================
 
-  function parseSearchResults(html) {
-    const authors = [];
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    const authorCards = doc.querySelectorAll('.gsc_1usr');
-
-    for (const card of authorCards) {
-      try {
-        const nameElement = card.querySelector('.gs_ai_name a');
-        if (!nameElement) continue;
-
-        const name = nameElement.textContent.trim();
-        const profileUrl = nameElement.getAttribute('href');
-        const fullProfileUrl = profileUrl.startsWith('http')
-          ? profileUrl
-          : `https://scholar.google.com${profileUrl}`;
-
-        const userId = extractUserIdFromUrl(fullProfileUrl);
-
-        const affiliationElement = card.querySelector('.gs_ai_aff');
-        const affiliation = affiliationElement ? affiliationElement.textContent.trim() : '';
-
-        const emailElement = card.querySelector('.gs_ai_eml');
-        let emailDomain = null;
-        if (emailElement) {
-          const emailMatch = emailElement.textContent.match(/at\s+(.+)$/i);
-          emailDomain = emailMatch ? emailMatch[1] : null;
-        }
+  /**
+   * Resolve authors' institutions, score them against the current profile
+   * and sort them by match score
+   */
+  function rankAuthors(authors) {
+    const ranked = SDScoring.rankCandidates(SDInstitutions.annotate(authors), profileContext)
+      .map(author => ({ ...author, label: getLabel(author.userId) }));
+    // Candidates labeled as a different person go last, keeping their order
+    return SDFilters.sortAuthors(ranked, 'match');
+  }
 
-        const citationElement = card.querySelector('.gs_ai_cby');
-        let citationCount = null;
-        if (citationElement) {
-          const citationMatch = citationElement.textContent.match(/(\d+)/);
-          citationCount = citationMatch ? parseInt(citationMatch[1], 10) : null;
-        }
+  /**
+   * The loaded authors that pass the filters, in the chosen order
+   */
+  function getVisibleAuthors() {
+    return SDFilters.sortAuthors(SDFilters.applyFilters(allAuthors, filters), sortBy, currentAuthorName);
+  }
 
-        // Extract thumbnail
-        const thumbnailElement = card.querySelector('.gs_ai_pho img');
-        let thumbnailUrl = null;
-        if (thumbnailElement) {
-          thumbnailUrl = thumbnailElement.getAttribute('src');
-          // Convert relative URLs to absolute
-          if (thumbnailUrl && !thumbnailUrl.startsWith('http')) {
-            thumbnailUrl = `https://scholar.google.com${thumbnailUrl}`;
-          }
-        }
+  function getLabel(userId) {
+    const entry = labels.get(userId);
+    return entry ? entry.label : null;
+  }
 
-        authors.push({
-          name,
-          affiliation,
-          profileUrl: fullProfileUrl,
-          userId,
-          emailDomain,
-          citationCount,
-          thumbnailUrl
-        });
-      } catch (e) {
-        console.error('[Scholar Disambiguator] Error parsing author card:', e);
-      }
-    }
+  // ==================== PARSING ====================
 
-    return authors;
+  /**
+   * Parse author cards and note any fields the parser had trouble with in
+   * the local diagnostics report
+   */
+  function parseSearchResults(html) {
+    const page = SDParser.parseSearchPage(html, SDSettings.scholarBaseUrl(settings));
+    SDDiagnostics.record(page.issues);
+    return page.authors;
   }
 
   // ==================== API ====================
 
   function fetchAuthorSearch(authorName, afterToken = null) {
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage(
-        { action: 'searchAuthors', authorName, afterToken },
-        response => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve(response);
-          }
-        }
-      );
+    return sendMessage({ action: 'searchAuthors', authorName, afterToken });
+  }
+
+  function fetchAuthorVariantSearch(authorName, variants) {
+    return sendMessage({ action: 'searchAuthorVariants', authorName, variants });
+  }
+
+  /**
+   * Fetch and parse a profile (see SDClient.loadProfile) and keep the result
+   * for rendering. Concurrent calls for the same user share one request.
+   */
+  function loadProfile(userId) {
+    const request = SDClient.loadProfile(userId);
+    request.then(result => loadedProfiles.set(userId, result));
+    return request;
+  }
+
+  /**
+   * Fetch a candidate's metrics table, citation histogram and active years.
+   * Uses the newest-first publication page, so the last active year is exact.
+   */
+  function loadMetrics(userId) {
+    if (metricsRequests.has(userId)) {
+      return metricsRequests.get(userId);
+    }
+
+    const request = (async () => {
+      const cached = await getCachedEntry('metrics', userId);
+      if (cached) {
+        return { success: true, ...cached };
+      }
+
+      const result = await sendMessage({ action: 'fetchProfile', userId, cstart: 0, sortBy: 'pubdate' });
+      if (!result.success) return result;
+
+      const profile = SDProfile.parseProfilePage(result.html);
+      const citationsPerYear = profile.metrics ? profile.metrics.citationsPerYear : [];
+      const data = {
+        metrics: profile.metrics,
+        activeYears: SDProfile.activeYears(profile.publications, result.nextCstart === null, citationsPerYear)
+      };
+      setCachedEntry('metrics', userId, data);
+      return { success: true, ...data };
+    })().catch(e => ({ success: false, error: 'unknown', message: e.message }));
+
+    metricsRequests.set(userId, request);
+    request.then(result => {
+      loadedMetrics.set(userId, result);
+      // Allow a retry after a failure
+      if (!result.success) metricsRequests.delete(userId);
     });
+    return request;
   }
 
   /**
    * Fetch initial search results
    */
   async function searchAuthors(authorName, skipCache = false) {
+    const cacheKey = getCacheKey(authorName);
+
     // Check cache
     if (!skipCache) {
-      const cached = getCachedResults(authorName);
+      const cached = await getCachedResults(cacheKey);
       if (cached) {
-        allAuthors = cached.authors;
-        nextPageToken = cached.nextToken;
-        return { success: true, authors: cached.authors };
+        resultsCacheKey = cacheKey;
+        setFoundAuthors(cached.found, cached.nextToken);
+        return { success: true, authors: allAuthors };
       }
     }
 
-    // Rate limiting
-    const waitTime = getRateLimitDelay();
-    if (waitTime > 0) {
-      await delay(waitTime);
-    }
-    lastSearchTime = Date.now();
-
-    // Fetch from Google Scholar
-    const result = await fetchAuthorSearch(authorName);
+    // Fetch from Google Scholar, merging in the name variants if enabled
+    const result = usesVariants()
+      ? await fetchAuthorVariantSearch(authorName, nameVariants)
+      : await fetchAuthorSearch(authorName);
 
     if (!result.success) {
       return result;
     }
 
-    // Parse and store results
-    const authors = parseSearchResults(result.html);
-    const filteredAuthors = authors.filter(a => a.userId !== currentUserId);
+    if (result.warning) {
+      console.warn('[Scholar Disambiguator]', result.warning);
+    }
 
-    allAuthors = filteredAuthors;
-    nextPageToken = result.nextToken;
+    // Parse and store results, noting which variant found each extra profile
+    const authors = parseSearchResults(result.html);
+    const variantMatches = result.variantMatches || {};
+    for (const author of authors) {
+      if (variantMatches[author.userId]) {
+        author.matchedVariant = variantMatches[author.userId];
+      }
+    }
+    resultsCacheKey = cacheKey;
+    setFoundAuthors(authors, result.nextToken);
 
     // Cache results
-    cacheResults(authorName, filteredAuthors, result.nextToken);
+    cacheResults();
 
-    console.log('[Scholar Disambiguator] Found', filteredAuthors.length, 'authors, hasMore:', !!nextPageToken);
+    console.log('[Scholar Disambiguator] Found', allAuthors.length, 'authors, hasMore:', !!nextPageToken);
 
-    return { success: true, authors: filteredAuthors };
+    return { success: true, authors: allAuthors };
+  }
+
+  /**
+   * Keep every fetched author for the cache and show them without the
+   * current profile
+   * @param {Object[]} authors - Parsed authors, the current profile included
+   * @param {string|null} nextToken - Token of the next result page
+   */
+  function setFoundAuthors(authors, nextToken) {
+    foundAuthors = authors;
+    allAuthors = rankAuthors(authors.filter(a => a.userId !== currentUserId));
+    nextPageToken = nextToken;
   }
 
   /**
@@ -250,39 +421,92 @@
 
     isLoadingMore = true;
     console.log('[Scholar Disambiguator] Loading more authors...');
+    const token = nextPageToken;
 
     try {
-      // Rate limiting
-      const waitTime = getRateLimitDelay();
-      if (waitTime > 0) {
-        await delay(waitTime);
-      }
-      lastSearchTime = Date.now();
-
-      const result = await fetchAuthorSearch(currentAuthorName, nextPageToken);
+      const result = await fetchAuthorSearch(currentAuthorName, token);
 
       if (!result.success) {
         return result;
       }
 
-      // Parse and add new results
-      const newAuthors = parseSearchResults(result.html);
-      const filteredNew = newAuthors.filter(a => a.userId !== currentUserId);
+      // The results were replaced (e.g. by a refresh) while this page was queued
+      if (nextPageToken !== token) {
+        return { success: false, message: 'Results changed while loading' };
+      }
 
-      allAuthors = [...allAuthors, ...filteredNew];
-      nextPageToken = result.nextToken;
+      // Parse and add new results; profiles found through a name variant on
+      // the first page can come up again on later pages of the primary name
+      const known = new Set(foundAuthors.map(author => author.userId));
+      const newAuthors = parseSearchResults(result.html).filter(author => !known.has(author.userId));
+      const shownBefore = allAuthors.length;
+      setFoundAuthors([...foundAuthors, ...newAuthors], result.nextToken);
 
       // Update cache
-      cacheResults(currentAuthorName, allAuthors, nextPageToken);
+      cacheResults();
 
-      console.log('[Scholar Disambiguator] Loaded', filteredNew.length, 'more authors, total:', allAuthors.length);
+      const newCount = allAuthors.length - shownBefore;
+      console.log('[Scholar Disambiguator] Loaded', newCount, 'more authors, total:', allAuthors.length);
 
-      return { success: true, newCount: filteredNew.length };
+      return { success: true, newCount };
     } finally {
       isLoadingMore = false;
     }
   }
 
+  /**
+   * Fetch every remaining result page, up to the "Load all" page limit. Stops
+   * after the current page on cancel, an error or a CAPTCHA; nextPageToken
+   * (cached with the results) lets a later run continue where this one stopped.
+   */
+  async function loadAllAuthors() {
+    if (loadAllRun || isLoadingMore || !nextPageToken) return;
+
+    let stop;
+    const stopped = new Promise(resolve => {
+      stop = reason => resolve({ success: false, stopped: true, reason });
+    });
+    const run = { pages: 0, maxPages: settings.loadAllMaxPages, startedAt: Date.now(), stop };
+    loadAllRun = run;
+    loadAllStopped = null;
+    renderResultsState();
+
+    let outcome = null;
+    while (nextPageToken) {
+      if (run.pages >= run.maxPages) {
+        outcome = { reason: 'limit' };
+        break;
+      }
+
+      const request = loadMoreAuthors();
+      const result = await Promise.race([request, stopped]);
+      if (result.stopped) {
+        outcome = { reason: result.reason };
+        // A page still waiting in the queue (e.g. behind a cooldown) is kept if it arrives later
+        request.then(() => {
+          if (sidebarContainer && sidebarContainer.querySelector('.sd-results')) {
+            renderResultsState();
+          }
+        });
+        break;
+      }
+      if (!result.success) {
+        outcome = { reason: 'error', error: result };
+        break;
+      }
+
+      run.pages++;
+      renderResultsState();
+    }
+
+    console.log('[Scholar Disambiguator] Load all finished after', run.pages, 'pages:', outcome ? outcome.reason : 'complete');
+    // A new search replaced the results while this run was waiting
+    if (loadAllRun !== run) return;
+    loadAllRun = null;
+    loadAllStopped = outcome ? { ...outcome, pages: run.pages } : null;
+    renderResultsState();
+  }
+
   // ==================== UI FUNCTIONS ====================
 
   function createSidebar() {
@@ -298,6 +522,12 @@
     container.className = 'sd-container';
     container.id = 'sd-sidebar';
 
+    // The status line survives re-renders; each state replaces only the content
+    statusContainer = document.createElement('div');
+    statusContainer.className = 'sd-status';
+    const content = document.createElement('div');
+    container.append(statusContainer, content);
+
     if (sidebar) {
       sidebar.insertBefore(container, sidebar.firstChild);
     } else {
@@ -305,17 +535,18 @@
       document.body.appendChild(container);
     }
 
-    return container;
+    return content;
   }
 
-  function renderInitialState() {
+  async function renderInitialState() {
     if (!sidebarContainer) return;
 
     // Check cache for existing results
-    const cached = getCachedResults(currentAuthorName);
+    const cacheKey = getCacheKey(currentAuthorName);
+    const cached = await getCachedResults(cacheKey);
     if (cached && cached.authors.length > 0) {
-      allAuthors = cached.authors;
-      nextPageToken = cached.nextToken;
+      resultsCacheKey = cacheKey;
+      setFoundAuthors(cached.found, cached.nextToken);
       renderResultsState();
       return;
     }
@@ -330,9 +561,79 @@
       <div class="sd-hint">
         Click to search for other "${escapeHtml(currentAuthorName)}" profiles
       </div>
+      ${nameVariants.length > 0 ? `
+        <label class="sd-checkbox" title="${escapeHtml(nameVariants.join(', '))}">
+          <input type="checkbox" id="sd-variants-checkbox" ${searchVariants ? 'checked' : ''}>
+          Also search ${nameVariants.length} name variant${nameVariants.length === 1 ? '' : 's'}
+        </label>
+        <div class="sd-hint sd-variant-list">${nameVariants.map(escapeHtml).join(' · ')}</div>
+      ` : ''}
     `;
 
     sidebarContainer.querySelector('#sd-search-btn').addEventListener('click', handleSearchClick);
+
+    const variantsCheckbox = sidebarContainer.querySelector('#sd-variants-checkbox');
+    if (variantsCheckbox) {
+      variantsCheckbox.addEventListener('change', () => {
+        searchVariants = variantsCheckbox.checked;
+      });
+    }
+
+    if (settings.autoSearch && !autoSearchStarted) {
+      startAutoSearch();
+    }
+  }
+
+  /**
+   * Search without a click when auto-search is enabled. Safeguards: it runs
+   * once per page load, waits until the tab is visible (so opening many
+   * profiles in background tabs does not fire a burst of searches), skips
+   * the name-variant fan-out, and leaves the button to the user while the
+   * shared request queue is cooling down.
+   */
+  async function startAutoSearch() {
+    autoSearchStarted = true;
+
+    if (document.visibilityState !== 'visible') {
+      await new Promise(resolve => {
+        document.addEventListener('visibilitychange', function onVisible() {
+          if (document.visibilityState === 'visible') {
+            document.removeEventListener('visibilitychange', onVisible);
+            resolve();
+          }
+        });
+      });
+    }
+
+    try {
+      const response = await sendMessage({ action: 'getSchedulerState' });
+      if (response && response.success && response.state.status === 'cooldown') {
+        console.log('[Scholar Disambiguator] Skipping auto-search during cooldown');
+        return;
+      }
+    } catch (e) {
+      return;
+    }
+
+    // The user may have started a search while we waited
+    if (!sidebarContainer.querySelector('#sd-search-btn')) return;
+
+    console.log('[Scholar Disambiguator] Auto-searching');
+    const includeVariants = searchVariants;
+    searchVariants = false;
+    try {
+      await handleSearchClick(false);
+    } finally {
+      searchVariants = includeVariants;
+    }
+  }
+
+  /**
+   * Show the number of same-name profiles on the toolbar icon for this tab
+   */
+  function reportResultCount() {
+    sendMessage({ action: 'updateBadge', count: allAuthors.length, hasMore: !!nextPageToken })
+      .catch(() => {});
   }
 
   function renderLoadingState() {
@@ -345,12 +646,17 @@
 
   function renderResultsState() {
     if (!sidebarContainer) return;
-
-    const totalCount = allAuthors.length;
-    const totalPages = Math.ceil(totalCount / RESULTS_PER_PAGE);
-    const startIndex = (currentPage - 1) * RESULTS_PER_PAGE;
-    const endIndex = Math.min(startIndex + RESULTS_PER_PAGE, totalCount);
-    const displayAuthors = allAuthors.slice(startIndex, endIndex);
+    reportResultCount();
+
+    const visibleAuthors = getVisibleAuthors();
+    const filtering = SDFilters.isActive(filters);
+    const totalCount = visibleAuthors.length;
+    const pageSize = settings.pageSize;
+    const totalPages = Math.ceil(totalCount / pageSize);
+    currentPage = Math.max(1, Math.min(currentPage, totalPages));
+    const startIndex = (currentPage - 1) * pageSize;
+    const endIndex = Math.min(startIndex + pageSize, totalCount);
+    const displayAuthors = visibleAuthors.slice(startIndex, endIndex);
 
     // Check if we need to load more (on last page and more available)
     const isLastPage = currentPage === totalPages;
@@ -358,59 +664,87 @@
 
     let html = `
       <div class="sd-header">
-        <span>Similar Authors (${totalCount}${hasMoreFromServer ? '+' : ''} found)</span>
+        <span>Similar Authors (${filtering ? `${totalCount} of ` : ''}${allAuthors.length}${hasMoreFromServer ? '+' : ''} found)</span>
         <button class="sd-toggle" id="sd-toggle-btn" title="${isCollapsed ? 'Expand' : 'Collapse'}">${isCollapsed ? '+' : '-'}</button>
       </div>
     `;
 
     if (!isCollapsed) {
+      html += renderDuplicateSection();
+      html += renderFilters();
+      if (totalCount === 0) {
+        html += `<div class="sd-no-results">No loaded profiles match the filters${hasMoreFromServer ? ' yet' : ''}.</div>`;
+      }
       html += '<ul class="sd-results">';
 
+      const fields = settings.cardFields;
+      const compareCount = compareUserIds.size + (compareIncludesSelf ? 1 : 0);
+      // Candidates labeled as a different person are grouped separately, after the others
+      const groupKey = author => `${author.label === 'different' ? 'different' : ''}|${SDInstitutions.groupOf(author).key}`;
+      let groupSizes = null;
+      if (sortBy === 'institution') {
+        groupSizes = new Map();
+        for (const author of visibleAuthors) {
+          groupSizes.set(groupKey(author), (groupSizes.get(groupKey(author)) || 0) + 1);
+        }
+      }
+      let previousGroup = null;
       for (const author of displayAuthors) {
-        const affiliation = author.affiliation || 'Affiliation not listed';
-        const citations = author.citationCount !== null
-          ? `Cited by ${author.citationCount.toLocaleString()}`
-          : '';
-        const thumbnail = author.thumbnailUrl
-          ? `<img class="sd-author-thumb" src="${escapeHtml(author.thumbnailUrl)}" alt="">`
-          : '<div class="sd-author-thumb sd-author-thumb-placeholder"></div>';
-
-        html += `
-          <li class="sd-author-card">
-            ${thumbnail}
-            <div class="sd-author-info">
-              <a class="sd-author-name" href="${escapeHtml(author.profileUrl)}" target="_blank">
-                ${escapeHtml(author.name)}
-              </a>
-              <div class="sd-author-affiliation">${escapeHtml(affiliation)}</div>
-              ${citations ? `<div class="sd-author-citations">${citations}</div>` : ''}
-            </div>
-          </li>
-        `;
+        if (groupSizes) {
+          const key = groupKey(author);
+          if (key !== previousGroup) {
+            html += `<li class="sd-institution-group">${escapeHtml(SDInstitutions.groupOf(author).name)} (${groupSizes.get(key)})</li>`;
+            previousGroup = key;
+          }
+        }
+        html += SDCards.renderAuthorCard(author, {
+          fields,
+          profileUrl: getProfileUrl(author),
+          className: getLabel(author.userId) === 'different' ? 'sd-author-card-different' : '',
+          before: renderFavorite(author),
+          after: `
+            ${fields.activity ? renderActivity(author.userId) : ''}
+            ${fields.matchScore ? renderMatch(author.match) : ''}
+            ${renderLabel(author.userId)}
+            <button class="sd-link-btn sd-overlap-btn" data-user-id="${escapeHtml(author.userId)}">
+              ${expandedUserIds.has(author.userId) ? 'Hide publication overlap' : 'Compare publications'}
+            </button>
+            ${expandedUserIds.has(author.userId) ? renderOverlap(author) : ''}
+            ${renderCompareCheckbox(author, compareCount)}
+          `
+        });
       }
 
       html += '</ul>';
 
-      // Pagination
-      if (totalPages > 1 || hasMoreFromServer) {
-        html += '<div class="sd-pagination">';
-        html += `<button class="sd-page-btn" id="sd-prev-btn" ${currentPage === 1 ? 'disabled' : ''}>Prev</button>`;
-
-        html += '<span class="sd-page-info">';
-        for (let i = 1; i <= totalPages; i++) {
-          html += `<span class="sd-page-num ${i === currentPage ? 'sd-page-current' : ''}" data-page="${i}">${i}</span>`;
-        }
-        if (hasMoreFromServer) {
-          html += '<span class="sd-page-num sd-page-more" id="sd-load-more">...</span>';
-        }
-        html += '</span>';
-
-        const canGoNext = currentPage < totalPages || hasMoreFromServer;
-        html += `<button class="sd-page-btn" id="sd-next-btn" ${!canGoNext ? 'disabled' : ''}>Next</button>`;
-        html += '</div>';
-      }
-
+      html += SDCards.renderPagination(currentPage, totalPages, hasMoreFromServer);
+
+      html += renderLoadAll();
+
+      html += `
+        <div class="sd-compare-bar">
+          <label class="sd-checkbox">
+            <input type="checkbox" id="sd-compare-self" ${compareIncludesSelf ? 'checked' : ''}
+              ${!compareIncludesSelf && compareCount >= MAX_COMPARE ? 'disabled' : ''}>
+            Include this profile
+          </label>
+          <button class="sd-button" id="sd-compare-btn" ${compareCount < 2 ? 'disabled' : ''}>
+            Compare side by side (${compareCount}/${MAX_COMPARE})
+          </button>
+        </div>
+      `;
+      html += `
+        <div class="sd-export">
+          Export all ${allAuthors.length}${hasMoreFromServer ? ' loaded' : ''}:
+          <button class="sd-link-btn sd-export-btn" data-format="csv">CSV</button>
+          <button class="sd-link-btn sd-export-btn" data-format="json">JSON</button>
+        </div>
+      `;
+      html += `<button class="sd-refresh" id="sd-duplicates-btn">${duplicateMode ? 'Hide duplicate check' : 'Detect duplicate profiles'}</button>`;
+      html += `<button class="sd-refresh" id="sd-graph-btn">Co-author graph</button>`;
+      html += `<button class="sd-refresh" id="sd-watch-btn">${watched ? 'Stop watching this name' : 'Watch for new namesakes'}</button>`;
       html += `<button class="sd-refresh" id="sd-refresh-btn">Refresh results</button>`;
+      html += `<button class="sd-link-btn sd-clear-cache" id="sd-clear-cache-btn">Clear cache</button>`;
     }
 
     sidebarContainer.innerHTML = html;
@@ -427,6 +761,8 @@
       const pageNums = sidebarContainer.querySelectorAll('.sd-page-num:not(.sd-page-more)');
       const loadMoreBtn = sidebarContainer.querySelector('#sd-load-more');
       const refreshBtn = sidebarContainer.querySelector('#sd-refresh-btn');
+      const duplicatesBtn = sidebarContainer.querySelector('#sd-duplicates-btn');
+      const clearCacheBtn = sidebarContainer.querySelector('#sd-clear-cache-btn');
 
       if (prevBtn) {
         prevBtn.addEventListener('click', () => {
@@ -439,7 +775,7 @@
 
       if (nextBtn) {
         nextBtn.addEventListener('click', async () => {
-          const totalPages = Math.ceil(allAuthors.length / RESULTS_PER_PAGE);
+          const totalPages = Math.ceil(getVisibleAuthors().length / settings.pageSize);
           if (currentPage < totalPages) {
             currentPage++;
             renderResultsState();
@@ -464,10 +800,649 @@
         loadMoreBtn.addEventListener('click', handleLoadMore);
       }
 
+      sidebarContainer.querySelector('#sd-filters-toggle').addEventListener('click', () => {
+        filtersOpen = !filtersOpen;
+        renderResultsState();
+      });
+
+      sidebarContainer.querySelector('#sd-sort').addEventListener('change', event => {
+        sortBy = event.target.value;
+        currentPage = 1;
+        renderResultsState();
+      });
+
+      sidebarContainer.querySelectorAll('[data-filter]').forEach(el => {
+        el.addEventListener('change', () => {
+          const key = el.dataset.filter;
+          if (el.type === 'checkbox') {
+            filters[key] = el.checked;
+          } else if (el.type === 'number') {
+            filters[key] = Math.max(0, parseInt(el.value, 10) || 0);
+          } else {
+            filters[key] = el.value.trim();
+          }
+          currentPage = 1;
+          renderResultsState();
+        });
+      });
+
+      const clearFiltersBtn = sidebarContainer.querySelector('#sd-filters-clear');
+      if (clearFiltersBtn) {
+        clearFiltersBtn.addEventListener('click', () => {
+          filters = { ...SDFilters.DEFAULT_FILTERS };
+          currentPage = 1;
+          renderResultsState();
+        });
+      }
+
+      const loadAllBtn = sidebarContainer.querySelector('#sd-load-all-btn');
+      if (loadAllBtn) {
+        loadAllBtn.addEventListener('click', loadAllAuthors);
+      }
+
+      const loadAllCancelBtn = sidebarContainer.querySelector('#sd-load-all-cancel-btn');
+      if (loadAllCancelBtn) {
+        loadAllCancelBtn.addEventListener('click', () => loadAllRun && loadAllRun.stop('cancelled'));
+      }
+
       if (refreshBtn) {
         refreshBtn.addEventListener('click', () => handleSearchClick(true));
       }
+
+      if (clearCacheBtn) {
+        clearCacheBtn.addEventListener('click', async () => {
+          await clearCache();
+          allAuthors = [];
+          foundAuthors = [];
+          nextPageToken = null;
+          currentPage = 1;
+          renderInitialState();
+        });
+      }
+
+      if (duplicatesBtn) {
+        duplicatesBtn.addEventListener('click', toggleDuplicateMode);
+      }
+
+      sidebarContainer.querySelectorAll('.sd-overlap-btn').forEach(el => {
+        el.addEventListener('click', () => toggleOverlap(el.dataset.userId));
+      });
+
+      sidebarContainer.querySelectorAll('.sd-favorite-btn').forEach(el => {
+        el.addEventListener('click', async () => {
+          const author = allAuthors.find(a => a.userId === el.dataset.userId);
+          await SDFavorites.toggle(el.dataset.userId, author ? author.name : '');
+        });
+      });
+
+      sidebarContainer.querySelectorAll('.sd-label-btn').forEach(el => {
+        const userId = el.closest('.sd-label').dataset.userId;
+        el.addEventListener('click', () => {
+          // Clicking the active label again clears it
+          const label = getLabel(userId) === el.dataset.label ? null : el.dataset.label;
+          const entry = labels.get(userId);
+          updateLabel(userId, label, entry ? entry.note : '');
+        });
+      });
+
+      sidebarContainer.querySelectorAll('.sd-label-note-btn').forEach(el => {
+        el.addEventListener('click', () => {
+          const userId = el.closest('.sd-label').dataset.userId;
+          editingNoteUserId = editingNoteUserId === userId ? null : userId;
+          renderResultsState();
+        });
+      });
+
+      const noteInput = sidebarContainer.querySelector('.sd-label-note-input');
+      if (noteInput) {
+        const saveNote = () => {
+          editingNoteUserId = null;
+          updateLabel(noteInput.dataset.userId, getLabel(noteInput.dataset.userId) || 'unsure', noteInput.value);
+        };
+        noteInput.focus();
+        noteInput.addEventListener('keydown', event => {
+          if (event.key === 'Enter') saveNote();
+          if (event.key === 'Escape') {
+            editingNoteUserId = null;
+            renderResultsState();
+          }
+        });
+        sidebarContainer.querySelector('.sd-label-note-save').addEventListener('click', saveNote);
+      }
+
+      sidebarContainer.querySelectorAll('.sd-compare-check input').forEach(el => {
+        el.addEventListener('change', () => {
+          if (el.checked) {
+            compareUserIds.add(el.dataset.userId);
+          } else {
+            compareUserIds.delete(el.dataset.userId);
+          }
+          renderResultsState();
+        });
+      });
+
+      sidebarContainer.querySelector('#sd-compare-self').addEventListener('change', event => {
+        compareIncludesSelf = event.target.checked;
+        renderResultsState();
+      });
+
+      sidebarContainer.querySelector('#sd-compare-btn').addEventListener('click', openComparison);
+      sidebarContainer.querySelector('#sd-graph-btn').addEventListener('click', openGraph);
+      sidebarContainer.querySelector('#sd-watch-btn').addEventListener('click', toggleWatch);
+
+      sidebarContainer.querySelectorAll('.sd-export-btn').forEach(el => {
+        el.addEventListener('click', () => exportResults(el.dataset.format));
+      });
+
+      if (settings.cardFields.activity) {
+        loadVisibleMetrics(displayAuthors);
+      }
+    }
+  }
+
+  /**
+   * Load metrics for the candidates on the current page, one at a time through
+   * the shared queue, and fill in each card as its metrics arrive
+   */
+  async function loadVisibleMetrics(authors) {
+    for (const author of authors) {
+      if (!author.userId || loadedMetrics.has(author.userId)) continue;
+
+      // Skip cards that are no longer shown (page changed or sidebar re-rendered)
+      const selector = `.sd-activity[data-user-id="${CSS.escape(author.userId)}"]`;
+      if (!sidebarContainer.querySelector(selector)) continue;
+
+      await loadMetrics(author.userId);
+      const el = sidebarContainer.querySelector(selector);
+      if (el) {
+        el.outerHTML = renderActivity(author.userId);
+      }
+    }
+  }
+
+  /**
+   * Render a candidate's h-index, active years and citations-per-year sparkline
+   */
+  function renderActivity(userId) {
+    if (!userId) return '';
+    const result = loadedMetrics.get(userId);
+    const attr = `class="sd-activity" data-user-id="${escapeHtml(userId)}"`;
+
+    if (!result) {
+      return `<div ${attr}><span class="sd-activity-pending">Loading metrics...</span></div>`;
+    }
+    if (!result.success) {
+      return `<div ${attr}><span class="sd-activity-pending">Metrics unavailable</span></div>`;
     }
+
+    const { metrics, activeYears } = result;
+    const parts = [];
+    if (activeYears) {
+      parts.push(`<span title="Years of the first and latest publication">Active ${activeYears.first}&ndash;${activeYears.last}</span>`);
+    }
+    if (metrics && metrics.hIndex.all !== null) {
+      const since = metrics.sinceYear ? ` (since ${metrics.sinceYear}: h ${metrics.hIndex.recent}, i10 ${metrics.i10Index.recent})` : '';
+      parts.push(`<span title="All time${since}">h ${metrics.hIndex.all} &middot; i10 ${metrics.i10Index.all}</span>`);
+    }
+
+    return `
+      <div ${attr}>
+        ${parts.length > 0 ? `<div class="sd-activity-text">${parts.join(' &middot; ')}</div>` : ''}
+        ${metrics ? renderSparkline(metrics.citationsPerYear) : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Draw citations per year as a small SVG line
+   */
+  function renderSparkline(history) {
+    if (!history || history.length < 2) return '';
+
+    const width = 120;
+    const height = 24;
+    const max = Math.max(1, ...history.map(entry => entry.count));
+    const step = width / (history.length - 1);
+    const points = history
+      .map((entry, i) => `${(i * step).toFixed(1)},${(height - 1 - (entry.count / max) * (height - 2)).toFixed(1)}`)
+      .join(' ');
+    const first = history[0];
+    const last = history[history.length - 1];
+    const title = `Citations per year, ${first.year}–${last.year} (peak ${max.toLocaleString()})`;
+
+    return `
+      <svg class="sd-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+        <title>${escapeHtml(title)}</title>
+        <polyline points="${points}" fill="none" stroke="#1a73e8" stroke-width="1.5"></polyline>
+      </svg>
+    `;
+  }
+
+  /**
+   * Render the favorite star of a card
+   */
+  function renderFavorite(author) {
+    if (!author.userId) return '';
+    const starred = !!favorites[author.userId];
+    return `
+      <button class="sd-favorite-btn${starred ? ' sd-favorite-active' : ''}" data-user-id="${escapeHtml(author.userId)}"
+        title="${starred ? 'Remove from favorites' : 'Add to favorites'}">${starred ? '&#9733;' : '&#9734;'}</button>
+    `;
+  }
+
+  /**
+   * Render the same/different/unsure buttons of a card with its note
+   */
+  function renderLabel(userId) {
+    if (!userId) return '';
+    const entry = labels.get(userId);
+    const active = entry ? entry.label : null;
+
+    const buttons = Object.entries(SDLabels.LABELS).map(([label, text]) => `
+      <button class="sd-label-btn${label === active ? ` sd-label-active sd-label-${label}` : ''}" data-label="${label}"
+        title="${label === active ? 'Click again to remove this label' : `Mark as ${text.toLowerCase()}`}">${text}</button>
+    `).join('');
+
+    let note = '';
+    if (editingNoteUserId === userId) {
+      note = `
+        <div class="sd-label-note-editor">
+          <input type="text" class="sd-label-note-input" data-user-id="${escapeHtml(userId)}"
+            maxlength="${SDLabels.MAX_NOTE_LENGTH}" value="${escapeHtml(entry ? entry.note : '')}"
+            placeholder="${active ? 'Note' : 'Note (saved as unsure)'}">
+          <button class="sd-link-btn sd-label-note-save">Save</button>
+        </div>
+      `;
+    } else if (entry && entry.note) {
+      note = `<div class="sd-label-note">${escapeHtml(entry.note)}</div>`;
+    }
+
+    return `
+      <div class="sd-label" data-user-id="${escapeHtml(userId)}">
+        <div class="sd-label-buttons">
+          ${buttons}
+          <button class="sd-link-btn sd-label-note-btn">${entry && entry.note ? 'Edit note' : 'Add note'}</button>
+        </div>
+        ${note}
+      </div>
+    `;
+  }
+
+  /**
+   * Store a label for the current profile and a candidate, then re-rank
+   * @param {string} userId - Candidate user ID
+   * @param {string|null} label - 'same', 'different', 'unsure' or null to remove
+   * @param {string} note - Optional note
+   */
+  async function updateLabel(userId, label, note) {
+    try {
+      const entry = await SDLabels.setLabel(currentUserId, userId, label, note);
+      if (entry) {
+        labels.set(userId, entry);
+      } else {
+        labels.delete(userId);
+      }
+    } catch (e) {
+      console.error('[Scholar Disambiguator] Could not save label:', e);
+    }
+    applyLabels();
+  }
+
+  /**
+   * Re-order the results after labels changed (here or in another tab)
+   */
+  function applyLabels() {
+    allAuthors = rankAuthors(allAuthors);
+    if (sidebarContainer && sidebarContainer.querySelector('.sd-results')) {
+      renderResultsState();
+    }
+  }
+
+  /**
+   * Render the "Compare" checkbox of a card; unchecked boxes are disabled
+   * once MAX_COMPARE profiles are picked
+   */
+  function renderCompareCheckbox(author, compareCount) {
+    if (!author.userId) return '';
+    const checked = compareUserIds.has(author.userId);
+    return `
+      <label class="sd-checkbox sd-compare-check">
+        <input type="checkbox" data-user-id="${escapeHtml(author.userId)}" ${checked ? 'checked' : ''}
+          ${!checked && compareCount >= MAX_COMPARE ? 'disabled' : ''}>
+        Compare
+      </label>
+    `;
+  }
+
+  /**
+   * Open the picked profiles in the comparison page
+   */
+  function openComparison() {
+    const userIds = [...(compareIncludesSelf ? [currentUserId] : []), ...compareUserIds];
+    sendMessage({ action: 'openCompare', userIds, currentUserId, authorName: currentAuthorName })
+      .catch(e => console.error('[Scholar Disambiguator] Could not open comparison:', e));
+  }
+
+  /**
+   * Open the co-author graph of the current profile and its top candidates,
+   * leaving out candidates labeled as a different person
+   */
+  function openGraph() {
+    const candidates = allAuthors
+      .filter(author => author.userId && getLabel(author.userId) !== 'different')
+      .slice(0, GRAPH_CANDIDATES)
+      .map(author => author.userId);
+    sendMessage({ action: 'openGraph', userIds: [currentUserId, ...candidates], currentUserId, authorName: currentAuthorName })
+      .catch(e => console.error('[Scholar Disambiguator] Could not open graph:', e));
+  }
+
+  /**
+   * Add the current author's name to the watchlist, or remove it
+   */
+  async function toggleWatch() {
+    const id = SDWatchlist.entryId(currentAuthorName);
+    if (watched) {
+      await SDWatchlist.remove(id);
+      return;
+    }
+    await SDWatchlist.add(currentAuthorName, currentUserId);
+    // Take the first snapshot now, so the next scheduled check can compare
+    sendMessage({ action: 'watchlistCheck', onlyNew: true }).catch(() => {});
+  }
+
+  /**
+   * Download every loaded candidate (not just the visible page) as CSV or JSON
+   * @param {string} format - 'csv' or 'json'
+   */
+  function exportResults(format) {
+    const authors = allAuthors.map(author => ({ ...author, profileUrl: getProfileUrl(author) }));
+
+    if (format === 'json') {
+      const json = SDExport.toJson(authors, {
+        authorName: currentAuthorName,
+        sourceUserId: currentUserId,
+        complete: !nextPageToken
+      });
+      SDExport.download(json, SDExport.fileName(currentAuthorName, 'json'), 'application/json');
+    } else {
+      const csv = SDExport.toCsv(SDExport.toRecords(authors));
+      SDExport.download(csv, SDExport.fileName(currentAuthorName, 'csv'), 'text/csv;charset=utf-8');
+    }
+  }
+
+  /**
+   * Link to a profile on the preferred Scholar domain
+   */
+  function getProfileUrl(author) {
+    return author.userId
+      ? `${SDSettings.scholarBaseUrl(settings)}/citations?user=${encodeURIComponent(author.userId)}`
+      : author.profileUrl;
+  }
+
+  /**
+   * Render the match score and a short breakdown of the signals behind it
+   */
+  function renderMatch(match) {
+    if (!match) return '';
+
+    const reasons = match.reasons.length > 0
+      ? match.reasons.map(r => `<li>${escapeHtml(r.label)} <span class="sd-match-points">+${r.points}</span></li>`).join('')
+      : '<li>No shared signals with this profile</li>';
+
+    return `
+      <div class="sd-author-match">
+        <span class="sd-match-score" title="Similarity to the current profile">Match ${match.score}</span>
+        <ul class="sd-match-reasons">${reasons}</ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the publications, venues and co-authors a candidate shares with
+   * the current profile
+   */
+  function renderOverlap(author) {
+    const current = loadedProfiles.get(currentUserId);
+    const candidate = loadedProfiles.get(author.userId);
+
+    if (!current || !candidate) {
+      return '<div class="sd-overlap sd-overlap-loading">Loading publications...</div>';
+    }
+
+    const failed = !current.success ? current : (!candidate.success ? candidate : null);
+    if (failed) {
+      return `<div class="sd-overlap sd-error">${escapeHtml(failed.message)}</div>`;
+    }
+
+    const overlap = SDProfile.compareProfiles(current.profile, candidate.profile, currentAuthorName);
+    const renderList = (items, limit) => items.slice(0, limit).map(item => `<li>${escapeHtml(item)}</li>`).join('') +
+      (items.length > limit ? `<li class="sd-overlap-more">and ${items.length - limit} more</li>` : '');
+
+    let html = `<div class="sd-overlap">
+      <div class="sd-overlap-summary">
+        ${candidate.profile.publications.length} publications compared:
+        ${overlap.sharedTitles.length} shared titles,
+        ${overlap.sharedVenues.length} shared venues,
+        ${overlap.sharedCoauthors.length} shared co-authors
+      </div>`;
+
+    if (overlap.sharedTitles.length > 0) {
+      html += `<div class="sd-overlap-label">Shared titles</div><ul class="sd-overlap-list">${renderList(overlap.sharedTitles, 5)}</ul>`;
+    }
+    if (overlap.sharedVenues.length > 0) {
+      html += `<div class="sd-overlap-label">Shared venues</div><ul class="sd-overlap-list">${renderList(overlap.sharedVenues, 5)}</ul>`;
+    }
+    if (overlap.sharedCoauthors.length > 0) {
+      html += `<div class="sd-overlap-label">Shared co-authors</div><ul class="sd-overlap-list">${renderList(overlap.sharedCoauthors, 8)}</ul>`;
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  async function toggleOverlap(userId) {
+    if (expandedUserIds.has(userId)) {
+      expandedUserIds.delete(userId);
+      renderResultsState();
+      return;
+    }
+
+    expandedUserIds.add(userId);
+    renderResultsState();
+
+    // Fetch the current profile first so it is shared by every comparison
+    await loadProfile(currentUserId);
+    await loadProfile(userId);
+
+    if (expandedUserIds.has(userId)) {
+      renderResultsState();
+    }
+  }
+
+  /**
+   * Assess a candidate as a duplicate of the current profile, using the
+   * publication overlap when both profiles have been fetched
+   */
+  function assessAuthorDuplicate(author) {
+    const current = loadedProfiles.get(currentUserId);
+    const candidate = loadedProfiles.get(author.userId);
+
+    let profiles = null;
+    if (current && current.success && candidate && candidate.success) {
+      profiles = {
+        current: current.profile,
+        candidate: candidate.profile,
+        overlap: SDProfile.compareProfiles(current.profile, candidate.profile, currentAuthorName)
+      };
+    }
+
+    return SDDuplicates.assessDuplicate(profileContext, author, profiles);
+  }
+
+  function renderDuplicateSection() {
+    if (!duplicateMode) return '';
+
+    const duplicates = allAuthors
+      .map(author => ({ author, assessment: assessAuthorDuplicate(author) }))
+      .filter(d => d.assessment.confidence)
+      .sort((a, b) => b.assessment.points - a.assessment.points);
+
+    let html = `
+      <div class="sd-duplicates">
+        <div class="sd-section-title">Possible duplicate profiles</div>
+    `;
+
+    if (duplicateScan) {
+      html += `<div class="sd-hint">Checking publications of top candidates (${duplicateScan.done}/${duplicateScan.total})...</div>`;
+    }
+
+    if (duplicates.length > 0) {
+      html += '<ul class="sd-duplicate-list">';
+      for (const { author, assessment } of duplicates) {
+        const level = assessment.confidence;
+        html += `
+          <li class="sd-duplicate-item">
+            <a class="sd-author-name" href="${escapeHtml(getProfileUrl(author))}" target="_blank">${escapeHtml(author.name)}</a>
+            <span class="sd-confidence sd-confidence-${level}">${level.charAt(0).toUpperCase() + level.slice(1)} confidence</span>
+            <div class="sd-duplicate-evidence">${assessment.evidence.map(escapeHtml).join(' · ')}</div>
+          </li>
+        `;
+      }
+      html += '</ul>';
+    } else if (!duplicateScan) {
+      html += '<div class="sd-hint">No likely duplicates among the candidates checked.</div>';
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  async function toggleDuplicateMode() {
+    duplicateMode = !duplicateMode;
+    if (!duplicateMode || duplicateScan) {
+      renderResultsState();
+      return;
+    }
+
+    // Fetch the top-ranked candidates so shared publications and co-authors count
+    const candidates = allAuthors.slice(0, DUPLICATE_SCAN_LIMIT);
+    duplicateScan = { done: 0, total: candidates.length };
+    renderResultsState();
+
+    await loadProfile(currentUserId);
+    for (const author of candidates) {
+      await loadProfile(author.userId);
+      duplicateScan.done++;
+      if (duplicateMode) renderResultsState();
+    }
+
+    duplicateScan = null;
+    if (duplicateMode) renderResultsState();
+  }
+
+  /**
+   * Filter toggle, sort menu and (when open) the filter controls. Menus list
+   * the email domains and countries found in the loaded results.
+   */
+  function renderFilters() {
+    const activeCount = Object.keys(SDFilters.DEFAULT_FILTERS)
+      .filter(key => filters[key] !== SDFilters.DEFAULT_FILTERS[key]).length;
+    const sortOptions = Object.entries(SDFilters.SORTS)
+      .map(([value, text]) => `<option value="${value}" ${value === sortBy ? 'selected' : ''}>${text}</option>`)
+      .join('');
+
+    let html = `
+      <div class="sd-filters">
+        <div class="sd-filters-bar">
+          <button class="sd-link-btn" id="sd-filters-toggle">
+            ${filtersOpen ? 'Hide filters' : 'Filter'}${activeCount > 0 ? ` (${activeCount} active)` : ''}
+          </button>
+          <label class="sd-filter-sort">Sort by <select id="sd-sort">${sortOptions}</select></label>
+        </div>
+    `;
+
+    if (filtersOpen) {
+      const { institutions, emailDomains, countries } = SDFilters.facets(allAuthors);
+      const menu = (key, entries, label) => {
+        // Keep the selected value listed even if no loaded profile has it
+        if (filters[key] && !entries.some(entry => entry.value === filters[key])) {
+          entries.unshift({ value: filters[key], count: 0 });
+        }
+        return `<select data-filter="${key}"><option value="">Any</option>${entries.map(entry =>
+          `<option value="${escapeHtml(entry.value)}" ${entry.value === filters[key] ? 'selected' : ''}>${escapeHtml(label(entry.value))} (${entry.count})</option>`
+        ).join('')}</select>`;
+      };
+
+      html += `
+        <div class="sd-filter-grid">
+          <label class="sd-filter">Affiliation
+            <input type="text" data-filter="affiliation" value="${escapeHtml(filters.affiliation)}" placeholder="Keyword">
+          </label>
+          <label class="sd-filter">Institution ${menu('institution', institutions, value => {
+            const institution = SDInstitutions.byId(value);
+            return institution ? institution.name : value;
+          })}</label>
+          <label class="sd-filter">Email domain ${menu('emailDomain', emailDomains, value => value)}</label>
+          <label class="sd-filter">Country ${menu('country', countries, SDFilters.countryName)}</label>
+          <label class="sd-filter">Min. citations
+            <input type="number" data-filter="minCitations" min="0" step="100" value="${filters.minCitations || ''}">
+          </label>
+          <label class="sd-checkbox"><input type="checkbox" data-filter="hasPhoto" ${filters.hasPhoto ? 'checked' : ''}> Has photo</label>
+          <label class="sd-checkbox"><input type="checkbox" data-filter="verifiedEmail" ${filters.verifiedEmail ? 'checked' : ''}> Verified email</label>
+        </div>
+        ${activeCount > 0 ? '<button class="sd-link-btn" id="sd-filters-clear">Clear filters</button>' : ''}
+      `;
+    }
+
+    return `${html}</div>`;
+  }
+
+  /**
+   * "Load all" button, or its progress bar while it runs
+   */
+  function renderLoadAll() {
+    if (loadAllRun) {
+      const { pages, maxPages, startedAt } = loadAllRun;
+      const percent = Math.round((pages / maxPages) * 100);
+      // Pages so far give the pace; the page limit bounds what is left
+      const eta = pages > 0
+        ? `about ${formatDuration(((Date.now() - startedAt) / pages) * (maxPages - pages))} left at most`
+        : 'estimating time left';
+      return `
+        <div class="sd-load-all">
+          <div class="sd-progress"><div class="sd-progress-bar" style="width: ${percent}%"></div></div>
+          <div class="sd-load-all-info">
+            Page ${pages + 1} of up to ${maxPages} &middot; ${allAuthors.length} profiles &middot; ${eta}
+            <button class="sd-link-btn" id="sd-load-all-cancel-btn">Cancel</button>
+          </div>
+        </div>
+      `;
+    }
+
+    if (!nextPageToken) return '';
+
+    const reasons = {
+      cancelled: 'Cancelled',
+      captcha: 'Stopped for a CAPTCHA',
+      limit: `Reached the limit of ${settings.loadAllMaxPages} pages`,
+      error: loadAllStopped && loadAllStopped.error ? SDErrors.describe(loadAllStopped.error.error).title : ''
+    };
+    const stoppedInfo = loadAllStopped
+      ? `<span class="sd-load-all-info">${escapeHtml(reasons[loadAllStopped.reason])} after ${loadAllStopped.pages} page${loadAllStopped.pages === 1 ? '' : 's'}.</span>`
+      : '';
+    return `
+      <div class="sd-load-all">
+        ${stoppedInfo}
+        <button class="sd-link-btn" id="sd-load-all-btn" ${isLoadingMore ? 'disabled' : ''}>
+          ${loadAllStopped ? 'Resume loading' : `Load all (up to ${settings.loadAllMaxPages} pages)`}
+        </button>
+      </div>
+    `;
+  }
+
+  function formatDuration(ms) {
+    const seconds = Math.max(1, Math.round(ms / 1000));
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
   }
 
   async function handleLoadMore() {
@@ -493,6 +1468,7 @@
 
   function renderNoResultsState() {
     if (!sidebarContainer) return;
+    reportResultCount();
     sidebarContainer.innerHTML = `
       <div class="sd-header"><span>Similar Authors</span></div>
       <div class="sd-no-results">No other authors found with this name.</div>
@@ -501,34 +1477,92 @@
     sidebarContainer.querySelector('#sd-refresh-btn').addEventListener('click', () => handleSearchClick(true));
   }
 
-  function renderErrorState(message, errorType) {
+  /**
+   * Show a failed search with the recovery options of its error type
+   * (see src/lib/errors.js)
+   * @param {Object} result - Failed result object { error, message, ... }
+   */
+  function renderErrorState(result) {
     if (!sidebarContainer) return;
 
-    let helpText = '';
-    if (errorType === 'rate_limited' || errorType === 'captcha') {
-      helpText = '<div class="sd-hint">Try again in a few minutes.</div>';
+    const description = SDErrors.describe(result.error);
+    let recovery = '';
+    switch (description.recovery) {
+      case 'wait':
+        recovery = '<div class="sd-hint">Requests from all tabs resume automatically after a short cooldown.</div>';
+        break;
+      case 'challenge':
+        recovery = `
+          <button class="sd-refresh" id="sd-challenge-btn">Open the Scholar challenge</button>
+          <div class="sd-hint">The search runs again once the challenge is solved.</div>
+        `;
+        break;
+      case 'sign_in':
+        recovery = '<button class="sd-refresh" id="sd-sign-in-btn">Sign in to Google</button>';
+        break;
+      case 'report':
+        recovery = `
+          <div class="sd-hint">If this keeps happening, the extension needs an update for the new layout.</div>
+          <button class="sd-link-btn" id="sd-copy-details-btn">Copy details for a bug report</button>
+        `;
+        break;
+      case 'reconnect':
+        recovery = '<div class="sd-hint">The search runs again once you are back online.</div>';
+        break;
     }
 
     sidebarContainer.innerHTML = `
       <div class="sd-header"><span>Similar Authors</span></div>
-      <div class="sd-error">${escapeHtml(message)}</div>
-      ${helpText}
+      <div class="sd-error">
+        <strong>${escapeHtml(description.title)}</strong>
+        <div>${escapeHtml(result.message || description.message)}</div>
+      </div>
+      ${recovery}
       <button class="sd-button" id="sd-retry-btn">Try again</button>
     `;
     sidebarContainer.querySelector('#sd-retry-btn').addEventListener('click', () => handleSearchClick(true));
-  }
 
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    const challengeBtn = sidebarContainer.querySelector('#sd-challenge-btn');
+    if (challengeBtn) {
+      challengeBtn.addEventListener('click', () => sendMessage({ action: 'openChallenge' }));
+    }
+
+    const signInBtn = sidebarContainer.querySelector('#sd-sign-in-btn');
+    if (signInBtn) {
+      signInBtn.addEventListener('click', () => sendMessage({ action: 'openSignIn', url: window.location.href }));
+    }
+
+    const copyBtn = sidebarContainer.querySelector('#sd-copy-details-btn');
+    if (copyBtn) {
+      copyBtn.addEventListener('click', async () => {
+        const details = {
+          error: result.error,
+          pageKind: result.pageKind,
+          expected: result.expected,
+          url: result.url,
+          extensionVersion: chrome.runtime.getManifest().version,
+          time: new Date().toISOString(),
+          parser: await SDDiagnostics.buildReport()
+        };
+        await navigator.clipboard.writeText(JSON.stringify(details, null, 2));
+        copyBtn.textContent = 'Copied';
+      });
+    }
   }
 
   async function handleSearchClick(skipCache = false) {
     if (!currentAuthorName) return;
 
+    retryAfterChallenge = false;
+    retryWhenOnline = false;
+    if (loadAllRun) {
+      loadAllRun.stop('cancelled');
+      loadAllRun = null;
+    }
+    loadAllStopped = null;
     currentPage = 1;
     allAuthors = [];
+    foundAuthors = [];
     nextPageToken = null;
     renderLoadingState();
 
@@ -542,10 +1576,25 @@
           renderResultsState();
         }
       } else {
-        renderErrorState(result.message, result.error);
+        const { recovery } = SDErrors.describe(result.error);
+        retryAfterChallenge = recovery === 'challenge';
+        retryWhenOnline = recovery === 'reconnect';
+        renderErrorState(result);
       }
     } catch (error) {
-      renderErrorState('An unexpected error occurred.', 'unknown');
+      renderErrorState(SDErrors.createError(SDErrors.ERROR_TYPES.UNKNOWN));
+    }
+  }
+
+  // ==================== SETTINGS ====================
+
+  /**
+   * Apply settings changed on the options page to the open sidebar
+   */
+  function handleSettingsChange(newSettings) {
+    settings = newSettings;
+    if (sidebarContainer && sidebarContainer.querySelector('.sd-results')) {
+      renderResultsState();
     }
   }
 
@@ -559,9 +1608,11 @@
     }
   }
 
-  function onReady() {
+  async function onReady() {
     currentUserId = extractUserId();
     currentAuthorName = extractAuthorName();
+    profileContext = extractProfileContext();
+    nameVariants = currentAuthorName ? extractNameVariants() : [];
 
     console.log('[Scholar Disambiguator] Extension loaded');
     console.log('[Scholar Disambiguator] User ID:', currentUserId);
@@ -569,15 +1620,57 @@
 
     if (!currentAuthorName || !currentUserId) return;
 
+    settings = await SDSettings.load();
+    SDSettings.onChange(handleSettingsChange);
+
+    favorites = await SDFavorites.loadAll();
+    SDFavorites.onChange(all => {
+      favorites = all;
+      if (sidebarContainer && sidebarContainer.querySelector('.sd-results')) {
+        renderResultsState();
+      }
+    });
+
+    const watchId = SDWatchlist.entryId(currentAuthorName);
+    watched = !!(await SDWatchlist.loadAll())[watchId];
+    SDWatchlist.onChange(all => {
+      watched = !!all[watchId];
+      if (sidebarContainer && sidebarContainer.querySelector('.sd-results')) {
+        renderResultsState();
+      }
+    });
+
+    labels = await SDLabels.loadFor(currentUserId);
+    SDLabels.onChange(all => {
+      labels = SDLabels.labelsFor(all, currentUserId);
+      applyLabels();
+    });
+
     sidebarContainer = createSidebar();
     if (sidebarContainer) {
       renderInitialState();
     }
 
+    // One listener for the whole page; a search that failed offline runs again
+    window.addEventListener('online', () => {
+      if (retryWhenOnline) handleSearchClick(true);
+    });
+
+    // Follow the shared request queue (cooldowns triggered by any tab)
+    chrome.runtime.onMessage.addListener(request => {
+      if (request.action === 'schedulerState') {
+        handleSchedulerState(request.state);
+      }
+    });
+    sendMessage({ action: 'getSchedulerState' })
+      .then(response => response && response.success && handleSchedulerState(response.state))
+      .catch(() => {});
+
     window.scholarDisambiguator = {
       search: handleSearchClick,
       loadMore: loadMoreAuthors,
-      clearCache: () => sessionStorage.removeItem(getCacheKey(currentAuthorName))
+      loadAll: loadAllAuthors,
+      clearCache
     };
   }
 
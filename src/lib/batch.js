@@ -0,0 +1,357 @@
+// Scholar Disambiguator - Batch Lookup
+// Turns a pasted list or an uploaded CSV of names into a batch of searches,
+// stores the batch (with the candidates found and the profile chosen per
+// name) in chrome.storage.local so it survives restarts, and exports it.
+//
+// Input formats:
+//   - One name per line; a single line such as a paper's byline is split at
+//     commas, semicolons and "and"
+//   - CSV or TSV with a header row naming a "name" / "author" column, or
+//     "first name" and "last name" columns. Optional "affiliation" and
+//     "email" columns are used to rank the candidates.
+//
+// JSON export format (version 1):
+//
+//   {
+//     "format": "scholar-disambiguator/batch",
+//     "version": 1,
+//     "exportedAt": "<date-time>",
+//     "rows": [{
+//       "name": "Wei Wang",              // As given in the input
+//       "affiliation": "UCLA",           // Input hints, '' if none
+//       "email": "",
+//       "status": "done",                // pending | done | error
+//       "userId": "Abc123AAAAAJ",        // Chosen profile, null if none chosen
+//       "profileUrl": "https://...",     // null if none chosen
+//       "profileName": "Wei Wang",
+//       "profileAffiliation": "...",
+//       "profileInstitution": "...",     // Recognized institution, null if none
+//       "candidates": 10                 // Profiles found on the first result page
+//     }]
+//   }
+//
+// CSV exports have the same row fields as columns, in the order of CSV_COLUMNS.
+
+(function(root) {
+  'use strict';
+
+  const BATCH_KEY = 'sd_batch';
+  const BATCH_FORMAT = 'scholar-disambiguator/batch';
+  const BATCH_VERSION = 1;
+
+  const MAX_ROWS = 500; // Names in one batch
+  const NAME_MAX_LENGTH = 100; // Longer cells are not a name
+
+  // Value of chosenUserId when the person has no matching Scholar profile
+  const NO_PROFILE = 'none';
+
+  const CSV_COLUMNS = ['name', 'affiliation', 'email', 'status', 'userId', 'profileUrl', 'profileName', 'profileAffiliation', 'profileInstitution', 'candidates'];
+
+  // Header cells (lowercased, without spaces, dashes and underscores)
+  const HEADER_NAMES = {
+    name: ['name', 'author', 'authorname', 'fullname', 'researcher'],
+    first: ['firstname', 'givenname', 'forename'],
+    last: ['lastname', 'familyname', 'surname'],
+    affiliation: ['affiliation', 'institution', 'organization', 'organisation', 'department', 'university'],
+    email: ['email', 'emailaddress', 'mail']
+  };
+
+  // ==================== INPUT ====================
+
+  /**
+   * Split CSV text into rows of cells (RFC 4180 quoting, any line endings)
+   * @param {string} text - CSV text
+   * @param {string} delimiter - ',', ';' or '\t'
+   * @returns {string[][]} Rows
+   */
+  function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Find the columns of a header row
+   * @param {string[]} header - Header cells
+   * @returns {Object|null} { name, first, last, affiliation, email } column
+   *   indexes (-1 if absent), or null if no name column was found
+   */
+  function findColumns(header) {
+    const keys = header.map(cell => cell.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+    const columns = {};
+    for (const [field, names] of Object.entries(HEADER_NAMES)) {
+      columns[field] = keys.findIndex(key => names.includes(key));
+    }
+    const hasName = columns.name !== -1 || (columns.first !== -1 && columns.last !== -1);
+    return hasName ? columns : null;
+  }
+
+  /**
+   * Read names from pasted text or an uploaded file
+   * @param {string} text - Text or CSV/TSV contents
+   * @returns {{rows: Array<{name: string, affiliation: string, email: string}>,
+   *   duplicates: number, skipped: number, truncated: number}} Rows in input
+   *   order; repeated names are counted in duplicates, cells that cannot be a
+   *   name in skipped, and rows past MAX_ROWS in truncated
+   */
+  function parseInput(text) {
+    text = (text || '').replace(/^\uFEFF/, '');
+    const lines = text.split(/\r\n|\r|\n/).filter(line => line.trim());
+
+    let entries = null;
+    if (lines.length > 0) {
+      const delimiter = ['\t', ';', ','].find(d => lines[0].includes(d));
+      const columns = delimiter ? findColumns(parseCsv(lines[0], delimiter)[0]) : null;
+      if (columns) {
+        const cell = (cells, index) => (index !== -1 && cells[index] ? cells[index].trim() : '');
+        entries = parseCsv(text, delimiter).slice(1).map(cells => ({
+          name: columns.name !== -1
+            ? cell(cells, columns.name)
+            : `${cell(cells, columns.first)} ${cell(cells, columns.last)}`,
+          affiliation: cell(cells, columns.affiliation),
+          email: cell(cells, columns.email)
+        }));
+      }
+    }
+
+    if (!entries) {
+      // A byline pasted as one line: "A. Smith, B. Jones and C. Lee"
+      const names = lines.length === 1
+        ? lines[0].split(/\s*(?:[,;]|\band\b|&)\s*/)
+        : lines;
+      entries = names.map(name => ({ name, affiliation: '', email: '' }));
+    }
+
+    const seen = new Set();
+    const rows = [];
+    let duplicates = 0;
+    let skipped = 0;
+    for (const entry of entries) {
+      const name = root.SDNames.cleanListedName(entry.name);
+      if (!name || name.length > NAME_MAX_LENGTH || !/\p{L}/u.test(name)) {
+        skipped++;
+        continue;
+      }
+      const key = name.toLowerCase();
+      if (seen.has(key)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(key);
+      rows.push({ ...entry, name });
+    }
+
+    return {
+      rows: rows.slice(0, MAX_ROWS),
+      duplicates,
+      skipped,
+      truncated: Math.max(0, rows.length - MAX_ROWS)
+    };
+  }
+
+  // ==================== BATCH ====================
+
+  /**
+   * Start a batch from parsed rows
+   * @param {Array<{name: string, affiliation: string, email: string}>} rows - From parseInput
+   * @returns {Object} { createdAt, rows: [{ name, affiliation, email, status,
+   *   error, candidates, hasMore, chosenUserId }] } where status is 'pending',
+   *   'done' or 'error', candidates is null until searched, and chosenUserId
+   *   is a candidate's user ID, NO_PROFILE or null
+   */
+  function createBatch(rows) {
+    return {
+      createdAt: Date.now(),
+      rows: rows.map(row => ({
+        name: row.name,
+        affiliation: row.affiliation || '',
+        email: row.email || '',
+        status: 'pending',
+        error: null,
+        candidates: null,
+        hasMore: false,
+        chosenUserId: null
+      }))
+    };
+  }
+
+  /**
+   * Load the stored batch
+   * @returns {Promise<Object|null>}
+   */
+  async function load() {
+    try {
+      const stored = await chrome.storage.local.get(BATCH_KEY);
+      return stored[BATCH_KEY] || null;
+    } catch (e) {
+      console.error('[Scholar Disambiguator] Batch read error:', e);
+      return null;
+    }
+  }
+
+  function save(batch) {
+    return chrome.storage.local.set({ [BATCH_KEY]: batch });
+  }
+
+  function clear() {
+    return chrome.storage.local.remove(BATCH_KEY);
+  }
+
+  /**
+   * Watch for batch changes from any page
+   * @param {Function} callback - Called with the batch, or null once cleared
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[BATCH_KEY]) {
+        callback(changes[BATCH_KEY].newValue || null);
+      }
+    });
+  }
+
+  /**
+   * Record the search result of a row. Candidates are ranked against the
+   * row's affiliation and email hints and their institutions resolved (see
+   * src/lib/institutions.js); a lone candidate is chosen unless a choice was
+   * already made.
+   * @param {Object} row - Batch row (changed in place)
+   * @param {Object[]} authors - Parsed authors from the first result page
+   * @param {boolean} hasMore - Whether Scholar has more pages
+   */
+  function recordResult(row, authors, hasMore) {
+    const emailMatch = row.email.match(/@?([\w.-]+\.[a-z]{2,})$/i);
+    const context = row.affiliation || emailMatch
+      ? { affiliation: row.affiliation, emailDomain: emailMatch ? emailMatch[1] : null }
+      : null;
+    const annotated = root.SDInstitutions.annotate(authors);
+    const ranked = context ? root.SDScoring.rankCandidates(annotated, context) : annotated;
+
+    row.status = 'done';
+    row.error = null;
+    row.hasMore = hasMore;
+    row.candidates = ranked.filter(author => author.userId).map(author => ({
+      userId: author.userId,
+      name: author.name,
+      affiliation: author.affiliation || '',
+      institution: author.institution ? author.institution.name : null,
+      emailDomain: author.emailDomain || null,
+      citationCount: author.citationCount !== undefined ? author.citationCount : null,
+      interests: (author.interests || []).slice(0, 3),
+      score: context ? author.match.score : null
+    }));
+    if (row.chosenUserId === null && row.candidates.length === 1 && !hasMore) {
+      row.chosenUserId = row.candidates[0].userId;
+    }
+  }
+
+  /**
+   * Count rows by state
+   * @param {Object} batch - Batch
+   * @returns {{total: number, done: number, failed: number, pending: number, chosen: number}}
+   */
+  function progress(batch) {
+    const rows = batch ? batch.rows : [];
+    return {
+      total: rows.length,
+      done: rows.filter(row => row.status === 'done').length,
+      failed: rows.filter(row => row.status === 'error').length,
+      pending: rows.filter(row => row.status === 'pending').length,
+      chosen: rows.filter(row => row.chosenUserId && row.chosenUserId !== NO_PROFILE).length
+    };
+  }
+
+  // ==================== EXPORT ====================
+
+  /**
+   * Convert a batch to export rows (see the format above)
+   * @param {Object} batch - Batch
+   * @param {string} baseUrl - Scholar base URL for profile links
+   * @returns {Object[]} Records
+   */
+  function toRecords(batch, baseUrl) {
+    return batch.rows.map(row => {
+      const chosen = (row.candidates || []).find(candidate => candidate.userId === row.chosenUserId) || null;
+      return {
+        name: row.name,
+        affiliation: row.affiliation,
+        email: row.email,
+        status: row.status,
+        userId: chosen ? chosen.userId : null,
+        profileUrl: chosen ? `${baseUrl}/citations?user=${encodeURIComponent(chosen.userId)}` : null,
+        profileName: chosen ? chosen.name : null,
+        profileAffiliation: chosen ? chosen.affiliation : null,
+        profileInstitution: chosen && chosen.institution ? chosen.institution : null,
+        candidates: row.candidates ? row.candidates.length : null
+      };
+    });
+  }
+
+  /**
+   * Serialize a batch as JSON (see the format above)
+   * @param {Object} batch - Batch
+   * @param {string} baseUrl - Scholar base URL
+   * @returns {string} JSON text
+   */
+  function toJson(batch, baseUrl) {
+    return JSON.stringify({
+      format: BATCH_FORMAT,
+      version: BATCH_VERSION,
+      exportedAt: new Date().toISOString(),
+      rows: toRecords(batch, baseUrl)
+    }, null, 2);
+  }
+
+  root.SDBatch = {
+    MAX_ROWS,
+    NO_PROFILE,
+    CSV_COLUMNS,
+    parseCsv,
+    parseInput,
+    createBatch,
+    load,
+    save,
+    clear,
+    onChange,
+    recordResult,
+    progress,
+    toRecords,
+    toJson
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDBatch;
+  }
+})(globalThis);
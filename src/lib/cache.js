@@ -0,0 +1,249 @@
+// Scholar Disambiguator - Persistent Cache
+// Shared result cache owned by the service worker and stored in
+// chrome.storage.local, so every tab and regional Scholar domain reuses it
+
+(function(root) {
+  'use strict';
+
+  // How long each entry type stays fresh
+  const DEFAULT_TTL_MS = {
+    search: 6 * 60 * 60 * 1000, // 6 hours
+    profile: 24 * 60 * 60 * 1000 // 1 day
+  };
+
+  // Size caps; least recently used entries are evicted beyond them
+  const MAX_CACHE_ENTRIES = 500;
+  const MAX_CACHE_BYTES = 4 * 1024 * 1024; // chrome.storage.local allows 10 MB
+
+  const KEY_PREFIX = 'sd_cache:';
+  const INDEX_KEY = 'sd_cache_index';
+
+  const ttlMs = { ...DEFAULT_TTL_MS };
+
+  // storage key -> { type, storedAt, accessedAt, bytes }, loaded once per worker lifetime
+  let indexPromise = null;
+
+  function loadIndex() {
+    if (!indexPromise) {
+      indexPromise = chrome.storage.local.get(INDEX_KEY)
+        .then(stored => stored[INDEX_KEY] || {})
+        .catch(e => {
+          console.error('[Scholar Disambiguator] Cache index read error:', e);
+          return {};
+        });
+    }
+    return indexPromise;
+  }
+
+  function saveIndex(index) {
+    return chrome.storage.local.set({ [INDEX_KEY]: index });
+  }
+
+  function storageKey(type, key) {
+    return `${KEY_PREFIX}${type}:${key}`;
+  }
+
+  /**
+   * Get the time-to-live of an entry type
+   * @param {string} type - Entry type ('search' or 'profile')
+   * @returns {number} TTL in milliseconds
+   */
+  function getTtl(type) {
+    return ttlMs[type] !== undefined ? ttlMs[type] : DEFAULT_TTL_MS.search;
+  }
+
+  /**
+   * Change the time-to-live of an entry type
+   * @param {string} type - Entry type
+   * @param {number} ms - TTL in milliseconds
+   */
+  function setTtl(type, ms) {
+    ttlMs[type] = ms;
+  }
+
+  /**
+   * Read a fresh entry and mark it as recently used
+   * @param {string} type - Entry type
+   * @param {string} key - Entry key within the type
+   * @returns {Promise<{value: *, storedAt: number}|null>} The entry or null if missing or expired
+   */
+  async function get(type, key) {
+    const index = await loadIndex();
+    const itemKey = storageKey(type, key);
+    const meta = index[itemKey];
+    if (!meta) return null;
+
+    if (Date.now() - meta.storedAt > getTtl(type)) {
+      delete index[itemKey];
+      await chrome.storage.local.remove(itemKey);
+      await saveIndex(index);
+      return null;
+    }
+
+    const stored = await chrome.storage.local.get(itemKey);
+    if (!(itemKey in stored)) {
+      delete index[itemKey];
+      await saveIndex(index);
+      return null;
+    }
+
+    meta.accessedAt = Date.now();
+    await saveIndex(index);
+    return { value: stored[itemKey], storedAt: meta.storedAt };
+  }
+
+  /**
+   * Store an entry, evicting expired and least recently used entries as needed
+   * @param {string} type - Entry type
+   * @param {string} key - Entry key within the type
+   * @param {*} value - JSON-serializable value
+   */
+  async function set(type, key, value) {
+    const index = await loadIndex();
+    const itemKey = storageKey(type, key);
+    const now = Date.now();
+
+    index[itemKey] = {
+      type,
+      storedAt: now,
+      accessedAt: now,
+      bytes: JSON.stringify(value).length
+    };
+
+    await chrome.storage.local.set({ [itemKey]: value });
+    await evict(index);
+    await saveIndex(index);
+  }
+
+  /**
+   * Drop expired entries, then the least recently used ones until the cache
+   * fits within MAX_CACHE_ENTRIES and MAX_CACHE_BYTES
+   */
+  async function evict(index) {
+    const now = Date.now();
+    const removed = [];
+
+    for (const [itemKey, meta] of Object.entries(index)) {
+      if (now - meta.storedAt > getTtl(meta.type)) {
+        removed.push(itemKey);
+        delete index[itemKey];
+      }
+    }
+
+    const entries = Object.entries(index).sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+    let totalBytes = entries.reduce((sum, [, meta]) => sum + meta.bytes, 0);
+    let count = entries.length;
+
+    for (const [itemKey, meta] of entries) {
+      if (count <= MAX_CACHE_ENTRIES && totalBytes <= MAX_CACHE_BYTES) break;
+      removed.push(itemKey);
+      delete index[itemKey];
+      totalBytes -= meta.bytes;
+      count--;
+    }
+
+    if (removed.length > 0) {
+      console.log('[Scholar Disambiguator] Evicted', removed.length, 'cache entries');
+      await chrome.storage.local.remove(removed);
+    }
+  }
+
+  /**
+   * Remove all entries, or all entries of one type
+   * @param {string} [type] - Entry type to clear
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async function clear(type = null) {
+    const index = await loadIndex();
+    const removed = Object.keys(index).filter(itemKey => !type || index[itemKey].type === type);
+    for (const itemKey of removed) {
+      delete index[itemKey];
+    }
+
+    await chrome.storage.local.remove(removed);
+    await saveIndex(index);
+    return removed.length;
+  }
+
+  /**
+   * List every fresh entry, e.g. for a knowledge base export
+   * @returns {Promise<Array<{type: string, key: string, value: *, storedAt: number}>>}
+   */
+  async function entries() {
+    const index = await loadIndex();
+    const now = Date.now();
+    const fresh = Object.entries(index).filter(([, meta]) => now - meta.storedAt <= getTtl(meta.type));
+    if (fresh.length === 0) return [];
+
+    const stored = await chrome.storage.local.get(fresh.map(([itemKey]) => itemKey));
+    return fresh
+      .filter(([itemKey]) => itemKey in stored)
+      .map(([itemKey, meta]) => ({
+        type: meta.type,
+        key: itemKey.slice(KEY_PREFIX.length + meta.type.length + 1),
+        value: stored[itemKey],
+        storedAt: meta.storedAt
+      }));
+  }
+
+  /**
+   * Store entries keeping their original storage time, so imported data
+   * expires when it would have at its source
+   * @param {Array<{type: string, key: string, value: *, storedAt: number}>} items - Entries to store
+   * @returns {Promise<number>} Number of entries stored
+   */
+  async function importEntries(items) {
+    const index = await loadIndex();
+    const now = Date.now();
+    const values = {};
+
+    for (const item of items) {
+      const itemKey = storageKey(item.type, item.key);
+      values[itemKey] = item.value;
+      index[itemKey] = {
+        type: item.type,
+        storedAt: Math.min(item.storedAt, now),
+        accessedAt: now,
+        bytes: JSON.stringify(item.value).length
+      };
+    }
+
+    await chrome.storage.local.set(values);
+    await evict(index);
+    await saveIndex(index);
+    return items.length;
+  }
+
+  /**
+   * Summarize the cache contents
+   * @returns {Promise<{entries: number, bytes: number, byType: Object}>}
+   */
+  async function stats() {
+    const index = await loadIndex();
+    const byType = {};
+    let bytes = 0;
+    for (const meta of Object.values(index)) {
+      byType[meta.type] = (byType[meta.type] || 0) + 1;
+      bytes += meta.bytes;
+    }
+    return { entries: Object.keys(index).length, bytes, byType };
+  }
+
+  root.SDCache = {
+    DEFAULT_TTL_MS,
+    MAX_CACHE_ENTRIES,
+    MAX_CACHE_BYTES,
+    get,
+    set,
+    clear,
+    entries,
+    importEntries,
+    stats,
+    getTtl,
+    setTtl
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDCache;
+  }
+})(globalThis);
@@ -0,0 +1,164 @@
+// Scholar Disambiguator - Author Cards
+// HTML for the candidate cards and their pagination, shared by the profile
+// sidebar, the article result popovers and the toolbar popup so a profile
+// looks the same wherever it is listed. Event listeners stay with each view.
+
+(function(root) {
+  'use strict';
+
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  /**
+   * Escape text for use in HTML content and attribute values
+   * @param {*} text - Any value; null and undefined become ''
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return text === null || text === undefined
+      ? ''
+      : String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+
+  /**
+   * Render the name variant, verified email and research interests as tags
+   * @param {Object} author - Parsed author
+   * @param {Object} fields - Card fields to show (see cardFields in src/lib/settings.js)
+   * @returns {string} HTML, or '' without tags
+   */
+  function renderTags(author, fields) {
+    const tags = [];
+    if (author.matchedVariant) {
+      tags.push(`<span class="sd-tag sd-tag-variant" title="Found by searching this name variant">${escapeHtml(author.matchedVariant)}</span>`);
+    }
+    if (fields.email && author.emailVerified) {
+      tags.push(`<span class="sd-tag sd-tag-email" title="Verified email">&#10003; ${escapeHtml(author.emailDomain)}</span>`);
+    }
+    for (const interest of fields.interests ? author.interests || [] : []) {
+      tags.push(`<span class="sd-tag">${escapeHtml(interest)}</span>`);
+    }
+    return tags.length > 0 ? `<div class="sd-author-tags">${tags.join('')}</div>` : '';
+  }
+
+  /**
+   * Render the institution an affiliation or email domain was recognized as
+   * (see src/lib/institutions.js), unless the affiliation already reads so
+   * @param {Object} author - Author annotated with `institution`
+   * @returns {string} HTML, or ''
+   */
+  function renderInstitution(author) {
+    const institution = author.institution;
+    if (!institution || (author.affiliation || '').trim().toLowerCase() === institution.name.toLowerCase()) return '';
+    const source = institution.source === 'email' ? 'email domain' : 'affiliation';
+    return `<div class="sd-author-institution" title="Recognized from the ${source}">${escapeHtml(institution.name)}</div>`;
+  }
+
+  /**
+   * Render one candidate card
+   * @param {Object} author - Parsed author, optionally annotated with `institution`
+   * @param {Object} options
+   * @param {Object} options.fields - Card fields to show
+   * @param {string} options.profileUrl - Link target of the name
+   * @param {string} [options.className] - Extra classes of the card
+   * @param {string} [options.before] - HTML placed before the name
+   * @param {string} [options.after] - HTML placed after the tags (view-specific controls)
+   * @returns {string} HTML of an <li class="sd-author-card">
+   */
+  function renderAuthorCard(author, { fields, profileUrl, className = '', before = '', after = '' }) {
+    const affiliation = author.affiliation || 'Affiliation not listed';
+    const citations = fields.citations && author.citationCount !== null && author.citationCount !== undefined
+      ? `Cited by ${author.citationCount.toLocaleString()}`
+      : '';
+    let thumbnail = '';
+    if (fields.photo) {
+      thumbnail = author.thumbnailUrl
+        ? `<img class="sd-author-thumb" src="${escapeHtml(author.thumbnailUrl)}" alt="">`
+        : '<div class="sd-author-thumb sd-author-thumb-placeholder"></div>';
+    }
+
+    return `
+      <li class="sd-author-card${className ? ` ${className}` : ''}">
+        ${thumbnail}
+        <div class="sd-author-info">
+          ${before}
+          <a class="sd-author-name" href="${escapeHtml(profileUrl)}" target="_blank">
+            ${escapeHtml(author.name)}
+          </a>
+          ${fields.affiliation ? `<div class="sd-author-affiliation">${escapeHtml(affiliation)}</div>` : ''}
+          ${fields.affiliation ? renderInstitution(author) : ''}
+          ${citations ? `<div class="sd-author-citations">${citations}</div>` : ''}
+          ${renderTags(author, fields)}
+          ${after}
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * Render Prev/Next buttons and page numbers; "..." stands for pages not
+   * fetched from Scholar yet. Views wire up #sd-prev-btn, #sd-next-btn,
+   * .sd-page-num[data-page] and #sd-load-more.
+   * @param {number} currentPage - 1-based page shown
+   * @param {number} totalPages - Pages of the loaded authors
+   * @param {boolean} hasMore - Whether Scholar has more results
+   * @returns {string} HTML, or '' when everything fits on one page
+   */
+  function renderPagination(currentPage, totalPages, hasMore) {
+    if (totalPages <= 1 && !hasMore) return '';
+
+    let html = '<div class="sd-pagination">';
+    html += `<button class="sd-page-btn" id="sd-prev-btn" ${currentPage === 1 ? 'disabled' : ''}>Prev</button>`;
+
+    html += '<span class="sd-page-info">';
+    for (let i = 1; i <= totalPages; i++) {
+      html += `<span class="sd-page-num ${i === currentPage ? 'sd-page-current' : ''}" data-page="${i}">${i}</span>`;
+    }
+    if (hasMore) {
+      html += '<span class="sd-page-num sd-page-more" id="sd-load-more">...</span>';
+    }
+    html += '</span>';
+
+    const canGoNext = currentPage < totalPages || hasMore;
+    html += `<button class="sd-page-btn" id="sd-next-btn" ${!canGoNext ? 'disabled' : ''}>Next</button>`;
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Render a notice about the shared request queue for extension pages:
+   * paused for a CAPTCHA (with #sd-challenge-open-btn and
+   * #sd-challenge-done-btn for the view to wire up) or cooling down
+   * @param {Object|null} state - Scheduler state from getSchedulerState
+   * @returns {string} HTML, or '' while requests flow normally
+   */
+  function renderQueueNotice(state) {
+    if (state && state.status === 'paused') {
+      return `
+        <div class="sd-cooldown">
+          ${escapeHtml(root.SDErrors.describe(state.pausedReason).message)}
+          <div class="sd-cooldown-actions">
+            <button class="sd-link-btn" id="sd-challenge-open-btn">Open challenge</button>
+            <button class="sd-link-btn" id="sd-challenge-done-btn">I solved it</button>
+          </div>
+        </div>
+      `;
+    }
+    if (state && state.status === 'cooldown' && state.cooldownUntil > Date.now()) {
+      const seconds = Math.ceil((state.cooldownUntil - Date.now()) / 1000);
+      return `<div class="sd-cooldown">Google Scholar is limiting requests. Searches wait about ${seconds}s.</div>`;
+    }
+    return '';
+  }
+
+  root.SDCards = {
+    escapeHtml,
+    renderTags,
+    renderInstitution,
+    renderAuthorCard,
+    renderPagination,
+    renderQueueNotice
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDCards;
+  }
+})(globalThis);
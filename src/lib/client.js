@@ -0,0 +1,149 @@
+// Scholar Disambiguator - Extension Client
+// Messaging helpers for the content scripts and the extension pages
+// (comparison view and other full-page views), which search and load
+// profiles through the service worker's queue and cache
+
+(function(root) {
+  'use strict';
+
+  const MAX_PROFILE_PAGES = 3; // Publication pages fetched per profile (100 each)
+
+  function sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  async function getCachedEntry(type, key) {
+    try {
+      const response = await sendMessage({ action: 'cacheGet', type, key });
+      return response && response.success && response.entry ? response.entry.value : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function setCachedEntry(type, key, value) {
+    return sendMessage({ action: 'cacheSet', type, key, value })
+      .catch(e => console.error('[Scholar Disambiguator] Cache write error:', e));
+  }
+
+  /**
+   * Read cached search results. Entries hold every profile found, the one
+   * being viewed included, because every profile with the name shares them;
+   * the viewed profile is left out on each read instead.
+   * @param {string} key - Search cache key
+   * @param {string|null} [excludeUserId] - Profile being viewed
+   * @returns {Promise<Object|null>} { found, authors, nextToken }: found is
+   *   the whole entry, authors leaves out excludeUserId
+   */
+  async function getCachedSearch(key, excludeUserId = null) {
+    const data = await getCachedEntry('search', key);
+    if (!data || !Array.isArray(data.authors)) return null;
+    return {
+      found: data.authors,
+      authors: data.authors.filter(author => author.userId !== excludeUserId),
+      nextToken: data.nextToken
+    };
+  }
+
+  /**
+   * Cache search results
+   * @param {string} key - Search cache key
+   * @param {Object[]} found - Every profile found, the viewed one included
+   * @param {string|null} nextToken - Token of the next result page
+   * @returns {Promise} Settles once written
+   */
+  function cacheSearch(key, found, nextToken) {
+    return setCachedEntry('search', key, { authors: found, nextToken });
+  }
+
+  const profileRequests = new Map(); // "userId:maxPages" -> Promise of the loaded profile
+
+  /**
+   * Fetch and parse a profile with up to maxPages pages of publications,
+   * using the shared profile cache. Concurrent calls for the same user share
+   * one request.
+   * @param {string} userId - Scholar user ID
+   * @param {number} [maxPages] - Publication pages to fetch; views that only
+   *   need the profile header and co-authors can pass 1
+   * @returns {Promise<Object>} { success, profile } or an error result
+   */
+  function loadProfile(userId, maxPages = MAX_PROFILE_PAGES) {
+    const requestKey = `${userId}:${maxPages}`;
+    if (profileRequests.has(requestKey)) {
+      return profileRequests.get(requestKey);
+    }
+
+    const request = (async () => {
+      const cached = await getCachedEntry('profile', userId);
+      // Profiles cached before metrics were parsed are fetched again
+      if (cached && cached.metrics !== undefined) {
+        return { success: true, profile: cached };
+      }
+
+      let profile = null;
+      let cstart = 0;
+      let complete = true;
+
+      for (let page = 0; page < maxPages && cstart !== null; page++) {
+        const result = await sendMessage({ action: 'fetchProfile', userId, cstart });
+        if (!result.success) {
+          // Keep what we have if a later page fails
+          if (!profile) return result;
+          complete = false;
+          break;
+        }
+
+        const parsed = SDProfile.parseProfilePage(result.html);
+        if (profile) {
+          profile.publications.push(...parsed.publications);
+        } else {
+          profile = parsed;
+        }
+        cstart = result.nextCstart;
+      }
+
+      // Only cache full loads, so the cache never hides publications
+      if (complete && (cstart === null || maxPages >= MAX_PROFILE_PAGES)) {
+        setCachedEntry('profile', userId, profile);
+      }
+      return { success: true, profile };
+    })().catch(e => ({ success: false, error: 'unknown', message: e.message }));
+
+    profileRequests.set(requestKey, request);
+    request.then(result => {
+      // Allow a retry after a failure
+      if (!result.success) profileRequests.delete(requestKey);
+    });
+    return request;
+  }
+
+  /**
+   * Drop the profiles loaded so far, so the next loadProfile call reads the
+   * cache or Scholar again (after the cache is cleared)
+   */
+  function forgetProfiles() {
+    profileRequests.clear();
+  }
+
+  root.SDClient = {
+    sendMessage,
+    getCachedEntry,
+    setCachedEntry,
+    getCachedSearch,
+    cacheSearch,
+    loadProfile,
+    forgetProfiles
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDClient;
+  }
+})(globalThis);
@@ -0,0 +1,107 @@
+// Scholar Disambiguator - Parser Diagnostics
+// Local-only report of fields the parser could not find or only found through
+// fallback selectors (see src/lib/parser.js). Kept in chrome.storage.local and
+// never sent anywhere; the options page shows it so it can be copied into a
+// bug report when Scholar changes its layout.
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'sd_parser_diagnostics';
+  const MAX_ENTRIES = 50;
+
+  // Writes from one context are chained so concurrent records are not lost
+  let pendingWrite = Promise.resolve();
+
+  function issueKey(issue) {
+    return `${issue.pageKind}:${issue.field}:${issue.kind}`;
+  }
+
+  /**
+   * Load the stored report
+   * @returns {Promise<Object>} issue key -> { pageKind, field, kind, selectorSet,
+   *   occurrences, firstSeen, lastSeen, lastUrl, parserVersion }
+   */
+  function load() {
+    return new Promise(resolve => {
+      chrome.storage.local.get(STORAGE_KEY, data => {
+        resolve((data && data[STORAGE_KEY]) || {});
+      });
+    });
+  }
+
+  /**
+   * Add parser issues to the report, one entry per page kind, field and kind
+   * @param {Object[]} issues - Issues from SDParser ({pageKind, field, kind, selectorSet})
+   * @param {string} [url] - Page the issues came from
+   * @returns {Promise<void>}
+   */
+  function record(issues, url) {
+    if (!issues || issues.length === 0) return Promise.resolve();
+
+    pendingWrite = pendingWrite.then(async () => {
+      const entries = await load();
+      const now = Date.now();
+      for (const issue of issues) {
+        const key = issueKey(issue);
+        const entry = entries[key] || {
+          pageKind: issue.pageKind,
+          field: issue.field,
+          kind: issue.kind,
+          occurrences: 0,
+          firstSeen: now
+        };
+        entry.occurrences++;
+        entry.lastSeen = now;
+        entry.selectorSet = issue.selectorSet || null;
+        entry.lastUrl = url || entry.lastUrl || null;
+        entry.parserVersion = root.SDParser ? root.SDParser.PARSER_VERSION : null;
+        entries[key] = entry;
+      }
+
+      // Keep the most recently seen entries
+      const keys = Object.keys(entries).sort((a, b) => entries[b].lastSeen - entries[a].lastSeen);
+      for (const key of keys.slice(MAX_ENTRIES)) {
+        delete entries[key];
+      }
+
+      await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+      console.warn('[Scholar Disambiguator] Parser issues:', issues.map(issueKey).join(', '));
+    }).catch(e => console.error('[Scholar Disambiguator] Diagnostics write error:', e));
+    return pendingWrite;
+  }
+
+  /**
+   * Clear the report
+   * @returns {Promise<void>}
+   */
+  function clear() {
+    return chrome.storage.local.remove(STORAGE_KEY);
+  }
+
+  /**
+   * Build a plain report to copy into a bug report
+   * @returns {Promise<Object>} { parserVersion, extensionVersion, generatedAt, issues }
+   */
+  async function buildReport() {
+    const entries = await load();
+    return {
+      parserVersion: root.SDParser ? root.SDParser.PARSER_VERSION : null,
+      extensionVersion: chrome.runtime.getManifest().version,
+      generatedAt: new Date().toISOString(),
+      issues: Object.values(entries).sort((a, b) => b.lastSeen - a.lastSeen)
+    };
+  }
+
+  root.SDDiagnostics = {
+    STORAGE_KEY,
+    load,
+    record,
+    clear,
+    buildReport
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDDiagnostics;
+  }
+})(globalThis);
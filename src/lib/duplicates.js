@@ -0,0 +1,155 @@
+// Scholar Disambiguator - Duplicate Profile Detection
+// Flags candidates that are likely another Scholar profile of the same person
+// (e.g. an old student account) rather than a different researcher
+
+(function(root) {
+  'use strict';
+
+  // Evidence points needed for each confidence level
+  const CONFIDENCE_THRESHOLDS = [
+    { level: 'high', minPoints: 70 },
+    { level: 'medium', minPoints: 45 },
+    { level: 'low', minPoints: 25 }
+  ];
+
+  /**
+   * Lowercase a name, strip accents and punctuation
+   * @param {string} name - Raw name
+   * @returns {string[]} Name tokens
+   */
+  function nameTokens(name) {
+    return (name || '')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, ' ')
+      .split(/[^\p{L}]+/u)
+      .filter(Boolean);
+  }
+
+  /**
+   * Compare two author names
+   * @returns {string|null} 'identical', 'variant' (same surname and compatible
+   *   initials, in either order) or null
+   */
+  function compareNames(a, b) {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return null;
+    if (tokensA.join(' ') === tokensB.join(' ')) return 'identical';
+
+    const compatible = (x, y) => {
+      const surnameX = x[x.length - 1];
+      const surnameY = y[y.length - 1];
+      if (surnameX !== surnameY) return false;
+      // Compare the first given name or initial
+      if (x.length === 1 || y.length === 1) return true;
+      return x[0].charAt(0) === y[0].charAt(0);
+    };
+
+    // "Smith John" vs "John Smith"
+    const reversedB = [...tokensB].reverse();
+    return compatible(tokensA, tokensB) || compatible(tokensA, reversedB) ? 'variant' : null;
+  }
+
+  /**
+   * Active years of a parsed profile, as the card activity metrics count them
+   * (SDProfile.activeYears). Loaded profiles stop after a few publication
+   * pages, so they are treated as possibly incomplete.
+   * @returns {{first: number, last: number}|null}
+   */
+  function activeYears(profile) {
+    const citationsPerYear = profile.metrics ? profile.metrics.citationsPerYear : [];
+    return root.SDProfile.activeYears(profile.publications, false, citationsPerYear);
+  }
+
+  /**
+   * Assess whether a candidate is another profile of the current author
+   * @param {Object} current - Current profile signals (name, affiliation, emailDomain)
+   * @param {Object} candidate - Author object from the search results
+   * @param {Object} [profiles] - Parsed profiles, when both have been fetched
+   * @param {Object} profiles.current - Parsed current profile
+   * @param {Object} profiles.candidate - Parsed candidate profile
+   * @param {Object} profiles.overlap - Result of SDProfile.compareProfiles
+   * @returns {{confidence: string|null, points: number, evidence: string[]}}
+   *   confidence is 'high', 'medium', 'low' or null when not a likely duplicate
+   */
+  function assessDuplicate(current, candidate, profiles = null) {
+    const evidence = [];
+    let points = 0;
+
+    // Name variants
+    const nameMatch = compareNames(current.name, candidate.name);
+    if (nameMatch === 'identical') {
+      points += 10;
+      evidence.push('Identical name');
+    } else if (nameMatch === 'variant') {
+      points += 5;
+      evidence.push('Name variant');
+    }
+
+    // Current affiliation: the same email domain or institution now. Scholar
+    // profiles list no past affiliations, so an account left at an earlier
+    // institution only shows through shared publications and co-authors.
+    if (candidate.emailDomain && current.emailDomain &&
+        candidate.emailDomain.toLowerCase() === current.emailDomain.toLowerCase()) {
+      points += 15;
+      evidence.push(`Same email domain (${candidate.emailDomain})`);
+    }
+
+    const scoring = root.SDScoring;
+    const candidateAffiliation = scoring.affiliationTokens(candidate.affiliation);
+    const currentAffiliation = scoring.affiliationTokens(current.affiliation);
+    let sharedAffiliation = 0;
+    for (const token of candidateAffiliation) {
+      if (currentAffiliation.has(token)) sharedAffiliation++;
+    }
+    if (root.SDInstitutions.sameInstitution(candidate, current) ||
+        (sharedAffiliation > 0 && sharedAffiliation >= Math.min(candidateAffiliation.size, currentAffiliation.size) / 2)) {
+      points += 10;
+      evidence.push('Same current affiliation');
+    }
+
+    if (profiles) {
+      const { overlap } = profiles;
+
+      // The same papers claimed by both profiles is the strongest signal
+      const titleCount = overlap.sharedTitles.length;
+      if (titleCount > 0) {
+        points += Math.min(50, titleCount * 15);
+        evidence.push(`${titleCount} shared publication${titleCount === 1 ? '' : 's'}`);
+      }
+
+      const coauthorCount = overlap.sharedCoauthors.length;
+      if (coauthorCount > 0) {
+        points += Math.min(20, coauthorCount * 4);
+        evidence.push(`${coauthorCount} shared co-author${coauthorCount === 1 ? '' : 's'}`);
+      }
+
+      // An older account usually stops around when the current one starts
+      const currentYears = activeYears(profiles.current);
+      const candidateYears = activeYears(profiles.candidate);
+      if (currentYears && candidateYears && coauthorCount > 0 &&
+          candidateYears.last <= currentYears.first + 1 && candidateYears.last < currentYears.last) {
+        points += 10;
+        evidence.push(`Active ${candidateYears.first}–${candidateYears.last}, before this profile`);
+      }
+    }
+
+    const threshold = CONFIDENCE_THRESHOLDS.find(t => points >= t.minPoints);
+    return {
+      confidence: threshold ? threshold.level : null,
+      points,
+      evidence
+    };
+  }
+
+  root.SDDuplicates = {
+    assessDuplicate,
+    compareNames
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDDuplicates;
+  }
+})(globalThis);
@@ -0,0 +1,174 @@
+// Scholar Disambiguator - Error Model
+// Typed failures for Scholar requests, shared by the service worker (which
+// classifies responses) and the pages that show recovery options
+
+(function(root) {
+  'use strict';
+
+  const ERROR_TYPES = {
+    RATE_LIMITED: 'rate_limited', // HTTP 429
+    CAPTCHA: 'captcha', // Scholar wants a "not a robot" check
+    LOGIN_REQUIRED: 'login_required', // Redirected to a Google sign-in page
+    LAYOUT_CHANGED: 'layout_changed', // HTTP 200 but the expected markup is missing
+    EMPTY_PAGE: 'empty_page', // HTTP 200 with no content
+    OFFLINE: 'offline', // No network connection
+    NETWORK: 'network_error', // Other HTTP or connection failures
+    UNKNOWN: 'unknown'
+  };
+
+  // Display text and recovery action per type. Recovery actions:
+  //   wait       - the shared queue resumes by itself after a cooldown
+  //   challenge  - open the Scholar challenge in a tab; the queue resumes once solved
+  //   sign_in    - open Google sign-in, then retry
+  //   report     - the extension probably needs an update; offer details to report
+  //   reconnect  - retry automatically when the browser is back online
+  //   retry      - a plain "Try again"
+  const DESCRIPTIONS = {
+    rate_limited: {
+      title: 'Scholar is limiting requests',
+      message: 'Google Scholar is limiting requests. Please try again in a few minutes.',
+      recovery: 'wait'
+    },
+    captcha: {
+      title: 'Scholar wants a CAPTCHA',
+      message: 'Google Scholar is asking to confirm you are not a robot. Requests from all tabs are paused until you solve the challenge in a Scholar tab; then search again.',
+      recovery: 'challenge'
+    },
+    login_required: {
+      title: 'Sign-in required',
+      message: 'Google Scholar redirected to a sign-in page. Sign in to your Google account, then try again.',
+      recovery: 'sign_in'
+    },
+    layout_changed: {
+      title: 'Scholar page layout changed',
+      message: 'Google Scholar returned a page the extension does not recognize. Its layout may have changed.',
+      recovery: 'report'
+    },
+    empty_page: {
+      title: 'Empty page',
+      message: 'Google Scholar returned an empty page.',
+      recovery: 'retry'
+    },
+    offline: {
+      title: 'You are offline',
+      message: 'No network connection. The search will retry when you are back online.',
+      recovery: 'reconnect'
+    },
+    network_error: {
+      title: 'Connection problem',
+      message: 'Unable to connect. Check your internet connection.',
+      recovery: 'retry'
+    },
+    unknown: {
+      title: 'Something went wrong',
+      message: 'An unexpected error occurred.',
+      recovery: 'retry'
+    }
+  };
+
+  // Markup every page of a kind has, whatever its content (e.g. a search
+  // page with no results still has the results container)
+  const PAGE_MARKERS = {
+    search: ['id="gsc_sa_ccl"', 'class="gsc_1usr'],
+    profile: ['id="gsc_prf_in"', 'id="gsc_a_b"']
+  };
+
+  // Markup of the CAPTCHA form
+  const CAPTCHA_FORM_MARKERS = ['gs_captcha', 'g-recaptcha'];
+  // Wording of the block page. A real page can contain it too (a paper
+  // titled "...unusual traffic..."), so it only counts on pages that lack
+  // the PAGE_MARKERS of their kind.
+  const CAPTCHA_TEXT_MARKERS = ['Please show you', 'unusual traffic'];
+
+  const SIGN_IN_URL = 'https://accounts.google.com/ServiceLogin';
+
+  /**
+   * Describe an error type for display
+   * @param {string} type - One of ERROR_TYPES
+   * @returns {{title: string, message: string, recovery: string}}
+   */
+  function describe(type) {
+    return DESCRIPTIONS[type] || DESCRIPTIONS.unknown;
+  }
+
+  /**
+   * Build a failed result object
+   * @param {string} type - One of ERROR_TYPES
+   * @param {Object} [details] - Extra fields, e.g. { message, status, url }
+   * @returns {Object} { success: false, error, message, ...details }
+   */
+  function createError(type, details = {}) {
+    return { success: false, error: type, message: describe(type).message, ...details };
+  }
+
+  /**
+   * Classify a Scholar response
+   * @param {Object} response - { status, ok, url (after redirects), html }
+   * @param {string} [pageKind] - 'search' or 'profile', to check PAGE_MARKERS
+   * @returns {Object|null} An error result, or null if the page looks usable
+   */
+  function classifyResponse({ status, ok, url, html }, pageKind) {
+    const finalUrl = url || '';
+
+    if (status === 429) {
+      return createError(ERROR_TYPES.RATE_LIMITED, { status });
+    }
+    const page = html || '';
+    const markers = PAGE_MARKERS[pageKind];
+    const hasPageMarkers = !!markers && markers.some(marker => page.includes(marker));
+    if (/\/sorry\//.test(finalUrl) || CAPTCHA_FORM_MARKERS.some(marker => page.includes(marker)) ||
+        (!hasPageMarkers && CAPTCHA_TEXT_MARKERS.some(marker => page.includes(marker)))) {
+      return createError(ERROR_TYPES.CAPTCHA, { status });
+    }
+    if (/^https:\/\/accounts\.google\.[^/]+\//.test(finalUrl) || status === 401) {
+      return createError(ERROR_TYPES.LOGIN_REQUIRED, { status });
+    }
+    if (!ok) {
+      return createError(ERROR_TYPES.NETWORK, { status, message: `HTTP error: ${status}` });
+    }
+    if (!html || html.replace(/<[^>]*>/g, '').trim().length === 0) {
+      return createError(ERROR_TYPES.EMPTY_PAGE, { status });
+    }
+
+    if (markers && !hasPageMarkers) {
+      return createError(ERROR_TYPES.LAYOUT_CHANGED, { status, pageKind, expected: markers });
+    }
+
+    return null;
+  }
+
+  /**
+   * Classify a fetch() exception
+   * @param {Error} error - The thrown error
+   * @param {boolean} online - navigator.onLine
+   * @returns {Object} An error result
+   */
+  function classifyException(error, online) {
+    return online === false
+      ? createError(ERROR_TYPES.OFFLINE)
+      : createError(ERROR_TYPES.NETWORK, { detail: error && error.message });
+  }
+
+  /**
+   * Google sign-in URL that returns to a Scholar page
+   * @param {string} continueUrl - Page to return to
+   * @returns {string} Sign-in URL
+   */
+  function signInUrl(continueUrl) {
+    return `${SIGN_IN_URL}?continue=${encodeURIComponent(continueUrl)}`;
+  }
+
+  root.SDErrors = {
+    ERROR_TYPES,
+    PAGE_MARKERS,
+    describe,
+    createError,
+    classifyResponse,
+    classifyException,
+    signInUrl
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDErrors;
+  }
+})(globalThis);
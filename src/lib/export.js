@@ -0,0 +1,174 @@
+// Scholar Disambiguator - Export
+// Serializes candidate lists to CSV and JSON for spreadsheets and other tools
+//
+// JSON export format (version 1), as a JSON Schema:
+//
+//   {
+//     "$schema": "https://json-schema.org/draft/2020-12/schema",
+//     "title": "Scholar Disambiguator candidate export",
+//     "type": "object",
+//     "required": ["format", "version", "exportedAt", "query", "candidates"],
+//     "properties": {
+//       "format": { "const": "scholar-disambiguator/candidates" },
+//       "version": { "const": 1 },
+//       "exportedAt": { "type": "string", "format": "date-time" },
+//       "query": {
+//         "type": "object",
+//         "required": ["authorName"],
+//         "properties": {
+//           "authorName": { "type": "string" },         // Name that was searched
+//           "sourceUserId": { "type": ["string", "null"] }, // Profile the search started from
+//           "complete": { "type": "boolean" }            // False if Scholar has more pages
+//         }
+//       },
+//       "candidates": {
+//         "type": "array",
+//         "items": {
+//           "type": "object",
+//           "required": ["name", "userId", "profileUrl"],
+//           "properties": {
+//             "name": { "type": "string" },
+//             "bibtexName": { "type": "string" },        // "Family, Given" form
+//             "userId": { "type": ["string", "null"] },
+//             "profileUrl": { "type": "string" },
+//             "affiliation": { "type": "string" },
+//             "emailDomain": { "type": ["string", "null"] },
+//             "citations": { "type": ["integer", "null"] },
+//             "matchScore": { "type": ["integer", "null"] } // 0-100, null if not scored
+//           }
+//         }
+//       }
+//     }
+//   }
+//
+// CSV exports have one row per candidate with the same candidate fields as
+// columns, in the order of CSV_COLUMNS.
+
+(function(root) {
+  'use strict';
+
+  const EXPORT_FORMAT = 'scholar-disambiguator/candidates';
+  const EXPORT_VERSION = 1;
+
+  const CSV_COLUMNS = ['name', 'bibtexName', 'userId', 'profileUrl', 'affiliation', 'emailDomain', 'citations', 'matchScore'];
+
+  /**
+   * Format a name for BibTeX author fields ("Family, Given")
+   * @param {string} name - Display name
+   * @returns {string} BibTeX-style name
+   */
+  function toBibtexName(name) {
+    const parsed = root.SDNames ? root.SDNames.parseLatinName(root.SDNames.primarySearchName(name)) : null;
+    if (!parsed || parsed.given.length === 0) return name;
+    // parseLatinName drops the periods after initials
+    const given = parsed.given.map(part => (part.length === 1 ? `${part}.` : part));
+    return `${parsed.family}, ${given.join(' ')}`;
+  }
+
+  /**
+   * Convert author objects to export records
+   * @param {Object[]} authors - Author objects from the sidebar
+   * @returns {Object[]} Records with the candidate fields of the schema
+   */
+  function toRecords(authors) {
+    return authors.map(author => ({
+      name: author.name,
+      bibtexName: toBibtexName(author.name),
+      userId: author.userId || null,
+      profileUrl: author.profileUrl,
+      affiliation: author.affiliation || '',
+      emailDomain: author.emailDomain || null,
+      citations: author.citationCount !== undefined ? author.citationCount : null,
+      matchScore: author.match ? author.match.score : null
+    }));
+  }
+
+  /**
+   * Quote a CSV cell when needed. Cells that a spreadsheet would run as a
+   * formula (starting with =, +, -, @, a tab or a carriage return) are
+   * prefixed with an apostrophe.
+   */
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Serialize records as CSV (with a UTF-8 byte order mark for spreadsheets)
+   * @param {Object[]} records - Export records
+   * @param {string[]} columns - Column order
+   * @returns {string} CSV text
+   */
+  function toCsv(records, columns = CSV_COLUMNS) {
+    const lines = [columns.join(',')];
+    for (const record of records) {
+      lines.push(columns.map(column => csvCell(record[column])).join(','));
+    }
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Serialize a candidate export as JSON (see the schema above)
+   * @param {Object[]} authors - Author objects
+   * @param {Object} query - { authorName, sourceUserId, complete }
+   * @returns {string} JSON text
+   */
+  function toJson(authors, query) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      query,
+      candidates: toRecords(authors)
+    }, null, 2);
+  }
+
+  /**
+   * Make a file name from a person's name
+   * @param {string} name - Author name
+   * @param {string} extension - File extension without the dot
+   * @returns {string} e.g. "wei-zhang-candidates.csv"
+   */
+  function fileName(name, extension) {
+    const slug = (name || 'authors').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+    return `${slug || 'authors'}-candidates.${extension}`;
+  }
+
+  /**
+   * Save text as a file through a temporary download link
+   * @param {string} text - File contents
+   * @param {string} name - File name
+   * @param {string} mimeType - MIME type
+   */
+  function download(text, name, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  root.SDExport = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    CSV_COLUMNS,
+    toBibtexName,
+    toRecords,
+    toCsv,
+    toJson,
+    fileName,
+    download
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDExport;
+  }
+})(globalThis);
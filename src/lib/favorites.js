@@ -0,0 +1,71 @@
+// Scholar Disambiguator - Favorites
+// Starred profiles, stored in chrome.storage.local
+
+(function(root) {
+  'use strict';
+
+  const FAVORITES_KEY = 'sd_favorites';
+
+  /**
+   * Load every favorite
+   * @returns {Promise<Object>} userId -> { userId, name, addedAt }
+   */
+  async function loadAll() {
+    try {
+      const stored = await chrome.storage.local.get(FAVORITES_KEY);
+      return stored[FAVORITES_KEY] || {};
+    } catch (e) {
+      console.error('[Scholar Disambiguator] Favorites read error:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Replace all favorites
+   * @param {Object} all - userId -> favorite entry
+   */
+  function saveAll(all) {
+    return chrome.storage.local.set({ [FAVORITES_KEY]: all });
+  }
+
+  /**
+   * Star or unstar a profile
+   * @param {string} userId - Scholar user ID
+   * @param {string} name - Profile name, kept for display
+   * @returns {Promise<boolean>} Whether the profile is now a favorite
+   */
+  async function toggle(userId, name) {
+    const all = await loadAll();
+    const starred = !all[userId];
+    if (starred) {
+      all[userId] = { userId, name: name || '', addedAt: Date.now() };
+    } else {
+      delete all[userId];
+    }
+    await saveAll(all);
+    return starred;
+  }
+
+  /**
+   * Watch for favorite changes from any tab
+   * @param {Function} callback - Called with all favorites
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[FAVORITES_KEY]) {
+        callback(changes[FAVORITES_KEY].newValue || {});
+      }
+    });
+  }
+
+  root.SDFavorites = {
+    loadAll,
+    saveAll,
+    toggle,
+    onChange
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDFavorites;
+  }
+})(globalThis);
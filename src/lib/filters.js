@@ -0,0 +1,227 @@
+// Scholar Disambiguator - Result Filters
+// Narrows and re-sorts the loaded candidates in the sidebar: affiliation
+// keyword, institution, email domain, country (from the institution or the
+// email domain's TLD), minimum citations, photo and verified email.
+// Institutions come from src/lib/institutions.js.
+
+(function(root) {
+  'use strict';
+
+  const DEFAULT_FILTERS = {
+    affiliation: '', // Keyword, case and accent insensitive; also matches institution aliases ("MIT")
+    institution: '', // Institution ID
+    emailDomain: '', // Exact domain or any subdomain of it
+    country: '', // Country code from COUNTRY_BY_TLD
+    minCitations: 0,
+    hasPhoto: false,
+    verifiedEmail: false
+  };
+
+  const SORTS = {
+    match: 'Match score',
+    citations: 'Citations',
+    name: 'Name similarity',
+    institution: 'Institution'
+  };
+
+  // Country code top-level domains. Generic academic and government domains
+  // (.edu, .gov, .mil) are almost always American.
+  const COUNTRY_BY_TLD = {
+    edu: 'US', gov: 'US', mil: 'US', us: 'US',
+    ar: 'AR', at: 'AT', au: 'AU', be: 'BE', br: 'BR', ca: 'CA', ch: 'CH', cl: 'CL',
+    cn: 'CN', co: 'CO', cz: 'CZ', de: 'DE', dk: 'DK', eg: 'EG', es: 'ES', fi: 'FI',
+    fr: 'FR', gr: 'GR', hk: 'HK', hu: 'HU', id: 'ID', ie: 'IE', il: 'IL', in: 'IN',
+    ir: 'IR', it: 'IT', jp: 'JP', kr: 'KR', mx: 'MX', my: 'MY', ng: 'NG', nl: 'NL',
+    no: 'NO', nz: 'NZ', pk: 'PK', pl: 'PL', pt: 'PT', ro: 'RO', ru: 'RU', sa: 'SA',
+    se: 'SE', sg: 'SG', th: 'TH', tr: 'TR', tw: 'TW', ua: 'UA', uk: 'GB', vn: 'VN',
+    za: 'ZA'
+  };
+
+  const COUNTRY_NAMES = {
+    AR: 'Argentina', AT: 'Austria', AU: 'Australia', BE: 'Belgium', BR: 'Brazil',
+    CA: 'Canada', CH: 'Switzerland', CL: 'Chile', CN: 'China', CO: 'Colombia',
+    CZ: 'Czechia', DE: 'Germany', DK: 'Denmark', EG: 'Egypt', ES: 'Spain',
+    FI: 'Finland', FR: 'France', GB: 'United Kingdom', GR: 'Greece', HK: 'Hong Kong',
+    HU: 'Hungary', ID: 'Indonesia', IE: 'Ireland', IL: 'Israel', IN: 'India',
+    IR: 'Iran', IT: 'Italy', JP: 'Japan', KR: 'South Korea', MX: 'Mexico',
+    MY: 'Malaysia', NG: 'Nigeria', NL: 'Netherlands', NO: 'Norway', NZ: 'New Zealand',
+    PK: 'Pakistan', PL: 'Poland', PT: 'Portugal', RO: 'Romania', RU: 'Russia',
+    SA: 'Saudi Arabia', SE: 'Sweden', SG: 'Singapore', TH: 'Thailand', TR: 'Turkey',
+    TW: 'Taiwan', UA: 'Ukraine', US: 'United States', VN: 'Vietnam', ZA: 'South Africa'
+  };
+
+  function fold(text) {
+    return (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim();
+  }
+
+  /**
+   * Infer a country from an email domain's top-level domain
+   * @param {string|null} domain - e.g. "cs.toronto.ca" or "ox.ac.uk"
+   * @returns {string|null} Country code, e.g. "GB", or null for generic TLDs (.com, .org)
+   */
+  function countryFromDomain(domain) {
+    if (!domain) return null;
+    const tld = domain.toLowerCase().split('.').pop();
+    return COUNTRY_BY_TLD[tld] || null;
+  }
+
+  /**
+   * Display name of a country code
+   * @param {string} code - Country code
+   * @returns {string} Name, or the code itself if unknown
+   */
+  function countryName(code) {
+    return COUNTRY_NAMES[code] || code;
+  }
+
+  function institutionOf(author) {
+    return author.institution !== undefined ? author.institution : root.SDInstitutions.resolve(author);
+  }
+
+  /**
+   * Country of an author: that of the recognized institution, otherwise
+   * from the email domain
+   * @param {Object} author - Parsed author, annotated with `institution` or not
+   * @returns {string|null} Country code
+   */
+  function authorCountry(author) {
+    const institution = institutionOf(author);
+    return institution ? institution.country : countryFromDomain(author.emailDomain);
+  }
+
+  /**
+   * Whether the author has a real photo rather than Scholar's placeholder avatar
+   */
+  function hasPhoto(author) {
+    return !!author.thumbnailUrl && !/avatar_scholar/.test(author.thumbnailUrl);
+  }
+
+  /**
+   * Whether any filter differs from DEFAULT_FILTERS
+   * @param {Object} filters - Filter values
+   * @returns {boolean}
+   */
+  function isActive(filters) {
+    return Object.keys(DEFAULT_FILTERS).some(key => filters[key] !== DEFAULT_FILTERS[key]);
+  }
+
+  /**
+   * Keep the authors that pass every filter
+   * @param {Object[]} authors - Parsed authors
+   * @param {Object} filters - Filter values (see DEFAULT_FILTERS)
+   * @returns {Object[]} Matching authors, in their original order
+   */
+  function applyFilters(authors, filters) {
+    const keyword = fold(filters.affiliation);
+    const domain = fold(filters.emailDomain);
+    const minCitations = Number(filters.minCitations) || 0;
+
+    return authors.filter(author => {
+      const institution = institutionOf(author);
+      if (keyword && !fold(author.affiliation).includes(keyword) &&
+          !(institution && root.SDInstitutions.matchesKeyword(institution.id, filters.affiliation))) return false;
+      if (filters.institution && (!institution || institution.id !== filters.institution)) return false;
+      if (domain) {
+        const authorDomain = fold(author.emailDomain);
+        if (authorDomain !== domain && !authorDomain.endsWith(`.${domain}`)) return false;
+      }
+      if (filters.country && authorCountry(author) !== filters.country) return false;
+      if (minCitations > 0 && (author.citationCount || 0) < minCitations) return false;
+      if (filters.hasPhoto && !hasPhoto(author)) return false;
+      if (filters.verifiedEmail && !author.emailVerified) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Sort authors
+   * @param {Object[]} authors - Authors, already ranked by match score and
+   *   annotated with their `label`
+   * @param {string} sort - One of SORTS; 'institution' keeps each
+   *   institution's authors together, in the order of its best match, and
+   *   authors without an affiliation last
+   * @param {string} targetName - Name of the profile being viewed, for name similarity
+   * @returns {Object[]} New array; authors labeled as a different person
+   *   always come last, and ties keep the match score order
+   */
+  function sortAuthors(authors, sort, targetName) {
+    const isDifferent = author => author.label === 'different';
+    const kept = authors.filter(author => !isDifferent(author));
+    const different = authors.filter(isDifferent);
+
+    if (sort === 'institution') {
+      const byInstitution = list => {
+        const groups = root.SDInstitutions.groupAuthors(list);
+        return groups.filter(group => group.key).concat(groups.filter(group => !group.key))
+          .reduce((sorted, group) => sorted.concat(group.authors), []);
+      };
+      return byInstitution(kept).concat(byInstitution(different));
+    }
+
+    let key;
+    if (sort === 'citations') {
+      key = author => author.citationCount || 0;
+    } else if (sort === 'name') {
+      const closeness = { identical: 2, variant: 1 };
+      key = author => closeness[root.SDDuplicates.compareNames(targetName, author.name)] || 0;
+    } else {
+      return kept.concat(different);
+    }
+
+    const byKey = list => list
+      .map((author, index) => ({ author, index, value: key(author) }))
+      .sort((a, b) => (b.value - a.value) || (a.index - b.index))
+      .map(entry => entry.author);
+    return byKey(kept).concat(byKey(different));
+  }
+
+  /**
+   * Recognized institutions, email domains and countries present in a result
+   * set, for the filter menus
+   * @param {Object[]} authors - Parsed authors
+   * @returns {{institutions: Array<{value: string, label: string, count: number}>,
+   *   emailDomains: Array<{value: string, count: number}>, countries: Array<{value: string, count: number}>}}
+   *   Most common first; institution values are IDs and labels their names
+   */
+  function facets(authors) {
+    const count = values => {
+      const counts = new Map();
+      for (const value of values) {
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      return Array.from(counts, ([value, n]) => ({ value, count: n }))
+        .sort((a, b) => (b.count - a.count) || a.value.localeCompare(b.value));
+    };
+
+    const institutionNames = new Map();
+    const institutionIds = authors.map(author => {
+      const institution = institutionOf(author);
+      if (!institution) return null;
+      institutionNames.set(institution.id, institution.name);
+      return institution.id;
+    });
+
+    return {
+      institutions: count(institutionIds).map(entry => ({ ...entry, label: institutionNames.get(entry.value) })),
+      emailDomains: count(authors.map(author => author.emailDomain && author.emailDomain.toLowerCase())),
+      countries: count(authors.map(authorCountry))
+    };
+  }
+
+  root.SDFilters = {
+    DEFAULT_FILTERS,
+    SORTS,
+    countryFromDomain,
+    countryName,
+    authorCountry,
+    hasPhoto,
+    isActive,
+    applyFilters,
+    sortAuthors,
+    facets
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDFilters;
+  }
+})(globalThis);
@@ -0,0 +1,346 @@
+// Scholar Disambiguator - Institutions
+// Offline dictionary of research institutions with their aliases and email
+// domains, so "MIT", "Massachusetts Institute of Technology" and
+// "CSAIL, M.I.T." (or an @csail.mit.edu address) resolve to one institution.
+// Used for the institution line on cards, grouping, scoring and filters.
+//
+// Aliases are matched as whole words in the normalized affiliation (accents,
+// case and punctuation ignored), the longest match winning, so "Lawrence
+// Berkeley National Laboratory" is not taken for "Berkeley". Single-word
+// aliases with two or more capitals ("MIT", "UvA") are acronyms and only
+// match with that exact capitalization, so the German "mit" is not MIT.
+// Email domains match the domain itself and any subdomain.
+
+(function(root) {
+  'use strict';
+
+  // [id, name, country code, aliases, email domains]
+  const INSTITUTION_TABLE = [
+    // North America
+    ['mit', 'Massachusetts Institute of Technology', 'US', ['MIT', 'M.I.T.', 'CSAIL'], ['mit.edu']],
+    ['stanford', 'Stanford University', 'US', ['Stanford'], ['stanford.edu']],
+    ['harvard', 'Harvard University', 'US', ['Harvard', 'Harvard Medical School'], ['harvard.edu']],
+    ['berkeley', 'University of California, Berkeley', 'US', ['UC Berkeley', 'UCB', 'Berkeley', 'University of California at Berkeley'], ['berkeley.edu']],
+    ['lbnl', 'Lawrence Berkeley National Laboratory', 'US', ['LBNL', 'Berkeley Lab'], ['lbl.gov']],
+    ['ucla', 'University of California, Los Angeles', 'US', ['UCLA', 'UC Los Angeles'], ['ucla.edu']],
+    ['ucsd', 'University of California, San Diego', 'US', ['UCSD', 'UC San Diego'], ['ucsd.edu']],
+    ['uci', 'University of California, Irvine', 'US', ['UCI', 'UC Irvine'], ['uci.edu']],
+    ['ucsb', 'University of California, Santa Barbara', 'US', ['UCSB', 'UC Santa Barbara'], ['ucsb.edu']],
+    ['ucdavis', 'University of California, Davis', 'US', ['UC Davis'], ['ucdavis.edu']],
+    ['ucsf', 'University of California, San Francisco', 'US', ['UCSF', 'UC San Francisco'], ['ucsf.edu']],
+    ['caltech', 'California Institute of Technology', 'US', ['Caltech'], ['caltech.edu']],
+    ['cmu', 'Carnegie Mellon University', 'US', ['CMU', 'Carnegie Mellon'], ['cmu.edu']],
+    ['princeton', 'Princeton University', 'US', [], ['princeton.edu']],
+    ['yale', 'Yale University', 'US', ['Yale'], ['yale.edu']],
+    ['columbia', 'Columbia University', 'US', ['Columbia University in the City of New York'], ['columbia.edu']],
+    ['cornell', 'Cornell University', 'US', ['Cornell', 'Weill Cornell Medicine'], ['cornell.edu']],
+    ['upenn', 'University of Pennsylvania', 'US', ['UPenn'], ['upenn.edu']],
+    ['uchicago', 'University of Chicago', 'US', ['UChicago'], ['uchicago.edu']],
+    ['jhu', 'Johns Hopkins University', 'US', ['JHU', 'Johns Hopkins'], ['jhu.edu', 'jhmi.edu']],
+    ['umich', 'University of Michigan', 'US', ['UMich', 'University of Michigan Ann Arbor'], ['umich.edu']],
+    ['uiuc', 'University of Illinois Urbana-Champaign', 'US', ['UIUC', 'University of Illinois at Urbana-Champaign'], ['illinois.edu']],
+    ['uw', 'University of Washington', 'US', [], ['uw.edu', 'washington.edu']],
+    ['wustl', 'Washington University in St. Louis', 'US', ['WashU', 'Washington University in Saint Louis'], ['wustl.edu']],
+    ['wisc', 'University of Wisconsin-Madison', 'US', ['UW-Madison', 'University of Wisconsin Madison'], ['wisc.edu']],
+    ['gatech', 'Georgia Institute of Technology', 'US', ['Georgia Tech'], ['gatech.edu']],
+    ['utexas', 'University of Texas at Austin', 'US', ['UT Austin', 'The University of Texas at Austin'], ['utexas.edu']],
+    ['nyu', 'New York University', 'US', ['NYU'], ['nyu.edu']],
+    ['duke', 'Duke University', 'US', [], ['duke.edu']],
+    ['northwestern', 'Northwestern University', 'US', [], ['northwestern.edu']],
+    ['umd', 'University of Maryland, College Park', 'US', ['UMD'], ['umd.edu']],
+    ['purdue', 'Purdue University', 'US', ['Purdue'], ['purdue.edu']],
+    ['usc', 'University of Southern California', 'US', ['USC'], ['usc.edu']],
+    ['brown', 'Brown University', 'US', [], ['brown.edu']],
+    ['osu', 'Ohio State University', 'US', ['The Ohio State University'], ['osu.edu']],
+    ['psu', 'Pennsylvania State University', 'US', ['Penn State', 'The Pennsylvania State University'], ['psu.edu']],
+    ['umn', 'University of Minnesota', 'US', [], ['umn.edu']],
+    ['nih', 'National Institutes of Health', 'US', ['NIH'], ['nih.gov']],
+    ['google', 'Google', 'US', ['Google Research', 'Google Brain'], ['google.com']],
+    ['deepmind', 'Google DeepMind', 'GB', ['DeepMind'], ['deepmind.com']],
+    ['microsoft', 'Microsoft Research', 'US', ['Microsoft', 'MSR'], ['microsoft.com']],
+    ['meta', 'Meta AI', 'US', ['Facebook AI Research', 'FAIR', 'Meta Platforms', 'Facebook'], ['meta.com', 'fb.com']],
+    ['ibm', 'IBM Research', 'US', ['IBM'], ['ibm.com']],
+    ['toronto', 'University of Toronto', 'CA', ['UofT', 'U of T'], ['utoronto.ca', 'toronto.edu']],
+    ['mcgill', 'McGill University', 'CA', ['McGill'], ['mcgill.ca']],
+    ['ubc', 'University of British Columbia', 'CA', ['UBC'], ['ubc.ca']],
+    ['waterloo', 'University of Waterloo', 'CA', [], ['uwaterloo.ca']],
+    ['umontreal', 'Université de Montréal', 'CA', ['University of Montreal', 'UdeM'], ['umontreal.ca']],
+    ['unam', 'National Autonomous University of Mexico', 'MX', ['UNAM', 'Universidad Nacional Autónoma de México'], ['unam.mx']],
+    ['usp', 'University of São Paulo', 'BR', ['Universidade de São Paulo', 'USP'], ['usp.br']],
+
+    // Europe
+    ['oxford', 'University of Oxford', 'GB', ['Oxford University'], ['ox.ac.uk']],
+    ['cambridge', 'University of Cambridge', 'GB', ['Cambridge University'], ['cam.ac.uk']],
+    ['imperial', 'Imperial College London', 'GB', ['Imperial College'], ['imperial.ac.uk', 'ic.ac.uk']],
+    ['ucl', 'University College London', 'GB', ['UCL'], ['ucl.ac.uk']],
+    ['edinburgh', 'University of Edinburgh', 'GB', [], ['ed.ac.uk']],
+    ['kcl', "King's College London", 'GB', ['KCL'], ['kcl.ac.uk']],
+    ['manchester', 'University of Manchester', 'GB', [], ['manchester.ac.uk']],
+    ['ethz', 'ETH Zurich', 'CH', ['ETH Zürich', 'ETHZ', 'Swiss Federal Institute of Technology Zurich', 'Eidgenössische Technische Hochschule Zürich'], ['ethz.ch']],
+    ['epfl', 'EPFL', 'CH', ['École Polytechnique Fédérale de Lausanne', 'Swiss Federal Institute of Technology Lausanne'], ['epfl.ch']],
+    ['mpg', 'Max Planck Society', 'DE', ['Max Planck Institute', 'Max-Planck-Institut', 'Max-Planck-Gesellschaft', 'MPI'], ['mpg.de']],
+    ['tum', 'Technical University of Munich', 'DE', ['TUM', 'Technische Universität München'], ['tum.de']],
+    ['lmu', 'LMU Munich', 'DE', ['Ludwig-Maximilians-Universität München', 'Ludwig Maximilian University of Munich', 'LMU'], ['lmu.de', 'uni-muenchen.de']],
+    ['heidelberg', 'Heidelberg University', 'DE', ['Universität Heidelberg', 'Ruprecht-Karls-Universität Heidelberg', 'University of Heidelberg'], ['uni-heidelberg.de']],
+    ['kit', 'Karlsruhe Institute of Technology', 'DE', ['KIT', 'Karlsruher Institut für Technologie'], ['kit.edu']],
+    ['cnrs', 'CNRS', 'FR', ['Centre National de la Recherche Scientifique', 'French National Centre for Scientific Research'], ['cnrs.fr']],
+    ['inria', 'Inria', 'FR', ['INRIA'], ['inria.fr']],
+    ['sorbonne', 'Sorbonne University', 'FR', ['Sorbonne Université'], ['sorbonne-universite.fr']],
+    ['polytechnique', 'École Polytechnique', 'FR', ['Institut Polytechnique de Paris'], ['polytechnique.edu']],
+    ['uva', 'University of Amsterdam', 'NL', ['UvA', 'Universiteit van Amsterdam'], ['uva.nl']],
+    ['tudelft', 'Delft University of Technology', 'NL', ['TU Delft', 'Technische Universiteit Delft'], ['tudelft.nl']],
+    ['kuleuven', 'KU Leuven', 'BE', ['Katholieke Universiteit Leuven'], ['kuleuven.be']],
+    ['karolinska', 'Karolinska Institutet', 'SE', ['Karolinska Institute'], ['ki.se']],
+    ['kth', 'KTH Royal Institute of Technology', 'SE', ['KTH'], ['kth.se']],
+    ['copenhagen', 'University of Copenhagen', 'DK', ['Københavns Universitet'], ['ku.dk']],
+    ['helsinki', 'University of Helsinki', 'FI', ['Helsingin yliopisto'], ['helsinki.fi']],
+    ['csic', 'Spanish National Research Council', 'ES', ['CSIC', 'Consejo Superior de Investigaciones Científicas'], ['csic.es']],
+    ['polimi', 'Politecnico di Milano', 'IT', ['Polytechnic University of Milan'], ['polimi.it']],
+    ['sapienza', 'Sapienza University of Rome', 'IT', ['Sapienza Università di Roma', 'Università di Roma La Sapienza'], ['uniroma1.it']],
+
+    // Asia and Oceania
+    ['tsinghua', 'Tsinghua University', 'CN', ['清华大学', 'THU'], ['tsinghua.edu.cn']],
+    ['pku', 'Peking University', 'CN', ['北京大学', 'PKU'], ['pku.edu.cn']],
+    ['zju', 'Zhejiang University', 'CN', ['浙江大学', 'ZJU'], ['zju.edu.cn']],
+    ['sjtu', 'Shanghai Jiao Tong University', 'CN', ['上海交通大学', 'SJTU'], ['sjtu.edu.cn']],
+    ['fudan', 'Fudan University', 'CN', ['复旦大学'], ['fudan.edu.cn']],
+    ['ustc', 'University of Science and Technology of China', 'CN', ['中国科学技术大学', 'USTC'], ['ustc.edu.cn']],
+    ['nju', 'Nanjing University', 'CN', ['南京大学', 'NJU'], ['nju.edu.cn']],
+    ['cas', 'Chinese Academy of Sciences', 'CN', ['中国科学院', 'CAS', 'University of Chinese Academy of Sciences', 'UCAS'], ['cas.cn', 'ac.cn']],
+    ['hit', 'Harbin Institute of Technology', 'CN', ['哈尔滨工业大学', 'HIT'], ['hit.edu.cn']],
+    ['whu', 'Wuhan University', 'CN', ['武汉大学', 'WHU'], ['whu.edu.cn']],
+    ['hust', 'Huazhong University of Science and Technology', 'CN', ['华中科技大学', 'HUST'], ['hust.edu.cn']],
+    ['sysu', 'Sun Yat-sen University', 'CN', ['中山大学', 'SYSU'], ['sysu.edu.cn']],
+    ['hku', 'University of Hong Kong', 'HK', ['The University of Hong Kong', 'HKU', '香港大學', '香港大学'], ['hku.hk']],
+    ['hkust', 'Hong Kong University of Science and Technology', 'HK', ['HKUST', 'The Hong Kong University of Science and Technology'], ['ust.hk']],
+    ['cuhk', 'Chinese University of Hong Kong', 'HK', ['The Chinese University of Hong Kong', 'CUHK', '香港中文大學'], ['cuhk.edu.hk']],
+    ['ntu-tw', 'National Taiwan University', 'TW', ['國立臺灣大學', '臺灣大學'], ['ntu.edu.tw']],
+    ['ntu-sg', 'Nanyang Technological University', 'SG', ['NTU Singapore'], ['ntu.edu.sg']],
+    ['nus', 'National University of Singapore', 'SG', ['NUS'], ['nus.edu.sg']],
+    ['utokyo', 'University of Tokyo', 'JP', ['The University of Tokyo', '東京大学'], ['u-tokyo.ac.jp']],
+    ['kyoto', 'Kyoto University', 'JP', ['京都大学'], ['kyoto-u.ac.jp']],
+    ['osaka', 'Osaka University', 'JP', ['大阪大学'], ['osaka-u.ac.jp']],
+    ['titech', 'Tokyo Institute of Technology', 'JP', ['Tokyo Tech', '東京工業大学'], ['titech.ac.jp']],
+    ['riken', 'RIKEN', 'JP', ['理化学研究所'], ['riken.jp']],
+    ['snu', 'Seoul National University', 'KR', ['서울대학교', 'SNU'], ['snu.ac.kr']],
+    ['kaist', 'KAIST', 'KR', ['Korea Advanced Institute of Science and Technology', '한국과학기술원'], ['kaist.ac.kr', 'kaist.edu']],
+    ['postech', 'POSTECH', 'KR', ['Pohang University of Science and Technology'], ['postech.ac.kr', 'postech.edu']],
+    ['yonsei', 'Yonsei University', 'KR', ['연세대학교'], ['yonsei.ac.kr']],
+    ['korea', 'Korea University', 'KR', ['고려대학교'], ['korea.ac.kr', 'korea.edu']],
+    ['iisc', 'Indian Institute of Science', 'IN', ['IISc'], ['iisc.ac.in', 'iisc.ernet.in']],
+    ['iitb', 'IIT Bombay', 'IN', ['Indian Institute of Technology Bombay'], ['iitb.ac.in']],
+    ['iitd', 'IIT Delhi', 'IN', ['Indian Institute of Technology Delhi'], ['iitd.ac.in']],
+    ['iitm', 'IIT Madras', 'IN', ['Indian Institute of Technology Madras'], ['iitm.ac.in']],
+    ['technion', 'Technion - Israel Institute of Technology', 'IL', ['Technion'], ['technion.ac.il']],
+    ['weizmann', 'Weizmann Institute of Science', 'IL', ['Weizmann Institute'], ['weizmann.ac.il']],
+    ['tau', 'Tel Aviv University', 'IL', [], ['tau.ac.il']],
+    ['huji', 'Hebrew University of Jerusalem', 'IL', ['The Hebrew University of Jerusalem'], ['huji.ac.il']],
+    ['melbourne', 'University of Melbourne', 'AU', ['The University of Melbourne'], ['unimelb.edu.au']],
+    ['sydney', 'University of Sydney', 'AU', ['The University of Sydney'], ['sydney.edu.au']],
+    ['unsw', 'UNSW Sydney', 'AU', ['University of New South Wales', 'UNSW'], ['unsw.edu.au']],
+    ['anu', 'Australian National University', 'AU', ['The Australian National University', 'ANU'], ['anu.edu.au']],
+    ['monash', 'Monash University', 'AU', ['Monash'], ['monash.edu']],
+    ['uq', 'University of Queensland', 'AU', ['The University of Queensland'], ['uq.edu.au']],
+    ['auckland', 'University of Auckland', 'NZ', ['The University of Auckland'], ['auckland.ac.nz']]
+  ];
+
+  // Scripts written without spaces between words; their aliases match anywhere
+  const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+  /**
+   * Reduce text to lowercase words without accents or punctuation
+   * ("CSAIL, M.I.T." -> "csail mit", "King's" -> "kings")
+   * @param {string} text - Any text
+   * @returns {string} Normalized text
+   */
+  function normalize(text) {
+    return (text || '')
+      .normalize('NFD').replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[.'’]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  function isAcronym(alias) {
+    const compact = alias.replace(/\./g, '');
+    return /^[\p{L}\p{N}]+$/u.test(compact) && (compact.match(/\p{Lu}/gu) || []).length >= 2;
+  }
+
+  // Built once from INSTITUTION_TABLE
+  const INSTITUTIONS = new Map(); // id -> { id, name, country, aliases, domains }
+  const PHRASES = []; // { text, institution } normalized aliases, longest first
+  const ACRONYMS = new Map(); // Exact acronym -> institution
+  const DOMAINS = new Map(); // Email domain -> institution
+
+  for (const [id, name, country, aliases, domains] of INSTITUTION_TABLE) {
+    const institution = { id, name, country, aliases, domains };
+    INSTITUTIONS.set(id, institution);
+    for (const alias of [name, ...aliases]) {
+      if (isAcronym(alias)) {
+        ACRONYMS.set(alias.replace(/\./g, ''), institution);
+      } else {
+        PHRASES.push({ text: normalize(alias), institution });
+      }
+    }
+    for (const domain of domains) {
+      DOMAINS.set(domain, institution);
+    }
+  }
+  PHRASES.sort((a, b) => b.text.length - a.text.length);
+
+  // Affiliation -> institution; the same affiliations come up for every
+  // candidate and co-author being compared
+  const affiliationCache = new Map();
+
+  /**
+   * Recognize the institution named in an affiliation
+   * @param {string} affiliation - Raw affiliation, e.g. "PhD student, CSAIL, M.I.T."
+   * @returns {Object|null} Institution { id, name, country, aliases, domains }
+   */
+  function fromAffiliation(affiliation) {
+    if (!affiliation) return null;
+    if (!affiliationCache.has(affiliation)) {
+      affiliationCache.set(affiliation, findInstitution(affiliation));
+    }
+    return affiliationCache.get(affiliation);
+  }
+
+  function findInstitution(affiliation) {
+    const padded = ` ${normalize(affiliation)} `;
+    const phrase = PHRASES.find(entry => (UNSPACED_SCRIPT.test(entry.text)
+      ? padded.includes(entry.text)
+      : padded.includes(` ${entry.text} `)));
+    if (phrase) return phrase.institution;
+
+    for (const token of affiliation.replace(/\./g, '').split(/[^\p{L}\p{N}]+/u)) {
+      if (ACRONYMS.has(token)) return ACRONYMS.get(token);
+    }
+    return null;
+  }
+
+  /**
+   * Recognize the institution of an email domain or any of its parent domains
+   * @param {string|null} domain - e.g. "csail.mit.edu"
+   * @returns {Object|null} Institution
+   */
+  function fromEmailDomain(domain) {
+    const parts = (domain || '').toLowerCase().split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const institution = DOMAINS.get(parts.slice(i).join('.'));
+      if (institution) return institution;
+    }
+    return null;
+  }
+
+  /**
+   * Institution of an author or profile: from the affiliation, otherwise from
+   * the email domain
+   * @param {{affiliation: string, emailDomain: string|null}} author - Parsed author or profile signals
+   * @returns {{id: string, name: string, country: string, source: string}|null}
+   *   source is 'affiliation' or 'email'
+   */
+  function resolve(author) {
+    if (!author) return null;
+    const fromText = fromAffiliation(author.affiliation);
+    const institution = fromText || fromEmailDomain(author.emailDomain);
+    return institution
+      ? { id: institution.id, name: institution.name, country: institution.country, source: fromText ? 'affiliation' : 'email' }
+      : null;
+  }
+
+  /**
+   * Copy authors with their resolved `institution` (null when not recognized)
+   * @param {Object[]} authors - Parsed authors
+   * @returns {Object[]} New author objects
+   */
+  function annotate(authors) {
+    return authors.map(author => ({ ...author, institution: resolve(author) }));
+  }
+
+  /**
+   * Look up an institution by ID
+   * @param {string} id - Institution ID
+   * @returns {Object|null} Institution { id, name, country, aliases, domains }
+   */
+  function byId(id) {
+    return INSTITUTIONS.get(id) || null;
+  }
+
+  function institutionOf(author) {
+    return author.institution !== undefined ? author.institution : resolve(author);
+  }
+
+  /**
+   * Whether two authors or profiles are at the same recognized institution
+   * @returns {Object|null} The shared institution
+   */
+  function sameInstitution(a, b) {
+    const first = institutionOf(a);
+    const second = first ? institutionOf(b) : null;
+    return second && second.id === first.id ? first : null;
+  }
+
+  /**
+   * Key and label of an author's group: the recognized institution, or
+   * else the affiliation text itself
+   * @param {Object} author - Author, annotated or not
+   * @returns {{key: string, name: string}}
+   */
+  function groupOf(author) {
+    const institution = institutionOf(author);
+    if (institution) return { key: institution.id, name: institution.name };
+    const text = normalize(author.affiliation);
+    return text
+      ? { key: `affiliation:${text}`, name: author.affiliation.trim() }
+      : { key: '', name: 'Affiliation not listed' };
+  }
+
+  /**
+   * Group authors by institution
+   * @param {Object[]} authors - Authors in display order
+   * @returns {Array<{key: string, name: string, authors: Object[]}>} Groups in
+   *   the order of their first author
+   */
+  function groupAuthors(authors) {
+    const groups = new Map();
+    for (const author of authors) {
+      const { key, name } = groupOf(author);
+      if (!groups.has(key)) groups.set(key, { key, name, authors: [] });
+      groups.get(key).authors.push(author);
+    }
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Whether a search keyword names an institution, by its name or an alias
+   * ("mit" matches Massachusetts Institute of Technology)
+   * @param {string} id - Institution ID
+   * @param {string} keyword - Keyword as typed
+   * @returns {boolean}
+   */
+  function matchesKeyword(id, keyword) {
+    const institution = INSTITUTIONS.get(id);
+    const text = normalize(keyword);
+    if (!institution || !text) return false;
+    return [institution.name, ...institution.aliases].some(alias => normalize(alias).includes(text));
+  }
+
+  root.SDInstitutions = {
+    normalize,
+    byId,
+    fromAffiliation,
+    fromEmailDomain,
+    resolve,
+    annotate,
+    sameInstitution,
+    groupOf,
+    groupAuthors,
+    matchesKeyword
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDInstitutions;
+  }
+})(globalThis);
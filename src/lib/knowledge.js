@@ -0,0 +1,363 @@
+// Scholar Disambiguator - Knowledge Base Import/Export
+// Bundles labels, notes, favorites and cached profile data into one versioned
+// JSON file, and plans imports (validation, merge, conflicts) before applying
+// them
+//
+// File format (version 1):
+//
+//   {
+//     "format": "scholar-disambiguator/knowledge-base",
+//     "version": 1,
+//     "exportedAt": "2024-05-01T12:00:00.000Z",
+//     "labels": [
+//       { "userIds": ["abc", "xyz"], "label": "same|different|unsure", "note": "", "updatedAt": 1714564800000 }
+//     ],
+//     "favorites": [
+//       { "userId": "abc", "name": "Jane Doe", "addedAt": 1714564800000 }
+//     ],
+//     "cache": [
+//       { "type": "search|profile|metrics", "key": "...", "value": {...}, "storedAt": 1714564800000 }
+//     ]
+//   }
+//
+// userIds in a label are sorted, matching SDLabels.pairKey(). Cache values
+// have the shape their type is stored with (a search is { authors, nextToken },
+// a profile SDProfile.parseProfilePage(), metrics { metrics, activeYears }).
+
+(function(root) {
+  'use strict';
+
+  const KB_FORMAT = 'scholar-disambiguator/knowledge-base';
+  const KB_VERSION = 1;
+
+  const CACHE_TYPES = ['search', 'profile', 'metrics'];
+
+  // How label conflicts (same pair, different label or note) are resolved
+  const CONFLICT_STRATEGIES = {
+    newer: 'Keep the most recently updated',
+    local: 'Keep mine',
+    imported: 'Take the imported one'
+  };
+
+  /**
+   * Build an export file
+   * @param {Object} data - { labels: pairKey -> entry, favorites: userId -> entry,
+   *   cache: [{type, key, value, storedAt}] }
+   * @returns {Object} Knowledge base in the format above
+   */
+  function buildExport({ labels, favorites, cache }) {
+    return {
+      format: KB_FORMAT,
+      version: KB_VERSION,
+      exportedAt: new Date().toISOString(),
+      labels: Object.values(labels),
+      favorites: Object.values(favorites),
+      cache: cache || []
+    };
+  }
+
+  const isString = value => typeof value === 'string' && value.length > 0;
+  const isTime = value => Number.isFinite(value) && value >= 0;
+  const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isCount = value => value === null || Number.isFinite(value);
+  const isStringOrNull = value => value === null || typeof value === 'string';
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  // Imported links end up in href and src attributes, so only Scholar's own
+  // pages and photos are accepted
+  const SCHOLAR_HOST = /^scholar\.google(usercontent)?\.[a-z]{2,3}(\.[a-z]{2})?$/;
+
+  function isScholarUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+      const url = new URL(value);
+      return (url.protocol === 'https:' || url.protocol === 'http:') && SCHOLAR_HOST.test(url.hostname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Check a candidate of a cached search (see SDParser.parseSearchPage)
+   * @param {*} author - Imported author
+   * @param {string} at - Location for the messages, e.g. "cache[2].value.authors[0]"
+   * @returns {string[]} Problems
+   */
+  function authorErrors(author, at) {
+    if (!isObject(author)) return [`${at}: expected an object`];
+    const errors = [];
+    if (!isString(author.userId)) errors.push(`${at}.userId: expected a user ID`);
+    if (typeof author.name !== 'string') errors.push(`${at}.name: expected a string`);
+    if (author.affiliation !== undefined && typeof author.affiliation !== 'string') {
+      errors.push(`${at}.affiliation: expected a string`);
+    }
+    if (author.emailDomain !== undefined && !isStringOrNull(author.emailDomain)) {
+      errors.push(`${at}.emailDomain: expected a string or null`);
+    }
+    if (author.interests !== undefined && !isStringArray(author.interests)) {
+      errors.push(`${at}.interests: expected an array of strings`);
+    }
+    if (author.citationCount !== undefined && !isCount(author.citationCount)) {
+      errors.push(`${at}.citationCount: expected a number or null`);
+    }
+    if (author.profileUrl !== undefined && !isScholarUrl(author.profileUrl)) {
+      errors.push(`${at}.profileUrl: expected a Google Scholar link`);
+    }
+    if (author.thumbnailUrl !== undefined && author.thumbnailUrl !== null && !isScholarUrl(author.thumbnailUrl)) {
+      errors.push(`${at}.thumbnailUrl: expected a Google Scholar image link`);
+    }
+    return errors;
+  }
+
+  /**
+   * Check a metrics table (see SDProfile.parseMetrics)
+   * @param {*} metrics - Imported metrics
+   * @param {string} at - Location for the messages
+   * @returns {string[]} Problems
+   */
+  function metricsErrors(metrics, at) {
+    if (metrics === null) return [];
+    if (!isObject(metrics)) return [`${at}: expected an object or null`];
+    const errors = [];
+    for (const field of ['citations', 'hIndex', 'i10Index']) {
+      const value = metrics[field];
+      if (!isObject(value) || !isCount(value.all) || !isCount(value.recent)) {
+        errors.push(`${at}.${field}: expected { all, recent } numbers`);
+      }
+    }
+    if (!isCount(metrics.sinceYear)) errors.push(`${at}.sinceYear: expected a year or null`);
+    if (!Array.isArray(metrics.citationsPerYear) || !metrics.citationsPerYear.every(entry =>
+      isObject(entry) && Number.isFinite(entry.year) && Number.isFinite(entry.count))) {
+      errors.push(`${at}.citationsPerYear: expected an array of { year, count }`);
+    }
+    return errors;
+  }
+
+  /**
+   * Check a cached profile (see SDProfile.parseProfilePage)
+   * @param {Object} profile - Imported profile
+   * @param {string} at - Location for the messages
+   * @returns {string[]} Problems
+   */
+  function profileErrors(profile, at) {
+    const errors = [];
+    if (typeof profile.name !== 'string') errors.push(`${at}.name: expected a string`);
+    if (typeof profile.affiliation !== 'string') errors.push(`${at}.affiliation: expected a string`);
+    if (!isStringOrNull(profile.emailDomain)) errors.push(`${at}.emailDomain: expected a string or null`);
+    if (!isStringArray(profile.interests)) errors.push(`${at}.interests: expected an array of strings`);
+    if (!Array.isArray(profile.coauthors)) {
+      errors.push(`${at}.coauthors: expected an array`);
+    } else {
+      profile.coauthors.forEach((coauthor, i) => {
+        if (!isObject(coauthor) || typeof coauthor.name !== 'string' || !isStringOrNull(coauthor.userId) ||
+            typeof coauthor.affiliation !== 'string') {
+          errors.push(`${at}.coauthors[${i}]: expected { name, userId, affiliation }`);
+        }
+      });
+    }
+    // Profiles cached before metrics were parsed have none
+    if (profile.metrics !== undefined) {
+      errors.push(...metricsErrors(profile.metrics, `${at}.metrics`));
+    }
+    if (!Array.isArray(profile.publications)) {
+      errors.push(`${at}.publications: expected an array`);
+    } else {
+      profile.publications.forEach((pub, i) => {
+        if (!isObject(pub) || typeof pub.title !== 'string' || !isStringArray(pub.authors) ||
+            typeof pub.venue !== 'string' || !isCount(pub.year) || !Number.isFinite(pub.citedBy)) {
+          errors.push(`${at}.publications[${i}]: expected { title, authors, venue, year, citedBy }`);
+        }
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Check the value of a cache entry against what its type stores
+   * @param {string} type - 'search', 'profile' or 'metrics'
+   * @param {*} value - Imported value
+   * @param {string} at - Location for the messages
+   * @returns {string[]} Problems
+   */
+  function cacheValueErrors(type, value, at) {
+    if (!isObject(value)) return [`${at}: expected an object`];
+
+    if (type === 'search') {
+      if (!Array.isArray(value.authors)) return [`${at}.authors: expected an array`];
+      const errors = value.authors.flatMap((author, i) => authorErrors(author, `${at}.authors[${i}]`));
+      if (!isStringOrNull(value.nextToken)) errors.push(`${at}.nextToken: expected a string or null`);
+      return errors;
+    }
+
+    if (type === 'profile') {
+      return profileErrors(value, at);
+    }
+
+    const errors = metricsErrors(value.metrics, `${at}.metrics`);
+    const years = value.activeYears;
+    if (years !== null && !(isObject(years) && Number.isFinite(years.first) && Number.isFinite(years.last))) {
+      errors.push(`${at}.activeYears: expected { first, last } or null`);
+    }
+    return errors;
+  }
+
+  /**
+   * Check a parsed file against the format
+   * @param {*} data - Parsed JSON
+   * @returns {{valid: boolean, errors: string[]}} Problems with their location
+   */
+  function validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { valid: false, errors: ['The file is not a JSON object'] };
+    }
+    if (data.format !== KB_FORMAT) {
+      errors.push(`format: expected "${KB_FORMAT}"`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push('version: expected a positive integer');
+    } else if (data.version > KB_VERSION) {
+      errors.push(`version: ${data.version} is newer than this extension supports (${KB_VERSION}); update the extension`);
+    }
+
+    for (const field of ['labels', 'favorites', 'cache']) {
+      if (data[field] !== undefined && !Array.isArray(data[field])) {
+        errors.push(`${field}: expected an array`);
+      }
+    }
+
+    (Array.isArray(data.labels) ? data.labels : []).forEach((entry, i) => {
+      const at = `labels[${i}]`;
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`${at}: expected an object`);
+        return;
+      }
+      if (!Array.isArray(entry.userIds) || entry.userIds.length !== 2 || !entry.userIds.every(isString) ||
+          entry.userIds[0] === entry.userIds[1]) {
+        errors.push(`${at}.userIds: expected two different user IDs`);
+      }
+      if (!root.SDLabels.LABELS[entry.label]) {
+        errors.push(`${at}.label: expected one of ${Object.keys(root.SDLabels.LABELS).join(', ')}`);
+      }
+      if (entry.note !== undefined && typeof entry.note !== 'string') {
+        errors.push(`${at}.note: expected a string`);
+      }
+      if (!isTime(entry.updatedAt)) {
+        errors.push(`${at}.updatedAt: expected a timestamp`);
+      }
+    });
+
+    (Array.isArray(data.favorites) ? data.favorites : []).forEach((entry, i) => {
+      const at = `favorites[${i}]`;
+      if (!entry || typeof entry !== 'object' || !isString(entry.userId)) {
+        errors.push(`${at}.userId: expected a user ID`);
+      } else if (!isTime(entry.addedAt)) {
+        errors.push(`${at}.addedAt: expected a timestamp`);
+      }
+    });
+
+    (Array.isArray(data.cache) ? data.cache : []).forEach((entry, i) => {
+      const at = `cache[${i}]`;
+      if (!entry || typeof entry !== 'object' || !CACHE_TYPES.includes(entry.type)) {
+        errors.push(`${at}.type: expected one of ${CACHE_TYPES.join(', ')}`);
+      } else if (!isString(entry.key)) {
+        errors.push(`${at}.key: expected a string`);
+      } else if (entry.value === undefined || entry.value === null) {
+        errors.push(`${at}.value: missing`);
+      } else if (!isTime(entry.storedAt)) {
+        errors.push(`${at}.storedAt: expected a timestamp`);
+      } else {
+        errors.push(...cacheValueErrors(entry.type, entry.value, `${at}.value`));
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Work out what an import would change, without changing anything
+   * @param {Object} data - Validated knowledge base
+   * @param {Object} local - Current data, as for buildExport()
+   * @param {string} strategy - A key of CONFLICT_STRATEGIES
+   * @param {Object} ttlMs - Cache lifetime per type; expired cache entries are skipped
+   * @returns {Object} Plan with, per section, the entries to write and counts:
+   *   labels { added, updated, unchanged, conflicts[{local, imported, winner}] },
+   *   favorites { added, unchanged }, cache { added, updated, skipped }
+   */
+  function planImport(data, local, strategy, ttlMs) {
+    const now = Date.now();
+    const plan = {
+      labels: { write: {}, added: 0, updated: 0, unchanged: 0, conflicts: [] },
+      favorites: { write: {}, added: 0, unchanged: 0 },
+      cache: { write: [], added: 0, updated: 0, skipped: 0 }
+    };
+
+    for (const entry of data.labels || []) {
+      const imported = {
+        userIds: entry.userIds.slice().sort(),
+        label: entry.label,
+        note: entry.note || '',
+        updatedAt: entry.updatedAt
+      };
+      const key = root.SDLabels.pairKey(imported.userIds[0], imported.userIds[1]);
+      const existing = local.labels[key];
+
+      if (!existing) {
+        plan.labels.write[key] = imported;
+        plan.labels.added++;
+      } else if (existing.label === imported.label && (existing.note || '') === imported.note) {
+        plan.labels.unchanged++;
+      } else {
+        let winner = 'local';
+        if (strategy === 'imported' || (strategy === 'newer' && imported.updatedAt > existing.updatedAt)) {
+          winner = 'imported';
+        }
+        plan.labels.conflicts.push({ local: existing, imported, winner });
+        if (winner === 'imported') {
+          plan.labels.write[key] = imported;
+          plan.labels.updated++;
+        }
+      }
+    }
+
+    for (const entry of data.favorites || []) {
+      if (local.favorites[entry.userId]) {
+        plan.favorites.unchanged++;
+      } else {
+        plan.favorites.write[entry.userId] = { userId: entry.userId, name: entry.name || '', addedAt: entry.addedAt };
+        plan.favorites.added++;
+      }
+    }
+
+    const localCache = new Map((local.cache || []).map(entry => [`${entry.type}:${entry.key}`, entry]));
+    for (const entry of data.cache || []) {
+      const existing = localCache.get(`${entry.type}:${entry.key}`);
+      const expired = now - entry.storedAt > (ttlMs[entry.type] || 0);
+      if (expired || (existing && existing.storedAt >= entry.storedAt)) {
+        plan.cache.skipped++;
+        continue;
+      }
+      plan.cache.write.push(entry);
+      if (existing) {
+        plan.cache.updated++;
+      } else {
+        plan.cache.added++;
+      }
+    }
+
+    return plan;
+  }
+
+  root.SDKnowledge = {
+    KB_FORMAT,
+    KB_VERSION,
+    CONFLICT_STRATEGIES,
+    buildExport,
+    validate,
+    planImport
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDKnowledge;
+  }
+})(globalThis);
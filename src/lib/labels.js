@@ -0,0 +1,131 @@
+// Scholar Disambiguator - Labels
+// "Same person" / "different person" / "unsure" decisions about pairs of
+// profiles, stored in chrome.storage.local so they survive later visits
+
+(function(root) {
+  'use strict';
+
+  const LABELS_KEY = 'sd_labels';
+
+  // Allowed labels with their display text
+  const LABELS = {
+    same: 'Same person',
+    different: 'Different person',
+    unsure: 'Unsure'
+  };
+
+  const MAX_NOTE_LENGTH = 500;
+
+  /**
+   * Key of a profile pair; the same for either order of user IDs
+   * @param {string} userIdA - Scholar user ID
+   * @param {string} userIdB - Scholar user ID
+   * @returns {string} e.g. "abc123|xyz789"
+   */
+  function pairKey(userIdA, userIdB) {
+    return [userIdA, userIdB].sort().join('|');
+  }
+
+  /**
+   * Load every stored label
+   * @returns {Promise<Object>} pairKey -> { userIds, label, note, updatedAt }
+   */
+  async function loadAll() {
+    try {
+      const stored = await chrome.storage.local.get(LABELS_KEY);
+      return stored[LABELS_KEY] || {};
+    } catch (e) {
+      console.error('[Scholar Disambiguator] Labels read error:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Replace all labels
+   * @param {Object} all - pairKey -> label entry
+   */
+  function saveAll(all) {
+    return chrome.storage.local.set({ [LABELS_KEY]: all });
+  }
+
+  /**
+   * Labels involving one profile, keyed by the other profile's user ID
+   * @param {string} userId - Scholar user ID
+   * @returns {Promise<Map<string, Object>>} Other user ID -> label entry
+   */
+  async function loadFor(userId) {
+    return labelsFor(await loadAll(), userId);
+  }
+
+  function labelsFor(all, userId) {
+    const result = new Map();
+    for (const entry of Object.values(all)) {
+      const index = entry.userIds.indexOf(userId);
+      if (index !== -1) {
+        result.set(entry.userIds[1 - index], entry);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Store or remove the label of a profile pair
+   * @param {string} userIdA - Scholar user ID
+   * @param {string} userIdB - Scholar user ID
+   * @param {string|null} label - A key of LABELS, or null to remove the label
+   * @param {string} [note] - Optional free-text note
+   * @returns {Promise<Object|null>} The stored entry
+   */
+  async function setLabel(userIdA, userIdB, label, note = '') {
+    if (label !== null && !LABELS[label]) {
+      throw new Error(`Unknown label: ${label}`);
+    }
+
+    const all = await loadAll();
+    const key = pairKey(userIdA, userIdB);
+    let entry = null;
+
+    if (label === null) {
+      delete all[key];
+    } else {
+      entry = {
+        userIds: [userIdA, userIdB].sort(),
+        label,
+        note: (note || '').trim().slice(0, MAX_NOTE_LENGTH),
+        updatedAt: Date.now()
+      };
+      all[key] = entry;
+    }
+
+    await saveAll(all);
+    return entry;
+  }
+
+  /**
+   * Watch for label changes from any tab
+   * @param {Function} callback - Called with all labels (pairKey -> entry)
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[LABELS_KEY]) {
+        callback(changes[LABELS_KEY].newValue || {});
+      }
+    });
+  }
+
+  root.SDLabels = {
+    LABELS,
+    MAX_NOTE_LENGTH,
+    pairKey,
+    loadAll,
+    saveAll,
+    loadFor,
+    labelsFor,
+    setLabel,
+    onChange
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDLabels;
+  }
+})(globalThis);
@@ -0,0 +1,386 @@
+// Scholar Disambiguator - Name Variants
+// Generates the spellings a researcher's name may appear under on Scholar:
+// initials, dropped middle names, hyphenation, name order and romanizations
+// of the native-script part (Pinyin for Chinese, Revised Romanization for Korean)
+
+(function(root) {
+  'use strict';
+
+  // Most variants worth querying for one name (each is a separate request)
+  const MAX_NAME_VARIANTS = 5;
+
+  // Lowercase particles that belong to the family name ("van Beethoven")
+  const FAMILY_PARTICLES = new Set(['van', 'von', 'de', 'der', 'den', 'da', 'das', 'dos', 'del', 'della', 'di', 'du', 'la', 'le', 'ter', 'ten', 'bin', 'ibn', 'al', 'el']);
+
+  // ==================== CHINESE (PINYIN) ====================
+
+  // Toneless Pinyin for characters common in Chinese names, grouped by reading.
+  // Simplified and traditional forms are both listed.
+  const PINYIN_GROUPS = [
+    'a:阿', 'ai:艾爱愛', 'an:安岸', 'ang:昂', 'ao:敖奥傲',
+    'ba:巴八', 'bai:白柏百佰', 'ban:班', 'bao:包鲍鮑宝寶保葆', 'bei:贝貝北蓓', 'ben:奔本犇',
+    'bi:毕畢碧璧必闭', 'bian:边邊卞', 'biao:彪标', 'bin:斌彬滨濱宾賓', 'bing:冰兵丙炳秉',
+    'bo:波伯勃博薄', 'bu:卜',
+    'cai:蔡才材彩', 'can:灿燦璨', 'cang:苍', 'cao:曹', 'ce:策', 'cen:岑', 'chai:柴',
+    'chang:常昌长長畅暢', 'chao:超朝潮晁', 'che:车車', 'chen:陈陳晨琛臣辰宸谌', 'cheng:程成诚誠承澄',
+    'chi:池迟遲驰馳弛持', 'chong:冲崇', 'chu:楚初褚储儲', 'chuan:川传傳', 'chun:春纯純淳',
+    'ci:慈', 'cong:聪聰从從丛叢', 'cui:崔翠', 'cun:存',
+    'da:达達大', 'dai:戴代黛', 'dan:丹旦但', 'dang:党', 'dao:道', 'de:德', 'deng:邓鄧登',
+    'di:迪笛娣狄邸', 'dian:典殿', 'diao:刁', 'ding:丁', 'dong:董东東冬栋棟', 'dou:窦竇豆',
+    'du:杜都笃', 'duan:段端', 'dun:敦', 'duo:多朵铎',
+    'e:娥', 'en:恩', 'er:尔爾二',
+    'fa:发發', 'fan:范範樊帆凡繁', 'fang:方房芳放', 'fei:费費飞飛斐霏菲', 'fen:芬奋',
+    'feng:冯馮丰豐风風枫楓锋鋒峰凤鳳封奉', 'fu:付傅符福甫辅富赋夫伏',
+    'gan:甘干', 'gang:刚剛钢鋼港', 'gao:高郜', 'ge:葛戈歌格', 'gen:根', 'geng:耿庚耕',
+    'gong:龚龔宫宮功恭巩鞏公', 'gou:苟勾', 'gu:顾顧谷古辜固', 'guan:关關管官冠观觀',
+    'guang:光广廣', 'gui:桂归歸贵貴', 'guo:郭国國果',
+    'ha:哈', 'hai:海', 'han:韩韓涵寒汉漢翰瀚晗', 'hang:杭航', 'hao:郝浩豪昊皓灏颢好',
+    'he:何贺賀和合鹤鶴荷赫河禾', 'heng:恒衡', 'hong:洪红紅宏弘虹鸿鴻', 'hou:侯厚',
+    'hu:胡扈呼', 'hua:华華化桦花', 'huai:怀', 'huan:欢歡焕环', 'huang:黄黃煌',
+    'hui:惠晖辉輝慧蕙会', 'huo:霍火',
+    'ji:纪紀季吉姬冀基继济骥嵇计', 'jia:贾賈佳家嘉甲', 'jian:简簡坚剑健建鉴',
+    'jiang:蒋蔣江姜将疆', 'jiao:焦蛟娇皎', 'jie:杰傑洁潔婕捷揭', 'jin:金靳晋锦瑾谨进津',
+    'jing:景井荆敬京经晶精菁竞镜静靜靖', 'jiong:炯', 'jiu:九久玖', 'ju:鞠居菊举炬',
+    'juan:娟隽', 'jun:军軍君均钧峻浚俊骏駿',
+    'kai:凯凱开楷锴恺', 'kan:阚', 'kang:康亢抗', 'ke:柯珂科克可', 'kong:孔', 'kou:寇',
+    'kuan:宽', 'kuang:邝况匡', 'kui:奎魁', 'kun:坤昆琨', 'kuo:阔',
+    'lai:来', 'lan:兰蘭蓝藍岚澜', 'lang:郎朗浪', 'lao:劳', 'le:乐樂', 'lei:雷蕾磊',
+    'leng:冷', 'li:李黎丽麗莉立力利励俐理礼禮栗厉', 'lian:连連廉练莲', 'liang:梁良亮',
+    'liao:廖', 'lin:林琳霖麟蔺', 'ling:凌玲灵岭龄令', 'liu:刘劉柳流留六',
+    'long:龙龍隆', 'lou:娄楼樓', 'lu:卢盧陆陸鲁魯路吕呂芦逯璐露禄鹿律', 'luan:栾',
+    'lun:伦倫论', 'luo:罗羅骆洛珞',
+    'ma:马馬麻', 'mai:麦', 'man:满曼蔓', 'mao:毛茅茂', 'mei:梅美媚', 'men:门',
+    'meng:孟蒙萌梦', 'mi:米密', 'miao:苗缪', 'min:闵敏民', 'ming:明鸣鳴铭銘茗',
+    'mo:莫墨默模', 'mou:牟', 'mu:穆慕木牧沐母',
+    'na:娜纳那', 'nai:乃', 'nan:南楠男', 'ni:倪妮', 'nian:年念', 'nie:聂', 'ning:宁寧凝',
+    'niu:牛', 'nong:农', 'nuo:诺',
+    'ou:欧歐鸥区',
+    'pan:潘盼攀盘', 'pang:庞', 'pei:裴培佩沛', 'peng:彭鹏鵬朋芃', 'pi:皮', 'piao:朴',
+    'pin:品', 'ping:平萍屏坪', 'pu:蒲浦普',
+    'qi:齐齊戚祁亓漆七琪琦奇启麒祺旗骐岐其棋淇', 'qian:钱錢千谦乾倩茜',
+    'qiang:强強', 'qiao:乔喬巧桥', 'qin:秦覃琴勤沁钦芹', 'qing:卿青清晴庆慶擎',
+    'qiong:琼', 'qiu:邱秋仇裘求球', 'qu:曲屈瞿', 'quan:全泉权', 'que:阙', 'qun:群',
+    'ran:冉然', 'rao:饶', 'ren:任仁', 'ri:日', 'rong:荣榮容蓉融戎', 'ru:茹如儒汝',
+    'ruan:阮', 'rui:芮锐瑞睿蕊', 'run:润', 'ruo:若',
+    'san:三', 'sang:桑', 'sen:森', 'sha:沙莎', 'shan:山单單珊善', 'shang:商尚上',
+    'shao:邵少绍韶', 'she:佘', 'shen:沈申深绅慎', 'sheng:盛升生胜勝圣聖晟',
+    'shi:石史施师時时实世仕士诗詩适', 'shou:守寿壽', 'shu:舒书書淑树曙束',
+    'shuai:帅', 'shuang:双爽霜', 'shui:水', 'shun:顺順舜', 'shuo:硕朔烁',
+    'si:司斯思四丝', 'song:宋松嵩颂', 'su:苏蘇宿粟素速肃', 'sui:隋随遂穗', 'sun:孙孫',
+    'suo:索',
+    'tai:邰泰太', 'tan:谭譚谈檀坦', 'tang:唐汤湯堂棠', 'tao:陶涛濤韬桃滔', 'te:特',
+    'teng:滕腾藤', 'ti:体', 'tian:田天添甜', 'tie:铁', 'ting:婷霆庭廷亭挺',
+    'tong:童佟仝通同桐彤', 'tu:涂屠图', 'tuo:拓',
+    'wa:娃', 'wan:万萬婉宛晚', 'wang:王汪旺望', 'wei:魏韦韋卫衛位尉危伟偉玮瑋炜煒维維巍威微薇为未蔚渭',
+    'wen:温溫文闻雯稳', 'weng:翁', 'wo:沃', 'wu:吴吳武伍邬巫乌五无梧舞悟午吾',
+    'xi:席奚希西熙曦喜溪夕锡习', 'xia:夏霞侠', 'xian:冼鲜先仙贤賢娴显宪献弦',
+    'xiang:向项項相香湘祥翔骧想享', 'xiao:肖萧蕭晓曉小笑筱潇啸孝校效骁霄',
+    'xie:谢謝解', 'xin:辛信新鑫欣馨心昕忻芯炘', 'xing:邢幸星兴興行杏',
+    'xiong:熊雄', 'xiu:修秀', 'xu:徐许許胥旭绪续栩序叙煦', 'xuan:宣轩萱璇玄选',
+    'xue:薛学學雪', 'xun:勋迅训寻逊荀',
+    'ya:亚亞雅娅涯', 'yan:严嚴颜顏闫閆燕晏鄢阎延言岩研妍彦雁衍焱艳艷炎',
+    'yang:杨楊阳陽羊洋扬养仰', 'yao:姚尧遥耀瑶', 'ye:叶葉冶业業野烨晔',
+    'yi:易伊衣一依宜仪儀艺亿益翼意义義奕弈轶毅怡逸翊懿',
+    'yin:尹殷阴银銀印因音寅引茵荫', 'ying:应應英莹营盈迎影映鹰瑛滢颖穎',
+    'yong:雍永勇咏涌泳庸', 'you:尤游由优友有佑幼又',
+    'yu:于於余俞虞喻禹郁玉鱼愉宇雨羽语裕育誉豫毓昱煜钰瑜渝',
+    'yuan:袁苑原元园员圆援缘渊远遠源媛愿院', 'yue:岳悦越跃粤月', 'yun:云雲芸昀允运韵蕴',
+    'zan:昝赞', 'zang:臧', 'ze:泽澤则', 'zeng:曾增', 'zha:查', 'zhai:翟',
+    'zhan:詹展战湛占', 'zhang:张張章彰掌', 'zhao:赵趙昭照钊兆召',
+    'zhe:哲喆浙', 'zhen:甄珍真祯桢震镇振', 'zheng:郑鄭正政争征铮峥证',
+    'zhi:支智植之芝枝知志治致质', 'zhong:钟鍾鐘仲忠中众重', 'zhou:周州洲舟宙',
+    'zhu:朱诸祝珠竹铸筑柱', 'zhuang:庄莊壮', 'zhuo:卓琢倬', 'zi:子紫自梓',
+    'zong:宗综纵', 'zou:邹鄒', 'zu:祖', 'zun:尊遵', 'zuo:左佐作'
+  ];
+
+  // Surname readings that differ from the character's usual reading
+  const SURNAME_READINGS = {
+    '单': 'shan', '單': 'shan', '曾': 'zeng', '解': 'xie', '仇': 'qiu', '朴': 'piao',
+    '查': 'zha', '区': 'ou', '乐': 'yue', '樂': 'yue', '尉': 'wei', '长': 'chang'
+  };
+
+  // Two-character family names
+  const COMPOUND_SURNAMES = {
+    '欧阳': 'ouyang', '歐陽': 'ouyang', '司马': 'sima', '司馬': 'sima', '上官': 'shangguan',
+    '诸葛': 'zhuge', '諸葛': 'zhuge', '东方': 'dongfang', '東方': 'dongfang', '皇甫': 'huangfu',
+    '慕容': 'murong', '令狐': 'linghu', '夏侯': 'xiahou', '尉迟': 'yuchi', '公孙': 'gongsun',
+    '宇文': 'yuwen', '长孙': 'zhangsun', '司徒': 'situ', '端木': 'duanmu', '南宫': 'nangong'
+  };
+
+  let pinyinTable = null;
+
+  function getPinyinTable() {
+    if (!pinyinTable) {
+      pinyinTable = new Map();
+      for (const group of PINYIN_GROUPS) {
+        const [reading, chars] = group.split(':');
+        for (const char of chars) {
+          if (!pinyinTable.has(char)) pinyinTable.set(char, reading);
+        }
+      }
+    }
+    return pinyinTable;
+  }
+
+  /**
+   * Romanize a Chinese name (family name first) to Pinyin
+   * @param {string} text - Han characters, e.g. "王佳"
+   * @returns {{family: string, given: string}|null} Null if any character is unknown
+   */
+  function romanizeChinese(text) {
+    const chars = [...text];
+    if (chars.length < 2 || chars.length > 4) return null;
+
+    let family = null;
+    let rest = chars;
+    const compound = chars.slice(0, 2).join('');
+    if (chars.length > 2 && COMPOUND_SURNAMES[compound]) {
+      family = COMPOUND_SURNAMES[compound];
+      rest = chars.slice(2);
+    } else {
+      family = SURNAME_READINGS[chars[0]] || getPinyinTable().get(chars[0]);
+      rest = chars.slice(1);
+    }
+    if (!family) return null;
+
+    const syllables = rest.map(c => getPinyinTable().get(c));
+    if (syllables.some(s => !s)) return null;
+
+    return { family: capitalize(family), given: capitalize(syllables.join('')) };
+  }
+
+  // ==================== KOREAN (REVISED ROMANIZATION) ====================
+
+  const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+  const HANGUL_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+  const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+  // Conventional spellings of common Korean family names
+  const KOREAN_SURNAMES = {
+    '김': 'Kim', '이': 'Lee', '박': 'Park', '최': 'Choi', '정': 'Jung', '강': 'Kang',
+    '조': 'Cho', '윤': 'Yoon', '장': 'Jang', '임': 'Lim', '한': 'Han', '오': 'Oh',
+    '서': 'Seo', '신': 'Shin', '권': 'Kwon', '황': 'Hwang', '안': 'Ahn', '송': 'Song',
+    '류': 'Ryu', '유': 'Yoo', '홍': 'Hong', '전': 'Jeon', '고': 'Ko', '문': 'Moon',
+    '양': 'Yang', '손': 'Son', '배': 'Bae', '백': 'Baek', '허': 'Heo', '노': 'Noh',
+    '남': 'Nam', '심': 'Shim', '하': 'Ha', '곽': 'Kwak', '성': 'Sung', '차': 'Cha',
+    '주': 'Joo', '우': 'Woo', '구': 'Koo', '민': 'Min', '나': 'Na', '진': 'Jin',
+    '지': 'Ji', '엄': 'Eom', '채': 'Chae', '원': 'Won', '천': 'Cheon', '방': 'Bang',
+    '공': 'Kong', '현': 'Hyun', '변': 'Byun', '염': 'Yeom', '여': 'Yeo', '추': 'Choo',
+    '도': 'Do', '석': 'Seok', '선': 'Sun', '설': 'Seol', '마': 'Ma', '길': 'Gil',
+    '연': 'Yeon', '표': 'Pyo', '명': 'Myung', '기': 'Ki', '반': 'Ban', '왕': 'Wang',
+    '금': 'Keum', '옥': 'Ok', '육': 'Yuk', '인': 'In', '맹': 'Maeng', '탁': 'Tak',
+    '남궁': 'Namgung', '황보': 'Hwangbo', '제갈': 'Jegal', '선우': 'Sunwoo', '독고': 'Dokgo'
+  };
+
+  function romanizeHangulSyllable(char) {
+    const code = char.charCodeAt(0) - 0xAC00;
+    if (code < 0 || code > 11171) return null;
+    const initial = Math.floor(code / 588);
+    const medial = Math.floor((code % 588) / 28);
+    const final = code % 28;
+    return HANGUL_INITIALS[initial] + HANGUL_MEDIALS[medial] + HANGUL_FINALS[final];
+  }
+
+  /**
+   * Romanize a Korean name (family name first)
+   * @param {string} text - Hangul syllables, e.g. "김철수"
+   * @returns {{family: string, given: string, givenSyllables: string[]}|null}
+   */
+  function romanizeKorean(text) {
+    const chars = [...text];
+    if (chars.length < 2 || chars.length > 5) return null;
+
+    const compound = chars.slice(0, 2).join('');
+    const familyLength = chars.length > 2 && KOREAN_SURNAMES[compound] ? 2 : 1;
+    const familySyllables = chars.slice(0, familyLength).map(romanizeHangulSyllable);
+    const givenSyllables = chars.slice(familyLength).map(romanizeHangulSyllable);
+    if (familySyllables.some(s => s === null) || givenSyllables.some(s => s === null)) return null;
+
+    const family = KOREAN_SURNAMES[chars.slice(0, familyLength).join('')] ||
+      capitalize(familySyllables.join(''));
+
+    return { family, given: capitalize(givenSyllables.join('')), givenSyllables };
+  }
+
+  // ==================== PARSING ====================
+
+  function capitalize(word) {
+    return word ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+  }
+
+  /**
+   * Split a Scholar display name into its Latin and native-script parts
+   * e.g. "Jia Wang (王佳)" or "Xing Xie 谢幸"
+   * @param {string} displayName - Name as shown on the profile
+   * @returns {{latin: string, native: string}}
+   */
+  function splitScripts(displayName) {
+    let text = (displayName || '').trim();
+    let native = '';
+
+    const parenMatch = text.match(/\(([^)]*)\)/);
+    if (parenMatch) {
+      native = parenMatch[1].trim();
+      text = text.replace(/\s*\([^)]*\)\s*/g, ' ');
+    }
+
+    // Leading run of Latin letters (including accented ones), spaces and punctuation
+    const latinMatch = text.match(/^[\p{Script=Latin}\s.,\-']+/u);
+    const latin = latinMatch ? latinMatch[0].replace(/[\s,]+$/, '').trim() : '';
+
+    if (!native) {
+      native = text.slice(latinMatch ? latinMatch[0].length : 0).trim();
+    }
+
+    return { latin, native: native.replace(/\s+/g, '') };
+  }
+
+  /**
+   * Split a Latin name into given names and family name.
+   * "Smith, John A." and "John A. Smith" both give given ["John", "A"], family "Smith".
+   * @param {string} latin - Latin-script name
+   * @returns {{given: string[], family: string}|null}
+   */
+  function parseLatinName(latin) {
+    const clean = (latin || '').replace(/\./g, ' ').replace(/\s+/g, ' ').trim();
+    if (!clean) return null;
+
+    if (clean.includes(',')) {
+      const [family, given] = clean.split(',').map(p => p.trim());
+      return { given: given ? given.split(' ') : [], family };
+    }
+
+    const tokens = clean.split(' ');
+    if (tokens.length === 1) return { given: [], family: tokens[0] };
+
+    // Family name starts at the first particle, otherwise it is the last token
+    let familyStart = tokens.length - 1;
+    for (let i = 1; i < tokens.length - 1; i++) {
+      if (FAMILY_PARTICLES.has(tokens[i].toLowerCase())) {
+        familyStart = i;
+        break;
+      }
+    }
+
+    return {
+      given: tokens.slice(0, familyStart),
+      family: tokens.slice(familyStart).join(' ')
+    };
+  }
+
+  /**
+   * Romanize the native-script part of a name
+   * @param {string} native - Native-script name
+   * @returns {{family: string, given: string, givenSyllables: string[]}|null}
+   */
+  function romanizeNative(native) {
+    if (!native) return null;
+    if (/^[\p{Script=Hangul}]+$/u.test(native)) return romanizeKorean(native);
+    if (/^[\p{Script=Han}]+$/u.test(native)) return romanizeChinese(native);
+    return null;
+  }
+
+  /**
+   * Clean a name copied from a byline or a list: collapse whitespace and drop
+   * surrounding punctuation, quotes and affiliation markers ("Wei Wang1,2*")
+   * @param {string} text - Raw text
+   * @returns {string} Name, possibly ''
+   */
+  function cleanListedName(text) {
+    return (text || '').replace(/\s+/g, ' ')
+      .replace(/^[\s,;:.()[\]"'*†‡§¶\d]+|[\s,;:()[\]"'*†‡§¶\d]+$/gu, '');
+  }
+
+  /**
+   * Pick the name to search for: the Latin part of the display name, or a
+   * romanization when the profile only shows a native-script name
+   * @param {string} displayName - Name as shown on the profile
+   * @returns {string} Search name
+   */
+  function primarySearchName(displayName) {
+    const { latin, native } = splitScripts(displayName);
+    if (latin) return latin;
+
+    const romanized = romanizeNative(native);
+    if (romanized) return `${romanized.given} ${romanized.family}`;
+
+    return (displayName || '').trim();
+  }
+
+  /**
+   * Generate search variants of a name, most useful first
+   * @param {string} displayName - Name as shown on the profile
+   * @param {number} limit - Maximum number of variants to return
+   * @returns {string[]} Distinct variants; the first is primarySearchName()
+   */
+  function generateNameVariants(displayName, limit = MAX_NAME_VARIANTS) {
+    const { latin, native } = splitScripts(displayName);
+    const variants = [primarySearchName(displayName)];
+
+    const parsed = parseLatinName(latin);
+    if (parsed && parsed.given.length > 0) {
+      const { given, family } = parsed;
+      const first = given[0];
+      const middles = given.slice(1);
+
+      // Full name in "Given Family" order (normalizes "Smith, John")
+      variants.push([...given, family].join(' '));
+
+      // Dropped middle names
+      if (middles.length > 0) {
+        variants.push(`${first} ${family}`);
+      }
+
+      // Initials
+      variants.push(`${first.charAt(0)} ${family}`);
+      if (middles.length > 0) {
+        variants.push(`${given.map(g => g.charAt(0)).join(' ')} ${family}`);
+      }
+
+      // Hyphenation and spacing ("Jun-Yan" -> "Junyan", "Jun Yan")
+      if (first.includes('-')) {
+        const parts = first.split('-');
+        variants.push(`${capitalize(parts.join('').toLowerCase())} ${family}`);
+        variants.push(`${parts.join(' ')} ${family}`);
+      }
+
+      // Family name first, common for East Asian names
+      variants.push(`${family} ${given.join(' ')}`);
+    }
+
+    const romanized = romanizeNative(native);
+    if (romanized) {
+      variants.push(`${romanized.given} ${romanized.family}`);
+      if (romanized.givenSyllables && romanized.givenSyllables.length > 1) {
+        variants.push(`${capitalize(romanized.givenSyllables.join('-'))} ${romanized.family}`);
+      }
+      variants.push(`${romanized.family} ${romanized.given}`);
+    }
+
+    // De-duplicate ignoring case and punctuation, keeping the first spelling
+    const seen = new Set();
+    const unique = [];
+    for (const variant of variants) {
+      const key = variant.toLowerCase().replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      unique.push(variant.replace(/\s+/g, ' ').trim());
+    }
+
+    return unique.slice(0, limit);
+  }
+
+  root.SDNames = {
+    MAX_NAME_VARIANTS,
+    splitScripts,
+    parseLatinName,
+    romanizeNative,
+    primarySearchName,
+    cleanListedName,
+    generateNameVariants
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDNames;
+  }
+})(globalThis);
@@ -0,0 +1,430 @@
+// Scholar Disambiguator - Search Result Parser
+// Single parser for Scholar author search pages, shared by the service worker
+// (string matching, no DOM) and the pages (DOM parsing). Every extraction
+// tries a versioned list of selectors or patterns, newest first, and reports
+// how confident it is in each field so layout changes show up in the
+// diagnostics report (src/lib/diagnostics.js) instead of failing silently.
+
+(function(root) {
+  'use strict';
+
+  // Bumped whenever the selector sets or patterns change
+  const PARSER_VERSION = 2;
+
+  // Confidence of a value found by the first selector, by a fallback selector,
+  // and by a text heuristic
+  const CONFIDENCE = {
+    primary: 1,
+    fallback: 0.7,
+    heuristic: 0.4,
+    missing: 0
+  };
+
+  // DOM selectors for search result cards, newest markup first. Within a set,
+  // each field lists its selectors in order of preference.
+  const SELECTOR_SETS = [
+    {
+      version: '2017',
+      card: ['.gsc_1usr'],
+      name: ['.gs_ai_name a', 'h3 a'],
+      affiliation: ['.gs_ai_aff'],
+      email: ['.gs_ai_eml'],
+      interests: ['.gs_ai_int a', '.gs_ai_one_int'],
+      citations: ['.gs_ai_cby'],
+      photo: ['.gs_ai_pho img', 'img']
+    },
+    {
+      version: '2012',
+      card: ['.gsc_1usr', '.gs_scl'],
+      name: ['.gsc_1usr_name a', 'h3 a'],
+      affiliation: ['.gsc_1usr_aff'],
+      email: ['.gsc_1usr_emlb', '.gsc_1usr_eml'],
+      interests: ['.gsc_1usr_int a', '.gsc_co_int'],
+      citations: ['.gsc_1usr_cby'],
+      photo: ['.gsc_1usr_photo img', 'img']
+    }
+  ];
+
+  // "Verified email at ..." in the languages Scholar is served in. A domain
+  // shown without one of these is not reported as verified.
+  const VERIFIED_EMAIL_MARKERS = [
+    /verified/i, // en
+    /bestätigt/i, // de
+    /validée|vérifiée/i, // fr
+    /verificad[ao]/i, // es, pt
+    /verificat[ao]/i, // it
+    /confirmad[ao]/i, // pt-BR
+    /验证|驗證/, // zh-CN, zh-TW
+    /確認済み/, // ja
+    /확인/ // ko
+  ];
+
+  // Fields that most cards have, so a page where every card lacks one
+  // probably has new markup. Interests and email are often absent.
+  const EXPECTED_FIELDS = ['name', 'affiliation', 'citations', 'photo'];
+
+  // A page needs this many cards before "missing on every card" is reported
+  const MIN_CARDS_FOR_MISSING = 3;
+
+  // String patterns for the next page token, most specific first
+  const NEXT_TOKEN_PATTERNS = [
+    {
+      name: 'next_button',
+      confidence: CONFIDENCE.primary,
+      find: html => {
+        const button = html.match(/<(?:button|a)\b[^>]*\bgs_btnPR\b[^>]*>/);
+        const match = button ? button[0].match(/after_author=([^&"'\\\s>]+)/) : null;
+        return match ? match[1] : null;
+      }
+    },
+    {
+      name: 'after_author',
+      confidence: CONFIDENCE.fallback,
+      find: html => {
+        // The last occurrence is usually the "Next" button
+        const matches = html.match(/after_author=[^&"'\\\s><]+/g);
+        return matches ? matches[matches.length - 1].slice('after_author='.length) : null;
+      }
+    },
+    {
+      name: 'cstart',
+      confidence: CONFIDENCE.heuristic,
+      find: html => {
+        const match = html.match(/cstart=(\d+)/);
+        return match ? `cstart:${match[1]}` : null;
+      }
+    },
+    {
+      name: 'start',
+      confidence: CONFIDENCE.heuristic,
+      find: html => {
+        const matches = html.match(/[?&]start=\d+/g);
+        if (!matches) return null;
+        const start = matches[matches.length - 1].replace(/\D/g, '');
+        return parseInt(start, 10) > 0 ? start : null;
+      }
+    }
+  ];
+
+  /**
+   * Extract the user ID from a profile URL
+   * @param {string} url - Absolute or relative profile URL
+   * @returns {string|null} Scholar user ID
+   */
+  function extractUserIdFromUrl(url) {
+    const match = url.match(/[?&](?:amp;)?user=([^&]+)/);
+    return match ? match[1] : null;
+  }
+
+  // ==================== STRING PARSING (service worker) ====================
+
+  /**
+   * Construct the Google Scholar author search URL
+   * @param {string} baseUrl - Scholar origin, e.g. "https://scholar.google.com"
+   * @param {string} authorName - The author name to search for
+   * @param {string} [afterToken] - Pagination token from extractNextPageToken()
+   * @returns {string} The search URL
+   */
+  function buildSearchUrl(baseUrl, authorName, afterToken = null) {
+    let url = `${baseUrl}/citations?view_op=search_authors&mauthors=${encodeURIComponent(authorName)}`;
+    if (afterToken) {
+      // The token format depends on the pattern that found it
+      if (afterToken.startsWith('cstart:')) {
+        url += `&cstart=${afterToken.substring(7)}`;
+      } else if (/^\d+$/.test(afterToken)) {
+        url += `&start=${afterToken}`;
+      } else {
+        url += `&after_author=${afterToken}`;
+      }
+    }
+    return url;
+  }
+
+  /**
+   * Check if a search page has any author results
+   * @param {string} html - Search page HTML
+   * @returns {boolean} True if results exist
+   */
+  function hasResults(html) {
+    return html.includes('gsc_1usr');
+  }
+
+  /**
+   * Find the token of the next search page
+   * @param {string} html - Search page HTML
+   * @returns {{token: string|null, confidence: number, pattern: string|null, issues: Object[]}}
+   *   issues reports an enabled "Next" button without a token
+   */
+  function extractNextPageToken(html) {
+    // Scholar encodes & as &amp; in attributes, and = and & as \x3d and
+    // \x26 inside onclick handlers
+    const decodedHtml = html
+      .replace(/\\x3d/gi, '=')
+      .replace(/\\x26/gi, '&')
+      .replace(/&amp;/g, '&');
+
+    for (const pattern of NEXT_TOKEN_PATTERNS) {
+      const token = pattern.find(decodedHtml);
+      if (token) {
+        return { token, confidence: pattern.confidence, pattern: pattern.name, issues: [] };
+      }
+    }
+
+    const nextButton = html.match(/<button[^>]*gs_btnPR[^>]*>/);
+    const issues = nextButton && !/\bdisabled\b/.test(nextButton[0])
+      ? [{ pageKind: 'search', field: 'nextToken', kind: 'missing', selectorSet: null }]
+      : [];
+    return { token: null, confidence: CONFIDENCE.missing, pattern: null, issues };
+  }
+
+  /**
+   * Split a search results page into its author cards
+   * @param {string} html - The search results HTML
+   * @returns {Array<{userId: string|null, html: string}>} One entry per card
+   */
+  function splitResultCards(html) {
+    const starts = [];
+    const cardPattern = /<div class="gsc_1usr\b/g;
+    let match;
+    while ((match = cardPattern.exec(html)) !== null) {
+      starts.push(match.index);
+    }
+
+    // Cards are siblings, so each one runs until the next; the last one stops
+    // at the bottom pagination bar
+    const bottomIndex = html.indexOf('gsc_authors_bottom_pag');
+    return starts.map((start, i) => {
+      let end = i + 1 < starts.length ? starts[i + 1] : html.length;
+      if (i + 1 === starts.length && bottomIndex > start) {
+        end = html.lastIndexOf('<', bottomIndex);
+      }
+      const cardHtml = html.substring(start, end);
+      const userMatch = cardHtml.match(/[?&](?:amp;)?user=([\w-]+)/);
+      return { userId: userMatch ? userMatch[1] : null, html: cardHtml };
+    });
+  }
+
+  function decodeEntities(text) {
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  /**
+   * Read the name and affiliation of one card from splitResultCards(), for
+   * places without a DOM (the service worker)
+   * @param {string} cardHtml - HTML of one author card
+   * @returns {{name: string, affiliation: string}}
+   */
+  function summarizeCard(cardHtml) {
+    const nameMatch = cardHtml.match(/class="(?:gs_ai_name|gsc_1usr_name)"[^>]*>\s*<a[^>]*>([\s\S]*?)<\/a>/) ||
+                      cardHtml.match(/<h3[^>]*>\s*<a[^>]*>([\s\S]*?)<\/a>/);
+    const affiliationMatch = cardHtml.match(/class="(?:gs_ai_aff|gsc_1usr_aff)"[^>]*>([\s\S]*?)<\/div>/);
+    return {
+      name: nameMatch ? decodeEntities(nameMatch[1]) : '',
+      affiliation: affiliationMatch ? decodeEntities(affiliationMatch[1]) : ''
+    };
+  }
+
+  // ==================== DOM PARSING (pages) ====================
+
+  /**
+   * Query the first matching selector of a field
+   * @returns {{elements: Element[], confidence: number}} Matches of the first
+   *   selector that matched anything
+   */
+  function queryField(card, selectors, all = false) {
+    for (let i = 0; i < selectors.length; i++) {
+      const elements = all
+        ? Array.from(card.querySelectorAll(selectors[i]))
+        : [card.querySelector(selectors[i])].filter(Boolean);
+      if (elements.length > 0) {
+        return { elements, confidence: i === 0 ? CONFIDENCE.primary : CONFIDENCE.fallback };
+      }
+    }
+    return { elements: [], confidence: CONFIDENCE.missing };
+  }
+
+  /**
+   * Pick the selector set the page was written for: the newest one whose
+   * cards and primary name selector match, else the newest one with cards
+   */
+  function findCards(doc) {
+    let firstMatch = null;
+    for (const set of SELECTOR_SETS) {
+      for (const selector of set.card) {
+        const cards = Array.from(doc.querySelectorAll(selector));
+        if (cards.length === 0) continue;
+        if (cards[0].querySelector(set.name[0])) return { set, cards };
+        if (!firstMatch) firstMatch = { set, cards };
+        break;
+      }
+    }
+    return firstMatch || { set: SELECTOR_SETS[0], cards: [] };
+  }
+
+  function absoluteUrl(url, baseUrl) {
+    return url.startsWith('http') ? url : `${baseUrl}${url}`;
+  }
+
+  /**
+   * Parse one author card
+   * @returns {Object|null} Author with a confidence (0-1) per field, or null without a name
+   */
+  function parseCard(card, set, baseUrl) {
+    const confidence = {};
+
+    const nameField = queryField(card, set.name);
+    confidence.name = nameField.confidence;
+    const nameElement = nameField.elements[0];
+    if (!nameElement) return null;
+
+    const name = nameElement.textContent.trim();
+    const fullProfileUrl = absoluteUrl(nameElement.getAttribute('href') || '', baseUrl);
+    const userId = extractUserIdFromUrl(fullProfileUrl);
+
+    const affiliationField = queryField(card, set.affiliation);
+    confidence.affiliation = affiliationField.confidence;
+    const affiliation = affiliationField.elements[0] ? affiliationField.elements[0].textContent.trim() : '';
+
+    // "Verified email at mit.edu" (localized on regional domains, so fall
+    // back to the first domain-like token). Verification is read from the
+    // text, not implied by the domain.
+    const emailField = queryField(card, set.email);
+    confidence.email = emailField.confidence;
+    let emailDomain = null;
+    let emailVerified = false;
+    if (emailField.elements[0]) {
+      const emailText = emailField.elements[0].textContent.trim();
+      const emailMatch = emailText.match(/at\s+(\S+)$/i) ||
+                         emailText.match(/([a-z0-9-]+(?:\.[a-z0-9-]+)+)/i);
+      emailDomain = emailMatch ? emailMatch[1] : null;
+      emailVerified = !!emailDomain && VERIFIED_EMAIL_MARKERS.some(marker => marker.test(emailText));
+    }
+
+    const interestsField = queryField(card, set.interests, true);
+    confidence.interests = interestsField.confidence;
+    const interests = interestsField.elements
+      .map(el => el.textContent.trim())
+      .filter(Boolean);
+
+    const citationsField = queryField(card, set.citations);
+    confidence.citations = citationsField.confidence;
+    let citationText = citationsField.elements[0] ? citationsField.elements[0].textContent : '';
+    if (!citationText) {
+      // "Cited by 1234" anywhere in the card
+      const textMatch = card.textContent.match(/Cited by\s+([\d,]+)/i);
+      if (textMatch) {
+        citationText = textMatch[1];
+        confidence.citations = CONFIDENCE.heuristic;
+      }
+    }
+    const citationMatch = citationText.replace(/,/g, '').match(/(\d+)/);
+    const citationCount = citationMatch ? parseInt(citationMatch[1], 10) : null;
+
+    const photoField = queryField(card, set.photo);
+    confidence.photo = photoField.confidence;
+    let thumbnailUrl = photoField.elements[0] ? photoField.elements[0].getAttribute('src') : null;
+    if (thumbnailUrl) {
+      thumbnailUrl = absoluteUrl(thumbnailUrl, baseUrl);
+    }
+
+    return {
+      name,
+      affiliation,
+      profileUrl: fullProfileUrl,
+      userId,
+      emailDomain,
+      emailVerified,
+      interests,
+      citationCount,
+      thumbnailUrl,
+      confidence
+    };
+  }
+
+  /**
+   * Turn per-card confidences into diagnostic issues: fields missing on every
+   * card, and fields only found through fallback selectors
+   */
+  function collectIssues(authors, cardCount, set) {
+    const issues = [];
+    if (authors.length < cardCount) {
+      issues.push({ pageKind: 'search', field: 'name', kind: 'missing', selectorSet: set.version, count: cardCount - authors.length });
+    }
+    if (authors.length === 0) return issues;
+
+    const fields = Object.keys(authors[0].confidence);
+    for (const field of fields) {
+      const values = authors.map(author => author.confidence[field]);
+      const found = values.filter(value => value > CONFIDENCE.missing);
+      if (found.length === 0) {
+        if (EXPECTED_FIELDS.includes(field) && authors.length >= MIN_CARDS_FOR_MISSING) {
+          issues.push({ pageKind: 'search', field, kind: 'missing', selectorSet: set.version, count: authors.length });
+        }
+      } else if (found.every(value => value < CONFIDENCE.primary)) {
+        issues.push({ pageKind: 'search', field, kind: 'fallback', selectorSet: set.version, count: found.length });
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Parse a Scholar author search page
+   * @param {string} html - Search page HTML
+   * @param {string} baseUrl - Scholar origin used for relative links, e.g. "https://scholar.google.com"
+   * @returns {{authors: Object[], selectorSet: string, issues: Object[]}} Authors
+   *   (see parseSearchResults), the selector set that matched, and diagnostic
+   *   issues ({pageKind, field, kind: 'missing'|'fallback', selectorSet, count})
+   */
+  function parseSearchPage(html, baseUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const { set, cards } = findCards(doc);
+
+    const authors = [];
+    for (const card of cards) {
+      try {
+        const author = parseCard(card, set, baseUrl);
+        if (author) authors.push(author);
+      } catch (e) {
+        console.error('[Scholar Disambiguator] Error parsing author card:', e);
+      }
+    }
+
+    return { authors, selectorSet: set.version, issues: collectIssues(authors, cards.length, set) };
+  }
+
+  /**
+   * Parse the author cards of a Scholar author search page
+   * @param {string} html - Search page HTML
+   * @param {string} baseUrl - Scholar origin used for relative links
+   * @returns {Object[]} Authors with name, affiliation, profileUrl, userId, emailDomain,
+   *   emailVerified, interests, citationCount, thumbnailUrl and confidence (field -> 0-1)
+   */
+  function parseSearchResults(html, baseUrl) {
+    return parseSearchPage(html, baseUrl).authors;
+  }
+
+  root.SDParser = {
+    PARSER_VERSION,
+    CONFIDENCE,
+    SELECTOR_SETS,
+    extractUserIdFromUrl,
+    buildSearchUrl,
+    hasResults,
+    extractNextPageToken,
+    splitResultCards,
+    summarizeCard,
+    parseSearchPage,
+    parseSearchResults
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDParser;
+  }
+})(globalThis);
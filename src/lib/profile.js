@@ -0,0 +1,278 @@
+// Scholar Disambiguator - Profile Parsing & Comparison
+// Parses author profile pages and finds the publications, venues and
+// co-authors two profiles have in common
+
+(function(root) {
+  'use strict';
+
+  /**
+   * Extract user ID from a profile URL
+   */
+  function extractUserIdFromUrl(url) {
+    const match = url.match(/[?&]user=([^&]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Normalize a publication title for comparison
+   * @param {string} title - Raw title
+   * @returns {string} Lowercase title with punctuation removed
+   */
+  function normalizeTitle(title) {
+    return (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  /**
+   * Reduce a venue line like "Nature 521 (7553), 436-444, 2015" to its name
+   * @param {string} venue - Raw venue line
+   * @returns {string} Venue name
+   */
+  function normalizeVenue(venue) {
+    return (venue || '').replace(/[\s\d.,:;()\-–]+$/, '').trim();
+  }
+
+  /**
+   * Normalize an author name to "initial surname" form (e.g. "j smith").
+   * Publication rows abbreviate names inconsistently ("J Smith", "JA Smith"),
+   * so only the first initial is kept.
+   * @param {string} name - Full or abbreviated name
+   * @returns {string} Lowercase abbreviated name
+   */
+  function abbreviateName(name) {
+    const parts = (name || '').replace(/[.,]/g, ' ').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return '';
+    const surname = parts[parts.length - 1];
+    const initial = parts.length > 1 ? parts[0].charAt(0) : '';
+    return `${initial} ${surname}`.trim().toLowerCase();
+  }
+
+  function parseCount(text) {
+    const value = parseInt((text || '').replace(/[^\d]/g, ''), 10);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Parse the citation metrics box and the citations-per-year histogram
+   * @param {Document} doc - Parsed profile page
+   * @returns {Object|null} { citations, hIndex, i10Index } each as {all, recent},
+   *   sinceYear of the recent column, and citationsPerYear ({year, count}, oldest
+   *   first); null if the profile has no metrics box
+   */
+  function parseMetrics(doc) {
+    const rows = doc.querySelectorAll('#gsc_rsb_st tbody tr');
+    if (rows.length === 0) return null;
+
+    // Row labels are localized, so rely on the fixed order
+    const values = Array.from(rows).map(row => {
+      const cells = row.querySelectorAll('.gsc_rsb_std');
+      return {
+        all: cells[0] ? parseCount(cells[0].textContent) : null,
+        recent: cells[1] ? parseCount(cells[1].textContent) : null
+      };
+    });
+
+    const headers = doc.querySelectorAll('#gsc_rsb_st .gsc_rsb_sth');
+    const sinceMatch = headers[1] ? headers[1].textContent.match(/(\d{4})/) : null;
+
+    // Bars are only drawn for years with citations; each bar's z-index counts
+    // back from the newest year label
+    const years = Array.from(doc.querySelectorAll('.gsc_md_hist_b .gsc_g_t')).map(el => parseInt(el.textContent, 10));
+    const counts = new Map(years.map(year => [year, 0]));
+    for (const bar of doc.querySelectorAll('.gsc_md_hist_b .gsc_g_a')) {
+      const hrefMatch = (bar.getAttribute('href') || '').match(/as_yhi=(\d{4})/);
+      const zIndex = parseInt(bar.style.zIndex, 10);
+      const year = hrefMatch ? parseInt(hrefMatch[1], 10) : years[years.length - zIndex];
+      const label = bar.querySelector('.gsc_g_al');
+      if (year && label) counts.set(year, parseCount(label.textContent) || 0);
+    }
+
+    return {
+      citations: values[0] || { all: null, recent: null },
+      hIndex: values[1] || { all: null, recent: null },
+      i10Index: values[2] || { all: null, recent: null },
+      sinceYear: sinceMatch ? parseInt(sinceMatch[1], 10) : null,
+      citationsPerYear: Array.from(counts, ([year, count]) => ({ year, count }))
+        .filter(entry => Number.isFinite(entry.year))
+        .sort((a, b) => a.year - b.year)
+    };
+  }
+
+  /**
+   * Estimate the first and last year a profile was active from its
+   * publication years
+   * @param {Object[]} publications - Publications from parseProfilePage
+   * @param {boolean} complete - Whether publications is the full list. If not,
+   *   an earlier first cited year from the histogram moves the first year back,
+   *   since a profile is cited only after it publishes.
+   * @param {Object[]} [citationsPerYear] - Histogram from parseMetrics
+   * @returns {{first: number, last: number}|null} Active years, or null if no
+   *   publication has a year
+   */
+  function activeYears(publications, complete, citationsPerYear = []) {
+    const years = publications.map(pub => pub.year).filter(Boolean);
+    if (years.length === 0) return null;
+
+    let first = Math.min(...years);
+    if (!complete) {
+      const firstCited = citationsPerYear.find(entry => entry.count > 0);
+      if (firstCited && firstCited.year < first) first = firstCited.year;
+    }
+    return { first, last: Math.max(...years) };
+  }
+
+  /**
+   * Parse a profile page
+   * @param {string} html - The profile page HTML
+   * @returns {Object} Profile with name, affiliation, emailDomain, interests,
+   *   coauthors ({name, userId, affiliation}), metrics (see parseMetrics) and
+   *   publications ({title, authors, venue, year, citedBy})
+   */
+  function parseProfilePage(html) {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(html, 'text/html');
+
+    const nameElement = doc.querySelector('#gsc_prf_in');
+    const affiliationElement = doc.querySelector('#gsc_prf_i .gsc_prf_il');
+    const emailElement = doc.querySelector('#gsc_prf_ivh');
+
+    let emailDomain = null;
+    if (emailElement) {
+      const emailMatch = emailElement.textContent.match(/at\s+(\S+)/i);
+      emailDomain = emailMatch ? emailMatch[1] : null;
+    }
+
+    const interests = Array.from(doc.querySelectorAll('#gsc_prf_int a'))
+      .map(el => el.textContent.trim())
+      .filter(Boolean);
+
+    // The sidebar list and the "View all" dialog use the same markup
+    const coauthors = [];
+    const seenCoauthors = new Set();
+    for (const el of doc.querySelectorAll('.gsc_rsb_aa')) {
+      const link = el.querySelector('.gsc_rsb_a_desc a');
+      if (!link) continue;
+      const userId = extractUserIdFromUrl(link.getAttribute('href') || '');
+      if (userId && seenCoauthors.has(userId)) continue;
+      if (userId) seenCoauthors.add(userId);
+      const affiliationEl = el.querySelector('.gsc_rsb_a_ext');
+      coauthors.push({
+        name: link.textContent.trim(),
+        userId,
+        affiliation: affiliationEl ? affiliationEl.textContent.trim() : ''
+      });
+    }
+
+    const publications = [];
+    for (const row of doc.querySelectorAll('#gsc_a_b .gsc_a_tr')) {
+      const titleElement = row.querySelector('.gsc_a_at');
+      if (!titleElement) continue;
+
+      const grayLines = row.querySelectorAll('.gsc_a_t .gs_gray');
+      const authors = grayLines[0]
+        ? grayLines[0].textContent.split(',').map(a => a.trim()).filter(a => a && a !== '...')
+        : [];
+      const venue = grayLines[1] ? normalizeVenue(grayLines[1].textContent) : '';
+
+      const yearElement = row.querySelector('.gsc_a_y span, .gsc_a_h');
+      const year = yearElement ? parseInt(yearElement.textContent, 10) || null : null;
+
+      const citedElement = row.querySelector('.gsc_a_ac');
+      const citedBy = citedElement ? parseInt(citedElement.textContent, 10) || 0 : 0;
+
+      publications.push({
+        title: titleElement.textContent.trim(),
+        authors,
+        venue,
+        year,
+        citedBy
+      });
+    }
+
+    return {
+      name: nameElement ? nameElement.textContent.trim() : '',
+      affiliation: affiliationElement ? affiliationElement.textContent.trim() : '',
+      emailDomain,
+      interests,
+      coauthors,
+      metrics: parseMetrics(doc),
+      publications
+    };
+  }
+
+  /**
+   * Find what two profiles have in common
+   * @param {Object} current - Parsed profile being viewed
+   * @param {Object} candidate - Parsed candidate profile
+   * @param {string} authorName - The shared author name, excluded from co-author matches
+   * @returns {Object} Shared titles, venues and co-author names
+   */
+  function compareProfiles(current, candidate, authorName) {
+    const self = abbreviateName(authorName);
+
+    const currentTitles = new Map(current.publications.map(p => [normalizeTitle(p.title), p.title]));
+    const sharedTitles = [];
+    for (const pub of candidate.publications) {
+      const key = normalizeTitle(pub.title);
+      if (key && currentTitles.has(key)) {
+        sharedTitles.push(currentTitles.get(key));
+        currentTitles.delete(key);
+      }
+    }
+
+    const currentVenues = new Map();
+    for (const pub of current.publications) {
+      if (pub.venue) currentVenues.set(pub.venue.toLowerCase(), pub.venue);
+    }
+    const sharedVenues = new Set();
+    for (const pub of candidate.publications) {
+      if (pub.venue && currentVenues.has(pub.venue.toLowerCase())) {
+        sharedVenues.add(currentVenues.get(pub.venue.toLowerCase()));
+      }
+    }
+
+    // Co-authors from the profile sidebars, matched by user ID, plus names
+    // appearing on both publication lists, matched by abbreviated name
+    const sharedCoauthors = new Map();
+    const currentCoauthorIds = new Map(current.coauthors.filter(c => c.userId).map(c => [c.userId, c.name]));
+    for (const coauthor of candidate.coauthors) {
+      if (coauthor.userId && currentCoauthorIds.has(coauthor.userId)) {
+        sharedCoauthors.set(abbreviateName(coauthor.name), coauthor.name);
+      }
+    }
+
+    const currentPubAuthors = new Map();
+    for (const pub of current.publications) {
+      for (const name of pub.authors) {
+        const key = abbreviateName(name);
+        if (key && key !== self) currentPubAuthors.set(key, name);
+      }
+    }
+    for (const pub of candidate.publications) {
+      for (const name of pub.authors) {
+        const key = abbreviateName(name);
+        if (currentPubAuthors.has(key) && !sharedCoauthors.has(key)) {
+          sharedCoauthors.set(key, currentPubAuthors.get(key));
+        }
+      }
+    }
+
+    return {
+      sharedTitles,
+      sharedVenues: [...sharedVenues],
+      sharedCoauthors: [...sharedCoauthors.values()]
+    };
+  }
+
+  root.SDProfile = {
+    parseProfilePage,
+    activeYears,
+    compareProfiles,
+    normalizeTitle,
+    normalizeVenue,
+    abbreviateName
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDProfile;
+  }
+})(globalThis);
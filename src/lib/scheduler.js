@@ -0,0 +1,232 @@
+// Scholar Disambiguator - Request Scheduler
+// Single queue for every Scholar request made by the extension, so all tabs
+// share one concurrency limit, one request spacing and one backoff state
+
+(function(root) {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    concurrency: 1, // Requests in flight at once
+    spacingMs: 2000, // Minimum time between request starts
+    backoffBaseMs: 30 * 1000, // First cooldown after a rate limit
+    backoffMaxMs: 15 * 60 * 1000 // Longest cooldown
+  };
+
+  // Result errors that mean Scholar wants us to slow down
+  const BACKOFF_ERRORS = new Set(['rate_limited']);
+
+  // Result errors that need the user; the queue pauses until resume() or
+  // cancelPending(). The failed request, everything queued and everything
+  // enqueued during the pause get that error result at once, so callers can
+  // retry after the pause instead of waiting on a request that may never run.
+  const PAUSE_ERRORS = new Set(['captcha']);
+
+  /**
+   * Create a request scheduler
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   * @param {Function} [options.onStateChange] - Called with getState() whenever it changes
+   * @returns {Object} Scheduler with enqueue(), getState(), configure(),
+   *   resume() and cancelPending()
+   */
+  function createScheduler(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const onStateChange = options.onStateChange || (() => {});
+
+    const queue = []; // Pending jobs: { key, task, info, promise, resolve }
+    const jobsByKey = new Map(); // key -> job, for queued and in-flight jobs
+    let active = 0;
+    let lastStartTime = 0;
+    let consecutiveFailures = 0;
+    let cooldownUntil = 0;
+    let lastError = null;
+    let paused = null; // { reason, key, info, result } while waiting for the user
+    let timer = null;
+
+    /**
+     * Snapshot of the scheduler for display
+     * @returns {{status: string, queued: number, active: number, cooldownUntil: number,
+     *   lastError: string|null, pausedReason: string|null, pausedKey: string|null,
+     *   pausedInfo: Object|null}}
+     *   status is 'idle', 'busy', 'cooldown' or 'paused'; pausedInfo is the
+     *   info the paused request was enqueued with
+     */
+    function getState() {
+      let status = 'idle';
+      if (paused) {
+        status = 'paused';
+      } else if (cooldownUntil > Date.now()) {
+        status = 'cooldown';
+      } else if (active > 0 || queue.length > 0) {
+        status = 'busy';
+      }
+      return {
+        status,
+        queued: queue.length,
+        active,
+        cooldownUntil,
+        lastError,
+        pausedReason: paused ? paused.reason : null,
+        pausedKey: paused ? paused.key : null,
+        pausedInfo: paused ? paused.info : null
+      };
+    }
+
+    function notify() {
+      try {
+        onStateChange(getState());
+      } catch (e) {
+        console.error('[Scholar Disambiguator] Scheduler listener error:', e);
+      }
+    }
+
+    function schedulePump(delayMs) {
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, delayMs);
+    }
+
+    function pump() {
+      while (!paused && queue.length > 0 && active < config.concurrency) {
+        const now = Date.now();
+        const wait = Math.max(cooldownUntil - now, lastStartTime + config.spacingMs - now);
+        if (wait > 0) {
+          schedulePump(wait);
+          return;
+        }
+
+        const job = queue.shift();
+        active++;
+        lastStartTime = now;
+        run(job);
+      }
+    }
+
+    async function run(job) {
+      let result;
+      try {
+        result = await job.task();
+      } catch (e) {
+        result = { success: false, error: 'unknown', message: e.message };
+      }
+
+      active--;
+      jobsByKey.delete(job.key);
+
+      if (result && !result.success && PAUSE_ERRORS.has(result.error)) {
+        // The user has to deal with it; resume() probes this request's key
+        paused = { reason: result.error, key: job.key, info: job.info, result };
+        lastError = result.error;
+        console.warn('[Scholar Disambiguator] Queue paused after', result.error);
+        job.resolve(result);
+        failQueued(result);
+        return;
+      }
+
+      if (result && !result.success && BACKOFF_ERRORS.has(result.error)) {
+        consecutiveFailures++;
+        const backoff = Math.min(config.backoffMaxMs, config.backoffBaseMs * 2 ** (consecutiveFailures - 1));
+        cooldownUntil = Date.now() + backoff;
+        lastError = result.error;
+        console.warn('[Scholar Disambiguator] Backing off for', Math.round(backoff / 1000), 's after', result.error);
+        // Announce the end of the cooldown too
+        setTimeout(notify, backoff + 50);
+      } else if (result && result.success) {
+        consecutiveFailures = 0;
+        lastError = null;
+      }
+
+      job.resolve(result);
+      notify();
+      pump();
+    }
+
+    /**
+     * Resolve every queued job with the same result
+     * @param {Object} result - Result object for every pending request
+     */
+    function failQueued(result) {
+      const jobs = queue.splice(0, queue.length);
+      for (const job of jobs) {
+        jobsByKey.delete(job.key);
+        job.resolve(result);
+      }
+      notify();
+    }
+
+    /**
+     * Queue a request. Identical requests (same key) already queued or in
+     * flight share a single result. While paused, the request fails at once
+     * with the error that paused the queue.
+     * @param {string} key - Identity of the request, e.g. its URL
+     * @param {Function} task - Async function performing the request and
+     *   resolving to a { success, error } result object
+     * @param {Object} [info] - Details kept with the request, reported as
+     *   pausedInfo if it pauses the queue
+     * @returns {Promise<Object>} The task's result
+     */
+    function enqueue(key, task, info = null) {
+      if (paused) {
+        return Promise.resolve(paused.result);
+      }
+      if (jobsByKey.has(key)) {
+        return jobsByKey.get(key).promise;
+      }
+
+      const job = { key, task, info };
+      job.promise = new Promise(resolve => {
+        job.resolve = resolve;
+      });
+
+      jobsByKey.set(key, job);
+      queue.push(job);
+      notify();
+      pump();
+      return job.promise;
+    }
+
+    /**
+     * Update limits (e.g. from user settings)
+     * @param {Object} changes - Any of concurrency, spacingMs, backoffBaseMs, backoffMaxMs
+     */
+    function configure(changes) {
+      Object.assign(config, changes);
+      pump();
+    }
+
+    /**
+     * Accept requests again after a pause
+     */
+    function resume() {
+      if (!paused) return;
+      console.log('[Scholar Disambiguator] Queue resumed');
+      paused = null;
+      lastError = null;
+      notify();
+      pump();
+    }
+
+    /**
+     * Give up on everything queued and end a pause without probing, e.g.
+     * when the user will not solve a CAPTCHA now. Waiting callers get the
+     * given result.
+     * @param {Object} result - Result object for every pending request
+     */
+    function cancelPending(result) {
+      paused = null;
+      failQueued(result);
+    }
+
+    return { enqueue, getState, configure, resume, cancelPending };
+  }
+
+  root.SDScheduler = {
+    DEFAULT_OPTIONS,
+    createScheduler
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDScheduler;
+  }
+})(globalThis);
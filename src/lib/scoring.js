@@ -0,0 +1,190 @@
+// Scholar Disambiguator - Candidate Scoring
+// Scores same-name candidates against the profile currently being viewed.
+// Affiliations naming the same institution (see src/lib/institutions.js)
+// count as a full match even when worded differently.
+
+(function(root) {
+  'use strict';
+
+  // Maximum points contributed by each signal (a perfect match scores 100)
+  const WEIGHTS = {
+    emailDomain: 35,
+    affiliation: 25,
+    interests: 20,
+    coauthors: 10,
+    citations: 10
+  };
+
+  // Words too generic to say anything about where someone works
+  const AFFILIATION_STOPWORDS = new Set([
+    'of', 'the', 'and', 'at', 'in', 'for', 'de', 'la', 'du', 'des', 'und', 'der',
+    'university', 'université', 'universität', 'universidad', 'università',
+    'college', 'school', 'institute', 'department', 'dept', 'faculty', 'center',
+    'centre', 'lab', 'laboratory', 'professor', 'associate', 'assistant', 'student',
+    'phd', 'researcher', 'research', 'scientist', 'postdoc', 'lecturer', 'candidate'
+  ]);
+
+  /**
+   * Split text into lowercase word tokens
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Tokens
+   */
+  function tokenize(text) {
+    if (!text) return [];
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /**
+   * Extract the distinctive words of an affiliation string
+   * @param {string} affiliation - Raw affiliation text
+   * @returns {Set<string>} Significant tokens
+   */
+  function affiliationTokens(affiliation) {
+    return new Set(tokenize(affiliation).filter(t => t.length > 1 && !AFFILIATION_STOPWORDS.has(t)));
+  }
+
+  /**
+   * Overlap coefficient of two sets (shared items / size of the smaller set)
+   * @param {Set} a - First set
+   * @param {Set} b - Second set
+   * @returns {number} Value between 0 and 1
+   */
+  function overlap(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const item of a) {
+      if (b.has(item)) shared++;
+    }
+    return shared / Math.min(a.size, b.size);
+  }
+
+  /**
+   * Compare two email domains, treating subdomains as a partial match
+   * (e.g. "cs.stanford.edu" vs "stanford.edu")
+   * @returns {number} 1 for identical, 0.8 for subdomain, 0 otherwise
+   */
+  function compareDomains(a, b) {
+    if (!a || !b) return 0;
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+    if (a === b) return 1;
+    if (a.endsWith('.' + b) || b.endsWith('.' + a)) return 0.8;
+    return 0;
+  }
+
+  /**
+   * Compare citation counts on a log scale; profiles within an order of
+   * magnitude of each other are considered similar
+   * @returns {number} Value between 0 and 1
+   */
+  function compareCitations(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) return 0;
+    const distance = Math.abs(Math.log10(a + 1) - Math.log10(b + 1));
+    return Math.max(0, 1 - distance / 2);
+  }
+
+  /**
+   * Score a single candidate against the current profile
+   * @param {Object} candidate - Author object from parseSearchResults
+   * @param {Object} context - Current profile signals
+   * @param {string} context.affiliation - Affiliation of the current profile
+   * @param {string} context.emailDomain - Verified email domain of the current profile
+   * @param {number} context.citationCount - Total citations of the current profile
+   * @param {string[]} context.interests - Research interests of the current profile
+   * @param {Object[]} context.coauthors - Co-authors listed on the current profile
+   * @returns {{score: number, reasons: Object[]}} Score (0-100) and the signals behind it
+   */
+  function scoreCandidate(candidate, context) {
+    const reasons = [];
+    if (!context) return { score: 0, reasons };
+
+    function addReason(signal, fraction, label) {
+      const points = Math.round(WEIGHTS[signal] * fraction);
+      if (points > 0) {
+        reasons.push({ signal, label, points });
+      }
+    }
+
+    const institutions = root.SDInstitutions;
+
+    // Email domain
+    const domainMatch = compareDomains(candidate.emailDomain, context.emailDomain);
+    if (domainMatch > 0) {
+      addReason('emailDomain', domainMatch,
+        domainMatch === 1 ? `Same email domain (${candidate.emailDomain})` : `Related email domain (${candidate.emailDomain})`);
+    } else {
+      // Different domains of one institution, e.g. "jhmi.edu" and "jhu.edu"
+      const domainInstitution = institutions.fromEmailDomain(candidate.emailDomain);
+      const contextInstitution = institutions.fromEmailDomain(context.emailDomain);
+      if (domainInstitution && contextInstitution && domainInstitution.id === contextInstitution.id) {
+        addReason('emailDomain', 0.8, `Email domain of the same institution (${candidate.emailDomain})`);
+      }
+    }
+
+    // Affiliation
+    const sameInstitution = institutions.sameInstitution(candidate, context);
+    const affiliationMatch = overlap(affiliationTokens(candidate.affiliation), affiliationTokens(context.affiliation));
+    if (sameInstitution) {
+      addReason('affiliation', 1, `Same institution (${sameInstitution.name})`);
+    } else if (affiliationMatch > 0) {
+      addReason('affiliation', affiliationMatch, 'Similar affiliation');
+    }
+
+    // Research interests
+    const candidateInterests = new Set((candidate.interests || []).map(i => i.toLowerCase()));
+    const contextInterests = new Set((context.interests || []).map(i => i.toLowerCase()));
+    const interestMatch = overlap(candidateInterests, contextInterests);
+    if (interestMatch > 0) {
+      const shared = [...candidateInterests].filter(i => contextInterests.has(i));
+      addReason('interests', interestMatch, `Shared interests (${shared.slice(0, 3).join(', ')})`);
+    }
+
+    // Co-authors: the candidate is a listed co-author, or works where co-authors work
+    const coauthors = context.coauthors || [];
+    if (candidate.userId && coauthors.some(c => c.userId === candidate.userId)) {
+      addReason('coauthors', 1, 'Listed as a co-author');
+    } else {
+      const candidateTokens = affiliationTokens(candidate.affiliation);
+      const coauthorMatch = coauthors.find(c => institutions.sameInstitution(candidate, c) ||
+        overlap(candidateTokens, affiliationTokens(c.affiliation)) >= 0.5);
+      if (coauthorMatch) {
+        addReason('coauthors', 0.5, `Same institution as co-author ${coauthorMatch.name}`);
+      }
+    }
+
+    // Citation count
+    const citationMatch = compareCitations(candidate.citationCount, context.citationCount);
+    if (citationMatch > 0) {
+      addReason('citations', citationMatch, 'Similar citation count');
+    }
+
+    const score = reasons.reduce((sum, r) => sum + r.points, 0);
+    return { score: Math.min(100, score), reasons };
+  }
+
+  /**
+   * Score every candidate and sort them by descending score.
+   * Each author object gets a `match` property with its score and reasons.
+   * @param {Object[]} candidates - Author objects
+   * @param {Object} context - Current profile signals (see scoreCandidate)
+   * @returns {Object[]} New array sorted by score (ties keep Scholar's order)
+   */
+  function rankCandidates(candidates, context) {
+    return candidates
+      .map((author, index) => ({ author: { ...author, match: scoreCandidate(author, context) }, index }))
+      .sort((a, b) => (b.author.match.score - a.author.match.score) || (a.index - b.index))
+      .map(entry => entry.author);
+  }
+
+  root.SDScoring = {
+    WEIGHTS,
+    scoreCandidate,
+    rankCandidates,
+    tokenize,
+    affiliationTokens
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDScoring;
+  }
+})(globalThis);
@@ -0,0 +1,134 @@
+// Scholar Disambiguator - Settings
+// User settings stored in chrome.storage.sync, read by the content script,
+// the service worker and the options page
+
+(function(root) {
+  'use strict';
+
+  const SETTINGS_KEY = 'sd_settings';
+
+  const DEFAULT_SETTINGS = {
+    pageSize: 10, // Results per sidebar page
+    requestSpacingMs: 2000, // Minimum time between Scholar requests
+    searchCacheHours: 6, // Lifetime of cached search results
+    profileCacheHours: 24, // Lifetime of cached profiles
+    scholarDomain: 'scholar.google.com', // Domain used for requests and links
+    autoSearch: false, // Search as soon as a profile opens
+    loadAllMaxPages: 20, // Result pages fetched by "Load all" (and per watched name) before it stops
+    watchIntervalHours: 24, // Time between watchlist checks
+    cardFields: {
+      photo: true,
+      affiliation: true,
+      citations: true,
+      email: true,
+      interests: true,
+      activity: false, // Metrics and citation sparkline; one extra Scholar request per visible card
+      matchScore: true
+    }
+  };
+
+  // Allowed ranges for numeric settings
+  const LIMITS = {
+    pageSize: { min: 5, max: 50 },
+    requestSpacingMs: { min: 1000, max: 60000 },
+    loadAllMaxPages: { min: 1, max: 100 },
+    watchIntervalHours: { min: 1, max: 24 * 7 },
+    searchCacheHours: { min: 0, max: 24 * 30 },
+    profileCacheHours: { min: 0, max: 24 * 30 }
+  };
+
+  /**
+   * Scholar domains the extension has host permissions for
+   * @returns {string[]} Domains such as "scholar.google.co.uk"
+   */
+  function getScholarDomains() {
+    return chrome.runtime.getManifest().host_permissions
+      .map(pattern => pattern.replace(/^https:\/\//, '').replace(/\/\*$/, ''));
+  }
+
+  /**
+   * Merge stored values over the defaults and clamp them to valid values
+   * @param {Object} stored - Settings as stored (possibly partial or outdated)
+   * @returns {Object} Complete settings
+   */
+  function normalize(stored) {
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      ...(stored || {}),
+      cardFields: { ...DEFAULT_SETTINGS.cardFields, ...((stored && stored.cardFields) || {}) }
+    };
+
+    for (const [key, { min, max }] of Object.entries(LIMITS)) {
+      const value = Number(settings[key]);
+      settings[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_SETTINGS[key];
+    }
+
+    if (!getScholarDomains().includes(settings.scholarDomain)) {
+      settings.scholarDomain = DEFAULT_SETTINGS.scholarDomain;
+    }
+    settings.autoSearch = !!settings.autoSearch;
+
+    return settings;
+  }
+
+  /**
+   * Load the current settings
+   * @returns {Promise<Object>} Complete settings
+   */
+  async function load() {
+    try {
+      const stored = await chrome.storage.sync.get(SETTINGS_KEY);
+      return normalize(stored[SETTINGS_KEY]);
+    } catch (e) {
+      console.error('[Scholar Disambiguator] Settings read error:', e);
+      return normalize(null);
+    }
+  }
+
+  /**
+   * Save settings
+   * @param {Object} settings - Settings to store (normalized before saving)
+   * @returns {Promise<Object>} The saved settings
+   */
+  async function save(settings) {
+    const normalized = normalize(settings);
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: normalized });
+    return normalized;
+  }
+
+  /**
+   * Watch for settings changes from any context
+   * @param {Function} callback - Called with the new complete settings
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[SETTINGS_KEY]) {
+        callback(normalize(changes[SETTINGS_KEY].newValue));
+      }
+    });
+  }
+
+  /**
+   * Base URL of the preferred Scholar domain
+   * @param {Object} settings - Complete settings
+   * @returns {string} e.g. "https://scholar.google.com"
+   */
+  function scholarBaseUrl(settings) {
+    return `https://${settings.scholarDomain}`;
+  }
+
+  root.SDSettings = {
+    DEFAULT_SETTINGS,
+    LIMITS,
+    getScholarDomains,
+    normalize,
+    load,
+    save,
+    onChange,
+    scholarBaseUrl
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDSettings;
+  }
+})(globalThis);
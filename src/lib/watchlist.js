@@ -0,0 +1,155 @@
+// Scholar Disambiguator - Watchlist
+// Names whose same-name profiles are re-checked on a schedule by the service
+// worker, stored in chrome.storage.local. Each entry keeps the user IDs seen
+// at the last check so new namesakes can be reported.
+
+(function(root) {
+  'use strict';
+
+  const WATCHLIST_KEY = 'sd_watchlist';
+
+  // Profiles remembered per entry for notifications and the options page
+  const MAX_NEW_PROFILES = 50;
+
+  /**
+   * Entry ID for a name (case and spacing insensitive)
+   * @param {string} name - Author name
+   * @returns {string} ID
+   */
+  function entryId(name) {
+    return name.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Load every watched name
+   * @returns {Promise<Object>} id -> { id, name, userId, addedAt, lastChecked,
+   *   lastError, knownUserIds, newProfiles: [{ userId, name, affiliation, foundAt }] }
+   *   knownUserIds is null until the first check
+   */
+  async function loadAll() {
+    try {
+      const stored = await chrome.storage.local.get(WATCHLIST_KEY);
+      return stored[WATCHLIST_KEY] || {};
+    } catch (e) {
+      console.error('[Scholar Disambiguator] Watchlist read error:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Replace the whole watchlist
+   * @param {Object} all - id -> entry
+   */
+  function saveAll(all) {
+    return chrome.storage.local.set({ [WATCHLIST_KEY]: all });
+  }
+
+  /**
+   * Start watching a name
+   * @param {string} name - Author name to search
+   * @param {string} [userId] - Profile the name was added from, if any
+   * @returns {Promise<Object>} The new or existing entry
+   */
+  async function add(name, userId = null) {
+    const all = await loadAll();
+    const id = entryId(name);
+    if (!all[id]) {
+      all[id] = {
+        id,
+        name: name.trim().replace(/\s+/g, ' '),
+        userId,
+        addedAt: Date.now(),
+        lastChecked: null,
+        lastError: null,
+        knownUserIds: null,
+        newProfiles: []
+      };
+      await saveAll(all);
+    }
+    return all[id];
+  }
+
+  /**
+   * Stop watching a name
+   * @param {string} id - Entry ID
+   */
+  async function remove(id) {
+    const all = await loadAll();
+    delete all[id];
+    await saveAll(all);
+  }
+
+  /**
+   * Update one entry, unless it was removed meanwhile
+   * @param {string} id - Entry ID
+   * @param {Object} changes - Fields to replace
+   * @returns {Promise<Object|null>} The updated entry
+   */
+  async function update(id, changes) {
+    const all = await loadAll();
+    if (!all[id]) return null;
+    all[id] = { ...all[id], ...changes };
+    await saveAll(all);
+    return all[id];
+  }
+
+  /**
+   * Compare a fresh search against the entry's last snapshot
+   * @param {Object} entry - Watchlist entry
+   * @param {Array<{userId: string, name: string, affiliation: string}>} profiles - Profiles found now
+   * @param {number} [now] - Check time
+   * @returns {{changes: Object, added: Object[]}} Entry fields to save and the
+   *   profiles that are new since the last check (none on the first check)
+   */
+  function diffSnapshot(entry, profiles, now = Date.now()) {
+    // The same profile can show up on more than one result page
+    const seen = Array.from(new Map(profiles
+      .filter(profile => profile.userId)
+      .map(profile => [profile.userId, profile])).values());
+    const known = new Set(entry.knownUserIds || []);
+    const added = entry.knownUserIds
+      ? seen.filter(profile => !known.has(profile.userId)).map(profile => ({ ...profile, foundAt: now }))
+      : [];
+
+    // Profiles that drop out of the results stay known, so they are not
+    // reported again if they come back
+    for (const profile of seen) known.add(profile.userId);
+
+    return {
+      changes: {
+        lastChecked: now,
+        lastError: null,
+        knownUserIds: Array.from(known),
+        newProfiles: [...added, ...(entry.newProfiles || [])].slice(0, MAX_NEW_PROFILES)
+      },
+      added
+    };
+  }
+
+  /**
+   * Watch for watchlist changes from any context
+   * @param {Function} callback - Called with the whole watchlist
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[WATCHLIST_KEY]) {
+        callback(changes[WATCHLIST_KEY].newValue || {});
+      }
+    });
+  }
+
+  root.SDWatchlist = {
+    entryId,
+    loadAll,
+    saveAll,
+    add,
+    remove,
+    update,
+    diffSnapshot,
+    onChange
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = root.SDWatchlist;
+  }
+})(globalThis);
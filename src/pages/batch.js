@@ -0,0 +1,335 @@
+// Scholar Disambiguator - Batch Lookup Page
+// Searches every name of a pasted list or CSV upload, one at a time through
+// the service worker's shared queue, and lets the user pick the right
+// profile per name. The batch is stored after every search (see
+// src/lib/batch.js), so closing the page or the browser only pauses it.
+
+(function() {
+  'use strict';
+
+  const CACHE_PREFIX = 'lookup:'; // Same entries as the toolbar popup (src/pages/popup.js)
+  const STATUS_INTERVAL_MS = 3000; // Queue status refresh while a run is going
+
+  // Errors that would fail every following search too; the run pauses and
+  // the name stays pending
+  const { ERROR_TYPES } = SDErrors;
+  const PAUSING_ERRORS = [ERROR_TYPES.CAPTCHA, ERROR_TYPES.RATE_LIMITED, ERROR_TYPES.LOGIN_REQUIRED,
+    ERROR_TYPES.LAYOUT_CHANGED, ERROR_TYPES.OFFLINE, ERROR_TYPES.NETWORK];
+
+  const escapeHtml = SDCards.escapeHtml;
+
+  let settings = SDSettings.DEFAULT_SETTINGS;
+  let batch = null;
+  let running = false; // Whether the run should go on after the current search
+  let runLoop = null; // Promise of the run in progress, which may outlive a pause
+  let searchingIndex = -1; // Row being searched
+  let stopMessage = ''; // Why the last run stopped early
+  let statusTimer = null;
+
+  const rowsEl = document.getElementById('batchRows');
+
+  // ==================== SEARCH ====================
+
+  /**
+   * Search one name, using the cache shared with the popup
+   * @param {string} name - Name to search
+   * @returns {Promise<Object>} { success, authors, nextToken } or an error result
+   */
+  async function searchName(name) {
+    const key = CACHE_PREFIX + name.toLowerCase();
+    const cached = await SDClient.getCachedEntry('search', key);
+    if (cached) {
+      return { success: true, ...cached };
+    }
+
+    const response = await SDClient.sendMessage({ action: 'searchAuthors', authorName: name })
+      .catch(e => ({ success: false, error: 'unknown', message: e.message }));
+    if (!response.success) return response;
+
+    const page = SDParser.parseSearchPage(response.html, SDSettings.scholarBaseUrl(settings));
+    SDDiagnostics.record(page.issues);
+    const data = { authors: page.authors, nextToken: response.nextToken };
+    SDClient.setCachedEntry('search', key, data);
+    return { success: true, ...data };
+  }
+
+  /**
+   * Search the pending names in order until none are left or the run is
+   * paused. Resuming while the search from before the pause is still out
+   * continues the same run.
+   */
+  function run() {
+    if (!batch) return;
+    running = true;
+    stopMessage = '';
+    startStatusUpdates();
+    renderProgress();
+    if (!runLoop) {
+      runLoop = searchPending().finally(() => {
+        runLoop = null;
+      });
+    }
+  }
+
+  async function searchPending() {
+    while (running && batch) {
+      const index = batch.rows.findIndex(row => row.status === 'pending');
+      if (index === -1) break;
+
+      const current = batch;
+      const row = current.rows[index];
+      searchingIndex = index;
+      renderRow(index);
+
+      const result = await searchName(row.name);
+      // Started over meanwhile
+      if (batch !== current) continue;
+
+      if (result.success) {
+        SDBatch.recordResult(row, result.authors, !!result.nextToken);
+      } else if (PAUSING_ERRORS.includes(result.error)) {
+        stopMessage = result.message || SDErrors.describe(result.error).message;
+        running = false;
+      } else {
+        row.status = 'error';
+        row.error = result.message || SDErrors.describe(result.error).message;
+      }
+      searchingIndex = -1;
+      await SDBatch.save(batch);
+      renderRow(index);
+      renderProgress();
+    }
+
+    running = false;
+    searchingIndex = -1;
+    stopStatusUpdates();
+    renderAll();
+  }
+
+  function pause() {
+    running = false;
+    renderProgress();
+  }
+
+  // ==================== QUEUE STATUS ====================
+
+  async function refreshStatus() {
+    const statusEl = document.getElementById('schedulerStatus');
+    const response = await SDClient.sendMessage({ action: 'getSchedulerState' }).catch(() => null);
+    statusEl.innerHTML = SDCards.renderQueueNotice(response && response.success ? response.state : null);
+
+    const openBtn = statusEl.querySelector('#sd-challenge-open-btn');
+    if (openBtn) {
+      openBtn.addEventListener('click', () => SDClient.sendMessage({ action: 'openChallenge' }));
+      statusEl.querySelector('#sd-challenge-done-btn').addEventListener('click', async () => {
+        const resumed = await SDClient.sendMessage({ action: 'resumeQueue' });
+        if (resumed && resumed.resumed) refreshStatus();
+      });
+    }
+  }
+
+  function startStatusUpdates() {
+    clearInterval(statusTimer);
+    refreshStatus();
+    statusTimer = setInterval(refreshStatus, STATUS_INTERVAL_MS);
+  }
+
+  function stopStatusUpdates() {
+    clearInterval(statusTimer);
+    statusTimer = null;
+    refreshStatus();
+  }
+
+  // ==================== UI FUNCTIONS ====================
+
+  function profileUrl(userId) {
+    return `${SDSettings.scholarBaseUrl(settings)}/citations?user=${encodeURIComponent(userId)}`;
+  }
+
+  function renderCandidates(row, index) {
+    if (index === searchingIndex) return '<span class="sd-page-muted">Searching...</span>';
+    if (row.status === 'pending') return '<span class="sd-page-muted">Waiting</span>';
+    if (row.status === 'error') return `<span class="sd-kb-error">${escapeHtml(row.error)}</span>`;
+    if (row.candidates.length === 0) return '<span class="sd-page-muted">No profiles found</span>';
+
+    const items = row.candidates.map(candidate => {
+      const details = [
+        candidate.affiliation || 'Affiliation not listed',
+        candidate.institution && candidate.institution !== candidate.affiliation ? candidate.institution : '',
+        candidate.emailDomain ? `@${candidate.emailDomain}` : '',
+        candidate.citationCount !== null ? `cited by ${candidate.citationCount.toLocaleString()}` : '',
+        candidate.score !== null ? `match ${candidate.score}` : ''
+      ].filter(Boolean).join(' · ');
+      return `
+        <li${candidate.userId === row.chosenUserId ? ' class="sd-batch-chosen"' : ''}>
+          <a href="${escapeHtml(profileUrl(candidate.userId))}" target="_blank">${escapeHtml(candidate.name)}</a>
+          <span class="sd-page-muted">${escapeHtml(details)}</span>
+        </li>
+      `;
+    }).join('');
+
+    const more = row.hasMore
+      ? `<a class="sd-page-muted" href="${escapeHtml(SDParser.buildSearchUrl(SDSettings.scholarBaseUrl(settings), row.name))}" target="_blank">More profiles on Scholar</a>`
+      : '';
+    return `<ol class="sd-batch-candidates">${items}</ol>${more}`;
+  }
+
+  function renderChoice(row, index) {
+    if (row.status !== 'done') return '';
+    const option = (value, label) =>
+      `<option value="${escapeHtml(value)}"${row.chosenUserId === value ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    return `
+      <select data-row="${index}">
+        ${option('', 'Not chosen')}
+        ${row.candidates.map(candidate => option(candidate.userId, `${candidate.name} (${candidate.affiliation || candidate.userId})`)).join('')}
+        ${option(SDBatch.NO_PROFILE, 'No Scholar profile')}
+      </select>
+    `;
+  }
+
+  function rowHtml(row, index) {
+    const hints = [row.affiliation, row.email].filter(Boolean).join(' · ');
+    return `
+      <tr data-index="${index}">
+        <td class="sd-page-muted">${index + 1}</td>
+        <td>
+          <strong>${escapeHtml(row.name)}</strong>
+          ${hints ? `<div class="sd-page-muted">${escapeHtml(hints)}</div>` : ''}
+        </td>
+        <td>${renderCandidates(row, index)}</td>
+        <td>${renderChoice(row, index)}</td>
+      </tr>
+    `;
+  }
+
+  function renderRow(index) {
+    const tr = rowsEl.querySelector(`tr[data-index="${index}"]`);
+    if (tr) {
+      tr.outerHTML = rowHtml(batch.rows[index], index);
+    }
+  }
+
+  function renderProgress() {
+    const counts = SDBatch.progress(batch);
+    const searched = counts.done + counts.failed;
+    document.getElementById('progressBar').style.width = `${counts.total > 0 ? (searched / counts.total) * 100 : 0}%`;
+
+    let info = `${searched} of ${counts.total} searched · ${counts.chosen} chosen`;
+    if (counts.failed > 0) info += ` · ${counts.failed} failed`;
+    if (stopMessage && !running) info += ` · Paused: ${stopMessage}`;
+    document.getElementById('progressInfo').textContent = info;
+
+    const runBtn = document.getElementById('batchRunBtn');
+    runBtn.hidden = counts.pending === 0;
+    runBtn.textContent = running ? 'Pause' : `Resume (${counts.pending} left)`;
+    document.getElementById('batchRetryBtn').hidden = running || counts.failed === 0;
+  }
+
+  function renderAll() {
+    document.getElementById('inputSection').hidden = !!batch;
+    document.getElementById('batchSection').hidden = !batch;
+    if (!batch) {
+      rowsEl.innerHTML = '';
+      return;
+    }
+    rowsEl.innerHTML = batch.rows.map(rowHtml).join('');
+    renderProgress();
+  }
+
+  // ==================== ACTIONS ====================
+
+  async function startBatch() {
+    const info = document.getElementById('inputInfo');
+    const parsed = SDBatch.parseInput(document.getElementById('batchInput').value);
+    if (parsed.rows.length === 0) {
+      info.textContent = 'No names found.';
+      return;
+    }
+
+    const notes = [];
+    if (parsed.duplicates > 0) notes.push(`${parsed.duplicates} repeated`);
+    if (parsed.skipped > 0) notes.push(`${parsed.skipped} not a name`);
+    if (parsed.truncated > 0) notes.push(`${parsed.truncated} over the limit of ${SDBatch.MAX_ROWS}`);
+    info.textContent = notes.length > 0 ? `Left out: ${notes.join(', ')}.` : '';
+
+    batch = SDBatch.createBatch(parsed.rows);
+    await SDBatch.save(batch);
+    renderAll();
+    run();
+  }
+
+  async function loadFile(file) {
+    if (!file) return;
+    document.getElementById('batchInput').value = await file.text();
+    document.getElementById('inputInfo').textContent = `Loaded ${file.name}`;
+  }
+
+  async function newBatch() {
+    const counts = SDBatch.progress(batch);
+    if (counts.chosen > 0 && !window.confirm(`Discard the ${counts.total} names and ${counts.chosen} chosen profiles? Export them first to keep them.`)) {
+      return;
+    }
+    running = false;
+    stopStatusUpdates();
+    batch = null;
+    await SDBatch.clear();
+    renderAll();
+  }
+
+  async function retryFailed() {
+    for (const row of batch.rows) {
+      if (row.status === 'error') {
+        row.status = 'pending';
+        row.error = null;
+      }
+    }
+    await SDBatch.save(batch);
+    renderAll();
+    run();
+  }
+
+  function exportBatch(format) {
+    const baseUrl = SDSettings.scholarBaseUrl(settings);
+    if (format === 'json') {
+      SDExport.download(SDBatch.toJson(batch, baseUrl), 'scholar-batch.json', 'application/json');
+    } else {
+      SDExport.download(SDExport.toCsv(SDBatch.toRecords(batch, baseUrl), SDBatch.CSV_COLUMNS), 'scholar-batch.csv', 'text/csv');
+    }
+  }
+
+  // ==================== INITIALIZATION ====================
+
+  async function init() {
+    settings = await SDSettings.load();
+    batch = await SDBatch.load();
+    renderAll();
+
+    // Choices made in another window
+    SDBatch.onChange(stored => {
+      if (!running) {
+        batch = stored;
+        renderAll();
+      }
+    });
+
+    document.getElementById('batchFile').addEventListener('change', event => loadFile(event.target.files[0]));
+    document.getElementById('batchStartBtn').addEventListener('click', startBatch);
+    document.getElementById('batchRunBtn').addEventListener('click', () => (running ? pause() : run()));
+    document.getElementById('batchRetryBtn').addEventListener('click', retryFailed);
+    document.getElementById('batchClearBtn').addEventListener('click', newBatch);
+    document.getElementById('batchCsvBtn').addEventListener('click', () => exportBatch('csv'));
+    document.getElementById('batchJsonBtn').addEventListener('click', () => exportBatch('json'));
+
+    rowsEl.addEventListener('change', event => {
+      const select = event.target.closest('select[data-row]');
+      if (!select) return;
+      const index = parseInt(select.dataset.row, 10);
+      batch.rows[index].chosenUserId = select.value || null;
+      SDBatch.save(batch);
+      renderRow(index);
+      renderProgress();
+    });
+  }
+
+  init();
+})();
@@ -0,0 +1,196 @@
+// Scholar Disambiguator - Comparison Page
+// Shows two to four profiles side by side in aligned columns. Opened from the
+// sidebar with ?users=<id,id,...>&current=<id>&name=<author name>
+
+(function() {
+  'use strict';
+
+  const TOP_PUBLICATIONS = 10; // Most cited publications listed per profile
+  const TOP_COAUTHORS = 12; // Co-authors listed per profile
+  const HISTORY_YEARS = 12; // Most recent years drawn in the citations chart
+
+  const params = new URLSearchParams(window.location.search);
+  const userIds = (params.get('users') || '').split(',').filter(Boolean).slice(0, 4);
+  const currentUserId = params.get('current');
+  const authorName = params.get('name') || '';
+
+  const escapeHtml = SDCards.escapeHtml;
+
+  let settings = SDSettings.DEFAULT_SETTINGS;
+  const results = new Map(); // userId -> { success, profile } or error result
+
+  function formatNumber(value) {
+    return value === null || value === undefined ? '—' : value.toLocaleString();
+  }
+
+  function profileUrl(userId) {
+    return `${SDSettings.scholarBaseUrl(settings)}/citations?user=${encodeURIComponent(userId)}`;
+  }
+
+  // ==================== SHARED ITEMS ====================
+
+  function coauthorKey(coauthor) {
+    return coauthor.userId || SDProfile.abbreviateName(coauthor.name);
+  }
+
+  /**
+   * Collect the interests, co-authors and titles that appear in more than one
+   * loaded profile, so they can be highlighted in every column
+   * @param {Object[]} profiles - Loaded profiles
+   * @returns {{interests: Set, coauthors: Set, titles: Set}} Shared keys
+   */
+  function findSharedItems(profiles) {
+    const counts = { interests: new Map(), coauthors: new Map(), titles: new Map() };
+    const count = (map, keys) => {
+      for (const key of new Set(keys)) {
+        if (key) map.set(key, (map.get(key) || 0) + 1);
+      }
+    };
+
+    for (const profile of profiles) {
+      count(counts.interests, profile.interests.map(i => i.toLowerCase()));
+      count(counts.coauthors, profile.coauthors.map(coauthorKey));
+      count(counts.titles, profile.publications.map(p => SDProfile.normalizeTitle(p.title)));
+    }
+
+    const shared = map => new Set(Array.from(map).filter(([, n]) => n > 1).map(([key]) => key));
+    return {
+      interests: shared(counts.interests),
+      coauthors: shared(counts.coauthors),
+      titles: shared(counts.titles)
+    };
+  }
+
+  // ==================== RENDERING ====================
+
+  function renderMetric(metric, sinceYear) {
+    if (!metric || metric.all === null) return '—';
+    const recent = metric.recent !== null && sinceYear
+      ? `<span class="sd-page-muted"> (${formatNumber(metric.recent)} since ${sinceYear})</span>`
+      : '';
+    return `${formatNumber(metric.all)}${recent}`;
+  }
+
+  function renderCitationHistory(history) {
+    const years = (history || []).slice(-HISTORY_YEARS);
+    if (years.length === 0) return '<span class="sd-page-muted">No citations per year</span>';
+
+    const max = Math.max(1, ...years.map(y => y.count));
+    const bars = years.map(y => `
+      <div class="sd-history-bar" title="${y.year}: ${formatNumber(y.count)} citations">
+        <span style="height: ${Math.round((y.count / max) * 100)}%"></span>
+      </div>
+    `).join('');
+
+    return `
+      <div class="sd-history">${bars}</div>
+      <div class="sd-history-axis"><span>${years[0].year}</span><span>${years[years.length - 1].year}</span></div>
+    `;
+  }
+
+  function renderList(items, emptyText) {
+    return items.length > 0
+      ? `<ul class="sd-compare-list">${items.join('')}</ul>`
+      : `<span class="sd-page-muted">${emptyText}</span>`;
+  }
+
+  // Aligned rows: label and a cell renderer taking (profile, shared)
+  const ROWS = [
+    { label: 'Affiliation', render: profile => escapeHtml(profile.affiliation) || '—' },
+    { label: 'Email domain', render: profile => escapeHtml(profile.emailDomain) || '—' },
+    {
+      label: 'Interests',
+      render: (profile, shared) => renderList(profile.interests.map(interest =>
+        `<li class="${shared.interests.has(interest.toLowerCase()) ? 'sd-shared' : ''}">${escapeHtml(interest)}</li>`), 'None listed')
+    },
+    { label: 'Citations', render: profile => renderMetric(profile.metrics && profile.metrics.citations, profile.metrics && profile.metrics.sinceYear) },
+    { label: 'h-index', render: profile => renderMetric(profile.metrics && profile.metrics.hIndex, profile.metrics && profile.metrics.sinceYear) },
+    { label: 'i10-index', render: profile => renderMetric(profile.metrics && profile.metrics.i10Index, profile.metrics && profile.metrics.sinceYear) },
+    { label: 'Citations per year', render: profile => renderCitationHistory(profile.metrics && profile.metrics.citationsPerYear) },
+    {
+      label: 'Top publications',
+      render: (profile, shared) => renderList(profile.publications
+        .slice()
+        .sort((a, b) => b.citedBy - a.citedBy)
+        .slice(0, TOP_PUBLICATIONS)
+        .map(pub => `
+          <li class="${shared.titles.has(SDProfile.normalizeTitle(pub.title)) ? 'sd-shared' : ''}">
+            ${escapeHtml(pub.title)}
+            <div class="sd-page-muted">${escapeHtml([pub.venue, pub.year].filter(Boolean).join(', '))} · cited by ${formatNumber(pub.citedBy)}</div>
+          </li>
+        `), 'No publications')
+    },
+    {
+      label: 'Co-authors',
+      render: (profile, shared) => renderList(profile.coauthors.slice(0, TOP_COAUTHORS).map(coauthor => {
+        const name = coauthor.userId
+          ? `<a href="${escapeHtml(profileUrl(coauthor.userId))}" target="_blank">${escapeHtml(coauthor.name)}</a>`
+          : escapeHtml(coauthor.name);
+        return `<li class="${shared.coauthors.has(coauthorKey(coauthor)) ? 'sd-shared' : ''}">${name}</li>`;
+      }), 'None listed')
+    }
+  ];
+
+  function render() {
+    const loaded = userIds
+      .map(userId => results.get(userId))
+      .filter(result => result && result.success)
+      .map(result => result.profile);
+    const shared = findSharedItems(loaded);
+
+    const headers = userIds.map(userId => {
+      const result = results.get(userId);
+      const name = result && result.success ? result.profile.name : userId;
+      return `
+        <th>
+          <a href="${escapeHtml(profileUrl(userId))}" target="_blank">${escapeHtml(name)}</a>
+          ${userId === currentUserId ? '<div class="sd-page-muted">Profile you were viewing</div>' : ''}
+        </th>
+      `;
+    }).join('');
+
+    const rows = ROWS.map(row => {
+      const cells = userIds.map(userId => {
+        const result = results.get(userId);
+        if (!result) return '<td class="sd-page-muted">Loading...</td>';
+        if (!result.success) return `<td class="sd-compare-error">${escapeHtml(result.message || 'Could not load profile')}</td>`;
+        return `<td>${row.render(result.profile, shared)}</td>`;
+      }).join('');
+      return `<tr><th scope="row">${row.label}</th>${cells}</tr>`;
+    }).join('');
+
+    document.getElementById('comparison').innerHTML = `
+      <table class="sd-compare-table">
+        <thead><tr><th></th>${headers}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    const pending = userIds.filter(userId => !results.has(userId)).length;
+    document.getElementById('status').textContent = pending > 0
+      ? `Loading ${pending} profile${pending > 1 ? 's' : ''} through the shared request queue...`
+      : 'Highlighted items appear in more than one profile.';
+  }
+
+  async function init() {
+    if (authorName) {
+      document.getElementById('title').textContent = `Compare profiles: ${authorName}`;
+      document.title = `${authorName} - Compare Profiles`;
+    }
+    if (userIds.length < 2) {
+      document.getElementById('status').textContent = 'Pick at least two profiles in the sidebar to compare.';
+      return;
+    }
+
+    settings = await SDSettings.load();
+    render();
+
+    // Profiles load one by one through the service worker queue
+    for (const userId of userIds) {
+      results.set(userId, await SDClient.loadProfile(userId));
+      render();
+    }
+  }
+
+  init();
+})();
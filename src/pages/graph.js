@@ -0,0 +1,283 @@
+// Scholar Disambiguator - Co-author Graph Page
+// Draws the current profile, its same-name candidates and their co-authors
+// as an SVG graph; co-authors shared by several profiles are highlighted as
+// bridges. Opened from the sidebar with ?users=<id,id,...>&current=<id>&name=<author name>
+
+(function() {
+  'use strict';
+
+  const WIDTH = 1100;
+  const HEIGHT = 700;
+  const LAYOUT_ITERATIONS = 300;
+
+  const params = new URLSearchParams(window.location.search);
+  const userIds = (params.get('users') || '').split(',').filter(Boolean);
+  const currentUserId = params.get('current');
+  const authorName = params.get('name') || '';
+
+  const escapeHtml = SDCards.escapeHtml;
+
+  let settings = SDSettings.DEFAULT_SETTINGS;
+  const profiles = new Map(); // userId -> parsed profile, in load order
+  const failures = new Map(); // userId -> error message
+
+  function profileUrl(userId) {
+    return `${SDSettings.scholarBaseUrl(settings)}/citations?user=${encodeURIComponent(userId)}`;
+  }
+
+  // ==================== GRAPH ====================
+
+  /**
+   * Build nodes and edges from the loaded profiles. Co-authors are matched by
+   * user ID, or by abbreviated name when they have no profile link.
+   * @returns {{nodes: Object[], edges: Object[]}} Nodes have id, kind
+   *   ('current', 'candidate' or 'coauthor'), name, userId, affiliation and,
+   *   for co-authors, the set of profiles they connect to
+   */
+  function buildGraph() {
+    const nodes = new Map();
+    const edges = [];
+
+    for (const [userId, profile] of profiles) {
+      nodes.set(userId, {
+        id: userId,
+        kind: userId === currentUserId ? 'current' : 'candidate',
+        name: profile.name || userId,
+        userId,
+        affiliation: profile.affiliation,
+        linkedProfiles: new Set()
+      });
+    }
+
+    for (const [userId, profile] of profiles) {
+      for (const coauthor of profile.coauthors) {
+        const id = coauthor.userId || `name:${SDProfile.abbreviateName(coauthor.name)}`;
+        if (id === userId) continue;
+
+        // Two of the compared profiles wrote together
+        if (profiles.has(id)) {
+          if (!edges.some(e => (e.source === id && e.target === userId) || (e.source === userId && e.target === id))) {
+            edges.push({ source: userId, target: id, direct: true });
+          }
+          continue;
+        }
+
+        if (!nodes.has(id)) {
+          nodes.set(id, {
+            id,
+            kind: 'coauthor',
+            name: coauthor.name,
+            userId: coauthor.userId,
+            affiliation: coauthor.affiliation,
+            linkedProfiles: new Set()
+          });
+        }
+        const node = nodes.get(id);
+        if (!node.linkedProfiles.has(userId)) {
+          node.linkedProfiles.add(userId);
+          edges.push({ source: userId, target: id });
+        }
+      }
+    }
+
+    for (const edge of edges) {
+      const coauthor = nodes.get(edge.target);
+      edge.bridge = coauthor.kind === 'coauthor' && coauthor.linkedProfiles.size > 1;
+    }
+
+    return { nodes: Array.from(nodes.values()), edges };
+  }
+
+  /**
+   * Place the nodes with a Fruchterman-Reingold force layout, starting from
+   * profiles on a circle and each co-author next to its first profile.
+   * Deterministic, so the picture does not jump between renders.
+   * @param {Object[]} nodes - Graph nodes (x and y are set)
+   * @param {Object[]} edges - Graph edges
+   */
+  function layout(nodes, edges) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const profileNodes = nodes.filter(node => node.kind !== 'coauthor');
+    const centerX = WIDTH / 2;
+    const centerY = HEIGHT / 2;
+
+    profileNodes.forEach((node, i) => {
+      const angle = (2 * Math.PI * i) / profileNodes.length - Math.PI / 2;
+      const radius = profileNodes.length > 1 ? Math.min(WIDTH, HEIGHT) * 0.3 : 0;
+      node.x = centerX + radius * Math.cos(angle);
+      node.y = centerY + radius * Math.sin(angle);
+    });
+
+    nodes.filter(node => node.kind === 'coauthor').forEach((node, i) => {
+      const anchors = Array.from(node.linkedProfiles).map(id => byId.get(id));
+      const angle = i * 2.399963; // Golden angle spreads siblings evenly
+      node.x = anchors.reduce((sum, a) => sum + a.x, 0) / anchors.length + 40 * Math.cos(angle);
+      node.y = anchors.reduce((sum, a) => sum + a.y, 0) / anchors.length + 40 * Math.sin(angle);
+    });
+
+    const k = Math.sqrt((WIDTH * HEIGHT) / Math.max(1, nodes.length)) * 0.6;
+    let temperature = WIDTH / 10;
+
+    for (let iteration = 0; iteration < LAYOUT_ITERATIONS; iteration++) {
+      for (const node of nodes) {
+        node.dx = 0;
+        node.dy = 0;
+      }
+
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const a = nodes[i];
+          const b = nodes[j];
+          const dx = a.x - b.x || 0.01;
+          const dy = a.y - b.y || 0.01;
+          const distance = Math.max(1, Math.hypot(dx, dy));
+          const force = (k * k) / distance;
+          a.dx += (dx / distance) * force;
+          a.dy += (dy / distance) * force;
+          b.dx -= (dx / distance) * force;
+          b.dy -= (dy / distance) * force;
+        }
+      }
+
+      for (const edge of edges) {
+        const a = byId.get(edge.source);
+        const b = byId.get(edge.target);
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.max(1, Math.hypot(dx, dy));
+        const force = (distance * distance) / k;
+        a.dx -= (dx / distance) * force;
+        a.dy -= (dy / distance) * force;
+        b.dx += (dx / distance) * force;
+        b.dy += (dy / distance) * force;
+      }
+
+      for (const node of nodes) {
+        // Gentle pull to the center keeps disconnected parts on screen
+        node.dx += (centerX - node.x) * 0.02 * k / 10;
+        node.dy += (centerY - node.y) * 0.02 * k / 10;
+
+        const displacement = Math.max(1, Math.hypot(node.dx, node.dy));
+        node.x += (node.dx / displacement) * Math.min(displacement, temperature);
+        node.y += (node.dy / displacement) * Math.min(displacement, temperature);
+        node.x = Math.min(WIDTH - 40, Math.max(40, node.x));
+        node.y = Math.min(HEIGHT - 20, Math.max(20, node.y));
+      }
+
+      temperature *= 0.98;
+    }
+  }
+
+  // ==================== RENDERING ====================
+
+  function nodeClass(node) {
+    if (node.kind !== 'coauthor') return `sd-graph-${node.kind}`;
+    return node.linkedProfiles.size > 1 ? 'sd-graph-bridge' : 'sd-graph-coauthor';
+  }
+
+  function render() {
+    const { nodes, edges } = buildGraph();
+    layout(nodes, edges);
+    const byId = new Map(nodes.map(node => [node.id, node]));
+
+    const lines = edges.map(edge => {
+      const a = byId.get(edge.source);
+      const b = byId.get(edge.target);
+      const cls = edge.bridge ? 'sd-graph-edge sd-graph-edge-bridge' : edge.direct ? 'sd-graph-edge sd-graph-edge-direct' : 'sd-graph-edge';
+      return `<line class="${cls}" x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"></line>`;
+    }).join('');
+
+    // Draw plain co-authors first so profiles and bridges stay on top
+    const order = { coauthor: 0, candidate: 1, current: 2 };
+    const circles = nodes
+      .slice()
+      .sort((a, b) => (order[a.kind] + (a.linkedProfiles.size > 1 ? 0.5 : 0)) - (order[b.kind] + (b.linkedProfiles.size > 1 ? 0.5 : 0)))
+      .map(node => {
+        const isProfile = node.kind !== 'coauthor';
+        const isBridge = !isProfile && node.linkedProfiles.size > 1;
+        const radius = isProfile ? 12 : isBridge ? 8 : 5;
+        const title = [node.name, node.affiliation].filter(Boolean).join(' — ');
+        const label = isProfile || isBridge
+          ? `<text class="sd-graph-label${isProfile ? ' sd-graph-label-profile' : ''}" x="${(node.x + radius + 4).toFixed(1)}" y="${(node.y + 4).toFixed(1)}">${escapeHtml(node.name)}</text>`
+          : '';
+        const shape = `
+          <circle class="sd-graph-node ${nodeClass(node)}" cx="${node.x.toFixed(1)}" cy="${node.y.toFixed(1)}" r="${radius}">
+            <title>${escapeHtml(title)}</title>
+          </circle>
+          ${label}
+        `;
+        return node.userId
+          ? `<a href="${escapeHtml(profileUrl(node.userId))}" target="_blank">${shape}</a>`
+          : `<g>${shape}</g>`;
+      }).join('');
+
+    const svg = document.getElementById('graph');
+    svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+    svg.innerHTML = `<g>${lines}</g><g>${circles}</g>`;
+
+    renderBridges(nodes, byId);
+    renderStatus();
+  }
+
+  function renderBridges(nodes, byId) {
+    const bridges = nodes
+      .filter(node => node.kind === 'coauthor' && node.linkedProfiles.size > 1)
+      .sort((a, b) => b.linkedProfiles.size - a.linkedProfiles.size);
+
+    const el = document.getElementById('bridges');
+    if (bridges.length === 0) {
+      el.className = 'sd-page-muted';
+      el.textContent = profiles.size > 1 ? 'The loaded profiles have no co-authors in common.' : 'None yet.';
+      return;
+    }
+
+    el.className = '';
+    el.innerHTML = `<ul class="sd-compare-list">${bridges.map(node => {
+      const linked = Array.from(node.linkedProfiles).map(id => escapeHtml(byId.get(id).name)).join(', ');
+      const name = node.userId
+        ? `<a href="${escapeHtml(profileUrl(node.userId))}" target="_blank">${escapeHtml(node.name)}</a>`
+        : escapeHtml(node.name);
+      return `<li>${name} <span class="sd-page-muted">co-authored with ${linked}</span></li>`;
+    }).join('')}</ul>`;
+  }
+
+  function renderStatus() {
+    const pending = userIds.length - profiles.size - failures.size;
+    const parts = [];
+    if (pending > 0) {
+      parts.push(`Loading ${pending} more profile${pending > 1 ? 's' : ''} through the shared request queue...`);
+    }
+    if (failures.size > 0) {
+      parts.push(`${failures.size} could not be loaded (${Array.from(failures.values())[0]})`);
+    }
+    document.getElementById('status').textContent = parts.join(' ') ||
+      'Click a node to open the profile on Scholar; hover to see the affiliation.';
+  }
+
+  async function init() {
+    if (authorName) {
+      document.getElementById('title').textContent = `Co-author graph: ${authorName}`;
+      document.title = `${authorName} - Co-author Graph`;
+    }
+    if (userIds.length === 0) {
+      document.getElementById('status').textContent = 'Open this view from the sidebar of a Scholar profile.';
+      return;
+    }
+
+    settings = await SDSettings.load();
+    renderStatus();
+
+    // Co-authors are on the first profile page, so one page per profile is enough
+    for (const userId of userIds) {
+      const result = await SDClient.loadProfile(userId, 1);
+      if (result.success) {
+        profiles.set(userId, result.profile);
+      } else {
+        failures.set(userId, result.message || 'unknown error');
+      }
+      render();
+    }
+  }
+
+  init();
+})();
@@ -0,0 +1,361 @@
+// Scholar Disambiguator - Options Page
+// Edits the settings in chrome.storage.sync; open sidebars and the service
+// worker pick up changes immediately
+
+(function() {
+  'use strict';
+
+  const { sendMessage } = SDClient;
+  const escapeHtml = SDCards.escapeHtml;
+
+  let settings = null;
+  let statusTimer = null;
+
+  function showStatus(text) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+      status.textContent = '';
+    }, 2000);
+  }
+
+  /**
+   * Fill the form from the current settings
+   */
+  function render() {
+    document.getElementById('pageSize').value = settings.pageSize;
+    document.getElementById('autoSearch').checked = settings.autoSearch;
+    document.getElementById('requestSpacingSeconds').value = settings.requestSpacingMs / 1000;
+    document.getElementById('loadAllMaxPages').value = settings.loadAllMaxPages;
+    document.getElementById('watchIntervalHours').value = settings.watchIntervalHours;
+    document.getElementById('searchCacheHours').value = settings.searchCacheHours;
+    document.getElementById('profileCacheHours').value = settings.profileCacheHours;
+    document.getElementById('scholarDomain').value = settings.scholarDomain;
+
+    document.querySelectorAll('[data-card-field]').forEach(el => {
+      el.checked = !!settings.cardFields[el.dataset.cardField];
+    });
+  }
+
+  /**
+   * Read the form and save it
+   */
+  async function save() {
+    const cardFields = {};
+    document.querySelectorAll('[data-card-field]').forEach(el => {
+      cardFields[el.dataset.cardField] = el.checked;
+    });
+
+    settings = await SDSettings.save({
+      ...settings,
+      pageSize: parseInt(document.getElementById('pageSize').value, 10),
+      autoSearch: document.getElementById('autoSearch').checked,
+      requestSpacingMs: Math.round(parseFloat(document.getElementById('requestSpacingSeconds').value) * 1000),
+      loadAllMaxPages: parseInt(document.getElementById('loadAllMaxPages').value, 10),
+      watchIntervalHours: parseFloat(document.getElementById('watchIntervalHours').value),
+      searchCacheHours: parseFloat(document.getElementById('searchCacheHours').value),
+      profileCacheHours: parseFloat(document.getElementById('profileCacheHours').value),
+      scholarDomain: document.getElementById('scholarDomain').value,
+      cardFields
+    });
+
+    // Show the clamped values
+    render();
+    showStatus('Saved');
+  }
+
+  async function renderCacheStats() {
+    const el = document.getElementById('cacheStats');
+    try {
+      const response = await sendMessage({ action: 'cacheStats' });
+      const { entries, bytes, byType } = response.stats;
+      el.textContent = `${entries} entries (${byType.search || 0} searches, ${byType.profile || 0} profiles, ` +
+        `${byType.metrics || 0} metrics), ` +
+        `${(bytes / 1024).toFixed(0)} KB`;
+    } catch (e) {
+      el.textContent = 'Unavailable';
+    }
+  }
+
+  // ==================== WATCHLIST ====================
+
+  function renderWatchlist(all) {
+    const el = document.getElementById('watchlist');
+    const entries = Object.values(all).sort((a, b) => a.name.localeCompare(b.name));
+    if (entries.length === 0) {
+      el.textContent = 'No names watched yet. Add one above or use "Watch this name" in the sidebar.';
+      return;
+    }
+
+    const baseUrl = SDSettings.scholarBaseUrl(settings);
+    el.innerHTML = `<ul>${entries.map(entry => {
+      let status;
+      if (entry.lastError) {
+        status = `<span class="sd-kb-error">Last check failed: ${escapeHtml(entry.lastError)}</span>`;
+      } else if (entry.knownUserIds) {
+        status = `${entry.knownUserIds.length} profiles known, checked ${escapeHtml(new Date(entry.lastChecked).toLocaleString())}`;
+      } else {
+        status = 'Not checked yet';
+      }
+      const found = (entry.newProfiles || []).slice(0, 5).map(profile =>
+        `<a href="${escapeHtml(`${baseUrl}/citations?user=${encodeURIComponent(profile.userId)}`)}" target="_blank">${escapeHtml(profile.name || profile.userId)}</a>` +
+        ` <span class="sd-page-muted">(${escapeHtml(new Date(profile.foundAt).toLocaleDateString())})</span>`
+      ).join(', ');
+      return `
+        <li>
+          <strong>${escapeHtml(entry.name)}</strong> &middot; ${status}
+          <button class="sd-page-button sd-watch-remove" data-watch-remove="${escapeHtml(entry.id)}">Remove</button>
+          ${found ? `<div>New: ${found}</div>` : ''}
+        </li>
+      `;
+    }).join('')}</ul>`;
+
+    el.querySelectorAll('[data-watch-remove]').forEach(button => {
+      button.addEventListener('click', () => SDWatchlist.remove(button.dataset.watchRemove));
+    });
+  }
+
+  async function addWatch() {
+    const input = document.getElementById('watchName');
+    const name = input.value.trim();
+    if (!name) return;
+    await SDWatchlist.add(name);
+    input.value = '';
+    showStatus(`Watching "${name}"`);
+    // Take the first snapshot now, so the next scheduled check can compare
+    sendMessage({ action: 'watchlistCheck', onlyNew: true }).catch(() => {});
+  }
+
+  async function checkWatchlistNow() {
+    const button = document.getElementById('watchCheckBtn');
+    button.disabled = true;
+    button.textContent = 'Checking...';
+    try {
+      const result = await sendMessage({ action: 'watchlistCheck' })
+        .catch(e => ({ success: false, message: e.message }));
+      if (!result || !result.success) {
+        showStatus(`Check failed: ${(result && result.message) || 'no response'}`);
+      } else {
+        showStatus(result.skipped
+          ? 'Scholar is limiting requests; try again later'
+          : `Checked ${result.checked} names, ${result.added} new profiles`);
+      }
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Check now';
+    }
+  }
+
+  // ==================== PARSER DIAGNOSTICS ====================
+
+  const ISSUE_KINDS = {
+    missing: 'not found',
+    fallback: 'found only through fallback selectors'
+  };
+
+  async function renderDiagnostics() {
+    const el = document.getElementById('diagnostics');
+    const report = await SDDiagnostics.buildReport();
+    if (report.issues.length === 0) {
+      el.textContent = `No parsing problems recorded (parser version ${report.parserVersion}).`;
+      return;
+    }
+
+    el.innerHTML = `<ul>${report.issues.map(issue => `
+      <li>
+        <strong>${escapeHtml(issue.pageKind)} page, ${escapeHtml(issue.field)}</strong>: ${ISSUE_KINDS[issue.kind] || escapeHtml(issue.kind)}
+        ${issue.occurrences}&times;, last ${escapeHtml(new Date(issue.lastSeen).toLocaleString())}
+        ${issue.selectorSet ? `(selector set ${escapeHtml(issue.selectorSet)})` : ''}
+      </li>
+    `).join('')}</ul>`;
+  }
+
+  // ==================== KNOWLEDGE BASE ====================
+
+  let importData = null; // Validated file waiting to be applied
+
+  /**
+   * Everything the extension currently knows, in buildExport() input form
+   */
+  async function loadKnowledge() {
+    const response = await sendMessage({ action: 'cacheExport' });
+    return {
+      labels: await SDLabels.loadAll(),
+      favorites: await SDFavorites.loadAll(),
+      cache: response && response.success ? response.entries : []
+    };
+  }
+
+  function cacheTtls() {
+    const hour = 60 * 60 * 1000;
+    return {
+      search: settings.searchCacheHours * hour,
+      profile: settings.profileCacheHours * hour,
+      metrics: settings.profileCacheHours * hour
+    };
+  }
+
+  async function exportKnowledge() {
+    const data = SDKnowledge.buildExport(await loadKnowledge());
+    const date = new Date().toISOString().slice(0, 10);
+    SDExport.download(JSON.stringify(data, null, 2), `scholar-disambiguator-knowledge-${date}.json`, 'application/json');
+    showStatus(`Exported ${data.labels.length} labels, ${data.favorites.length} favorites and ${data.cache.length} cache entries`);
+  }
+
+  function describeLabel(entry) {
+    const text = SDLabels.LABELS[entry.label] || entry.label;
+    return entry.note ? `${text} — "${entry.note}"` : text;
+  }
+
+  /**
+   * Validate the chosen file and show what importing it would change
+   */
+  async function previewImport() {
+    const preview = document.getElementById('kbPreview');
+    const applyRow = document.getElementById('kbApplyRow');
+    const file = document.getElementById('kbFile').files[0];
+    importData = null;
+    applyRow.hidden = true;
+    preview.hidden = !file;
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      preview.innerHTML = `<div class="sd-kb-error">Not a valid JSON file: ${escapeHtml(e.message)}</div>`;
+      return;
+    }
+
+    const { valid, errors } = SDKnowledge.validate(data);
+    if (!valid) {
+      const shown = errors.slice(0, 10).map(error => `<li>${escapeHtml(error)}</li>`).join('');
+      const more = errors.length > 10 ? `<li>...and ${errors.length - 10} more</li>` : '';
+      preview.innerHTML = `<div class="sd-kb-error">This file cannot be imported:</div><ul>${shown}${more}</ul>`;
+      return;
+    }
+
+    const strategy = document.getElementById('kbStrategy').value;
+    const plan = SDKnowledge.planImport(data, await loadKnowledge(), strategy, cacheTtls());
+    const { labels, favorites, cache } = plan;
+
+    let conflicts = '';
+    if (labels.conflicts.length > 0) {
+      const rows = labels.conflicts.map(conflict => `
+        <tr>
+          <td>${escapeHtml(conflict.local.userIds.join(' / '))}</td>
+          <td class="${conflict.winner === 'local' ? 'sd-kb-winner' : ''}">${escapeHtml(describeLabel(conflict.local))}</td>
+          <td class="${conflict.winner === 'imported' ? 'sd-kb-winner' : ''}">${escapeHtml(describeLabel(conflict.imported))}</td>
+        </tr>
+      `).join('');
+      conflicts = `
+        <table class="sd-kb-conflicts">
+          <thead><tr><th>Profiles</th><th>Mine</th><th>Imported</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    preview.innerHTML = `
+      <div><strong>Preview</strong> <span class="sd-page-muted">(exported ${escapeHtml(data.exportedAt || 'at an unknown time')})</span></div>
+      <ul>
+        <li>Labels: ${labels.added} new, ${labels.updated} replaced, ${labels.unchanged} already present, ${labels.conflicts.length} conflicts</li>
+        <li>Favorites: ${favorites.added} new, ${favorites.unchanged} already present</li>
+        <li>Cache: ${cache.added} new, ${cache.updated} newer than mine, ${cache.skipped} skipped (expired or older)</li>
+      </ul>
+      ${conflicts}
+    `;
+
+    importData = data;
+    applyRow.hidden = labels.added + labels.updated + favorites.added + cache.added + cache.updated === 0;
+  }
+
+  async function applyImport() {
+    if (!importData) return;
+
+    // Plan again against the current data in case it changed since the preview
+    const local = await loadKnowledge();
+    const plan = SDKnowledge.planImport(importData, local, document.getElementById('kbStrategy').value, cacheTtls());
+
+    try {
+      await SDLabels.saveAll({ ...local.labels, ...plan.labels.write });
+      await SDFavorites.saveAll({ ...local.favorites, ...plan.favorites.write });
+      if (plan.cache.write.length > 0) {
+        await sendMessage({ action: 'cacheImport', entries: plan.cache.write });
+      }
+    } catch (e) {
+      console.error('[Scholar Disambiguator] Import error:', e);
+      showStatus(`Import failed: ${e.message}`);
+      return;
+    }
+
+    importData = null;
+    document.getElementById('kbFile').value = '';
+    document.getElementById('kbPreview').hidden = true;
+    document.getElementById('kbApplyRow').hidden = true;
+    renderCacheStats();
+    showStatus(`Imported ${plan.labels.added + plan.labels.updated} labels, ${plan.favorites.added} favorites and ` +
+      `${plan.cache.write.length} cache entries`);
+  }
+
+  async function init() {
+    const domainSelect = document.getElementById('scholarDomain');
+    for (const domain of SDSettings.getScholarDomains()) {
+      const option = document.createElement('option');
+      option.value = domain;
+      option.textContent = domain;
+      domainSelect.appendChild(option);
+    }
+
+    settings = await SDSettings.load();
+    render();
+    renderCacheStats();
+
+    document.querySelectorAll('input:not([data-kb]):not([data-watch]), select:not([data-kb])').forEach(el => {
+      el.addEventListener('change', save);
+    });
+
+    const strategySelect = document.getElementById('kbStrategy');
+    for (const [value, text] of Object.entries(SDKnowledge.CONFLICT_STRATEGIES)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      strategySelect.appendChild(option);
+    }
+    strategySelect.addEventListener('change', previewImport);
+    document.getElementById('kbFile').addEventListener('change', previewImport);
+    document.getElementById('kbExportBtn').addEventListener('click', exportKnowledge);
+    document.getElementById('kbApplyBtn').addEventListener('click', applyImport);
+
+    renderWatchlist(await SDWatchlist.loadAll());
+    SDWatchlist.onChange(renderWatchlist);
+    document.getElementById('watchAddBtn').addEventListener('click', addWatch);
+    document.getElementById('watchName').addEventListener('keydown', event => {
+      if (event.key === 'Enter') addWatch();
+    });
+    document.getElementById('watchCheckBtn').addEventListener('click', checkWatchlistNow);
+
+    renderDiagnostics();
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[SDDiagnostics.STORAGE_KEY]) renderDiagnostics();
+    });
+    document.getElementById('copyDiagnosticsBtn').addEventListener('click', async () => {
+      const report = await SDDiagnostics.buildReport();
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      showStatus('Report copied');
+    });
+    document.getElementById('clearDiagnosticsBtn').addEventListener('click', async () => {
+      await SDDiagnostics.clear();
+      showStatus('Diagnostics cleared');
+    });
+
+    document.getElementById('clearCacheBtn').addEventListener('click', async () => {
+      await sendMessage({ action: 'cacheClear' });
+      renderCacheStats();
+      showStatus('Cache cleared');
+    });
+  }
+
+  init();
+})();
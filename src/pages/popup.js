@@ -0,0 +1,305 @@
+// Scholar Disambiguator - Toolbar Popup
+// Looks up any name typed or pasted here, or selected on a page and sent by
+// the "Find Scholar profiles named ..." context menu item (see
+// src/background.js). Opened in a tab with ?name=<name> when the browser
+// cannot open the popup itself.
+
+(function() {
+  'use strict';
+
+  const LOOKUP_KEY = 'sd_lookup'; // Last lookup { name, pending }; pending is set by the context menu
+  const CACHE_PREFIX = 'lookup:'; // Shared with the batch page; kept apart from sidebar searches, which exclude the viewed profile
+
+  const escapeHtml = SDCards.escapeHtml;
+
+  let settings = SDSettings.DEFAULT_SETTINGS;
+  let query = ''; // Name of the results shown
+  let authors = [];
+  let nextToken = null;
+  let currentPage = 1;
+  let isLoadingMore = false;
+  let lookupId = 0; // Responses for an earlier name are dropped
+
+  const form = document.getElementById('lookupForm');
+  const input = document.getElementById('lookupName');
+  const statusEl = document.getElementById('status');
+  const resultsEl = document.getElementById('results');
+
+  // ==================== SEARCH ====================
+
+  function cacheKey(name) {
+    return CACHE_PREFIX + name.toLowerCase();
+  }
+
+  function parseAuthors(html) {
+    const page = SDParser.parseSearchPage(html, SDSettings.scholarBaseUrl(settings));
+    SDDiagnostics.record(page.issues);
+    return page.authors;
+  }
+
+  function profileUrl(author) {
+    return author.userId
+      ? `${SDSettings.scholarBaseUrl(settings)}/citations?user=${encodeURIComponent(author.userId)}`
+      : author.profileUrl;
+  }
+
+  /**
+   * Show the profiles with a name, from the cache if possible
+   * @param {string} name - Name to look up
+   * @param {boolean} [skipCache] - Search Scholar even if results are cached
+   */
+  async function lookup(name, skipCache = false) {
+    name = name.trim().replace(/\s+/g, ' ');
+    if (!name) return;
+
+    const id = ++lookupId;
+    query = name;
+    input.value = name;
+    chrome.storage.local.set({ [LOOKUP_KEY]: { name, pending: false } });
+
+    renderLoading();
+    refreshStatus();
+
+    const cached = skipCache ? null : await SDClient.getCachedEntry('search', cacheKey(name));
+    let result;
+    if (cached) {
+      result = { success: true, ...cached };
+    } else {
+      const response = await SDClient.sendMessage({ action: 'searchAuthors', authorName: name })
+        .catch(e => ({ success: false, error: 'unknown', message: e.message }));
+      result = response.success
+        ? { success: true, authors: parseAuthors(response.html), nextToken: response.nextToken }
+        : response;
+      if (result.success) {
+        SDClient.setCachedEntry('search', cacheKey(name), { authors: result.authors, nextToken: result.nextToken });
+      }
+    }
+
+    if (id !== lookupId) return;
+    if (!result.success) {
+      renderError(result);
+      return;
+    }
+    authors = result.authors;
+    nextToken = result.nextToken;
+    currentPage = 1;
+    renderResults();
+  }
+
+  /**
+   * Fetch the next Scholar page of the current name and show its first profiles
+   */
+  async function loadMore() {
+    if (!nextToken || isLoadingMore) return;
+    isLoadingMore = true;
+    const id = lookupId;
+    const button = resultsEl.querySelector('#sd-next-btn');
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Loading...';
+    }
+
+    const response = await SDClient.sendMessage({ action: 'searchAuthors', authorName: query, afterToken: nextToken })
+      .catch(e => ({ success: false, error: 'unknown', message: e.message }));
+    isLoadingMore = false;
+    if (id !== lookupId) return;
+    if (!response.success) {
+      renderError(response);
+      return;
+    }
+
+    const known = new Set(authors.map(author => author.userId));
+    const before = authors.length;
+    authors = authors.concat(parseAuthors(response.html).filter(author => !known.has(author.userId)));
+    nextToken = response.nextToken;
+    SDClient.setCachedEntry('search', cacheKey(query), { authors, nextToken });
+
+    if (authors.length > before) {
+      currentPage = Math.floor(before / settings.pageSize) + 1;
+    }
+    renderResults();
+  }
+
+  // ==================== UI FUNCTIONS ====================
+
+  function renderLoading() {
+    resultsEl.hidden = false;
+    resultsEl.innerHTML = `
+      <div class="sd-header"><span>Profiles named ${escapeHtml(query)}</span></div>
+      <div class="sd-loading">Searching...</div>
+    `;
+  }
+
+  function renderResults() {
+    resultsEl.hidden = false;
+    const searchUrl = SDParser.buildSearchUrl(SDSettings.scholarBaseUrl(settings), query);
+
+    if (authors.length === 0) {
+      resultsEl.innerHTML = `
+        <div class="sd-header"><span>Profiles named ${escapeHtml(query)}</span></div>
+        <div class="sd-no-results">No Scholar profiles found with this name.</div>
+        <button class="sd-refresh" id="sd-refresh-btn">Search again</button>
+      `;
+      resultsEl.querySelector('#sd-refresh-btn').addEventListener('click', () => lookup(query, true));
+      return;
+    }
+
+    const pageSize = settings.pageSize;
+    const totalPages = Math.ceil(authors.length / pageSize);
+    currentPage = Math.max(1, Math.min(currentPage, totalPages));
+    const startIndex = (currentPage - 1) * pageSize;
+
+    let html = `
+      <div class="sd-header">
+        <span>Profiles named ${escapeHtml(query)} (${authors.length}${nextToken ? '+' : ''} found)</span>
+      </div>
+      <ul class="sd-results">
+    `;
+    for (const author of SDInstitutions.annotate(authors.slice(startIndex, startIndex + pageSize))) {
+      html += SDCards.renderAuthorCard(author, { fields: settings.cardFields, profileUrl: profileUrl(author) });
+    }
+    html += '</ul>';
+    html += SDCards.renderPagination(currentPage, totalPages, !!nextToken);
+    html += `<a class="sd-popover-more" href="${escapeHtml(searchUrl)}" target="_blank">Open this search on Scholar</a>`;
+    html += '<button class="sd-link-btn sd-clear-cache" id="sd-refresh-btn">Refresh results</button>';
+    resultsEl.innerHTML = html;
+
+    const prevBtn = resultsEl.querySelector('#sd-prev-btn');
+    if (prevBtn) {
+      prevBtn.addEventListener('click', () => {
+        currentPage--;
+        renderResults();
+      });
+    }
+
+    const nextBtn = resultsEl.querySelector('#sd-next-btn');
+    if (nextBtn) {
+      nextBtn.addEventListener('click', () => {
+        if (currentPage < totalPages) {
+          currentPage++;
+          renderResults();
+        } else {
+          loadMore();
+        }
+      });
+    }
+
+    resultsEl.querySelectorAll('.sd-page-num:not(.sd-page-more)').forEach(el => {
+      el.addEventListener('click', () => {
+        currentPage = parseInt(el.dataset.page, 10);
+        renderResults();
+      });
+    });
+
+    const loadMoreBtn = resultsEl.querySelector('#sd-load-more');
+    if (loadMoreBtn) {
+      loadMoreBtn.addEventListener('click', loadMore);
+    }
+
+    resultsEl.querySelector('#sd-refresh-btn').addEventListener('click', () => lookup(query, true));
+  }
+
+  /**
+   * Show a failed search with the recovery options of its error type
+   * (see src/lib/errors.js)
+   */
+  function renderError(result) {
+    resultsEl.hidden = false;
+    const description = SDErrors.describe(result.error);
+    let recovery = '';
+    if (description.recovery === 'challenge') {
+      recovery = '<button class="sd-refresh" id="sd-challenge-btn">Open the Scholar challenge</button>';
+    } else if (description.recovery === 'sign_in') {
+      recovery = '<button class="sd-refresh" id="sd-sign-in-btn">Sign in to Google</button>';
+    }
+
+    resultsEl.innerHTML = `
+      <div class="sd-header"><span>Profiles named ${escapeHtml(query)}</span></div>
+      <div class="sd-error">
+        <strong>${escapeHtml(description.title)}</strong>
+        <div>${escapeHtml(result.message || description.message)}</div>
+      </div>
+      ${recovery}
+      <button class="sd-button" id="sd-retry-btn">Try again</button>
+    `;
+    resultsEl.querySelector('#sd-retry-btn').addEventListener('click', () => lookup(query, true));
+
+    const challengeBtn = resultsEl.querySelector('#sd-challenge-btn');
+    if (challengeBtn) {
+      challengeBtn.addEventListener('click', () => SDClient.sendMessage({ action: 'openChallenge' }));
+    }
+
+    const signInBtn = resultsEl.querySelector('#sd-sign-in-btn');
+    if (signInBtn) {
+      const url = SDParser.buildSearchUrl(SDSettings.scholarBaseUrl(settings), query);
+      signInBtn.addEventListener('click', () => SDClient.sendMessage({ action: 'openSignIn', url }));
+    }
+  }
+
+  /**
+   * Say why a search may wait: the shared queue is cooling down or paused
+   * for a CAPTCHA started from another tab
+   */
+  async function refreshStatus() {
+    const response = await SDClient.sendMessage({ action: 'getSchedulerState' }).catch(() => null);
+    statusEl.innerHTML = SDCards.renderQueueNotice(response && response.success ? response.state : null);
+
+    const openBtn = statusEl.querySelector('#sd-challenge-open-btn');
+    if (openBtn) {
+      openBtn.addEventListener('click', () => SDClient.sendMessage({ action: 'openChallenge' }));
+      statusEl.querySelector('#sd-challenge-done-btn').addEventListener('click', async () => {
+        const resumed = await SDClient.sendMessage({ action: 'resumeQueue' });
+        if (resumed && resumed.resumed) refreshStatus();
+      });
+    }
+  }
+
+  // ==================== INITIALIZATION ====================
+
+  async function init() {
+    settings = await SDSettings.load();
+
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      lookup(input.value);
+    });
+    document.getElementById('batchLink').addEventListener('click', event => {
+      event.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL('src/pages/batch.html') });
+    });
+    document.getElementById('optionsLink').addEventListener('click', event => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+
+    // A name selected while this page is open in a tab
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[LOOKUP_KEY];
+      if (areaName === 'local' && change && change.newValue && change.newValue.pending) {
+        lookup(change.newValue.name);
+      }
+    });
+
+    const nameParam = new URLSearchParams(window.location.search).get('name');
+    if (nameParam) {
+      lookup(nameParam);
+      return;
+    }
+
+    // Reopening the popup shows the last lookup again (from the cache), and
+    // runs the one the context menu asked for
+    const stored = (await chrome.storage.local.get(LOOKUP_KEY))[LOOKUP_KEY];
+    if (stored && stored.name) {
+      const cached = stored.pending ? null : await SDClient.getCachedEntry('search', cacheKey(stored.name));
+      if (stored.pending || cached) {
+        lookup(stored.name);
+      } else {
+        input.value = stored.name;
+        input.select();
+      }
+    }
+    refreshStatus();
+  }
+
+  init();
+})();
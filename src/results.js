@@ -0,0 +1,259 @@
+// Scholar Disambiguator - Article Results Script
+// Runs on Google Scholar article search pages (scholar?q=) and adds a
+// same-name profile popover next to each author name
+
+(function() {
+  'use strict';
+
+  let settings = SDSettings.DEFAULT_SETTINGS;
+  let popover = null;
+  let activeButton = null; // Button the open popover belongs to
+  const searchRequests = new Map(); // lowercased name -> Promise of the search result
+
+  // Constants
+  const POPOVER_LIMIT = 8; // Candidates listed in the popover
+  const POPOVER_FIELDS = { affiliation: true, citations: true }; // Compact cards, whatever the sidebar shows
+  const CACHE_PREFIX = 'articles:'; // Keeps popover searches apart from sidebar searches, which exclude the viewed profile
+
+  const escapeHtml = SDCards.escapeHtml;
+
+  // ==================== PAGE EXTRACTION ====================
+
+  /**
+   * Find the authors in an article's byline (".gs_a"). The byline reads
+   * "A Author, B Author - Venue, Year - publisher", where linked authors are
+   * <a> elements and the rest are plain text.
+   * @param {Element} byline - The .gs_a element
+   * @returns {Array<{name: string, userId: string|null, node: Node, end: number}>}
+   *   Authors, with node being the link or the text node containing the name
+   *   and end the offset just after the name in a text node
+   */
+  function extractBylineAuthors(byline) {
+    const authors = [];
+
+    for (const node of Array.from(byline.childNodes)) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        const href = node.tagName === 'A' ? node.getAttribute('href') || '' : '';
+        if (href.includes('citations?')) {
+          authors.push({ name: node.textContent.trim(), userId: SDParser.extractUserIdFromUrl(href), node });
+        }
+        continue;
+      }
+      if (node.nodeType !== Node.TEXT_NODE) continue;
+
+      // The author list ends at the first " - " (Scholar uses a non-breaking space before it)
+      const separator = node.textContent.search(/\s-\s/);
+      const authorText = separator === -1 ? node.textContent : node.textContent.slice(0, separator);
+
+      let offset = 0;
+      for (const part of authorText.split(',')) {
+        const name = part.trim();
+        if (name && !/^(…|\.\.\.)$/.test(name)) {
+          authors.push({ name, userId: null, node, end: offset + part.indexOf(name) + name.length });
+        }
+        offset += part.length + 1;
+      }
+
+      if (separator !== -1) break;
+    }
+
+    return authors;
+  }
+
+  // ==================== API ====================
+
+  function fetchAuthorSearch(authorName) {
+    return SDClient.sendMessage({ action: 'searchAuthors', authorName });
+  }
+
+  /**
+   * Search for profiles with a name, reusing cached and in-flight searches
+   * @param {string} name - Name as written in the byline, e.g. "W Zhang"
+   * @returns {Promise<Object>} { success, authors, hasMore } or an error result
+   */
+  function searchName(name) {
+    const key = name.toLowerCase();
+    if (searchRequests.has(key)) {
+      return searchRequests.get(key);
+    }
+
+    const request = (async () => {
+      const cached = await SDClient.getCachedSearch(CACHE_PREFIX + key);
+      if (cached) {
+        return { success: true, authors: cached.authors, hasMore: !!cached.nextToken };
+      }
+
+      const result = await fetchAuthorSearch(name);
+      if (!result.success) return result;
+
+      const page = SDParser.parseSearchPage(result.html, SDSettings.scholarBaseUrl(settings));
+      SDDiagnostics.record(page.issues);
+      SDClient.cacheSearch(CACHE_PREFIX + key, page.authors, result.nextToken);
+      return { success: true, authors: page.authors, hasMore: !!result.nextToken };
+    })().catch(e => ({ success: false, error: 'unknown', message: e.message }));
+
+    searchRequests.set(key, request);
+    request.then(result => {
+      // Allow a retry after a failure
+      if (!result.success) searchRequests.delete(key);
+    });
+    return request;
+  }
+
+  // ==================== UI FUNCTIONS ====================
+
+  /**
+   * Add a popover button after every author in every byline on the page
+   */
+  function decorateResults() {
+    for (const byline of document.querySelectorAll('.gs_r .gs_a')) {
+      if (byline.dataset.sdDecorated) continue;
+      byline.dataset.sdDecorated = 'true';
+
+      // Insert from the end so splitting a text node keeps the offsets of
+      // earlier names in it valid
+      for (const author of extractBylineAuthors(byline).reverse()) {
+        const button = createNameButton(author);
+        if (author.node.nodeType === Node.TEXT_NODE) {
+          author.node.splitText(author.end).before(button);
+        } else {
+          author.node.after(button);
+        }
+      }
+    }
+  }
+
+  function createNameButton(author) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'sd-name-btn';
+    button.textContent = '?';
+    button.title = `Profiles named ${author.name}`;
+    button.dataset.name = author.name;
+    if (author.userId) {
+      button.dataset.userId = author.userId;
+    }
+    button.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      togglePopover(button);
+    });
+    return button;
+  }
+
+  function closePopover() {
+    if (popover) {
+      popover.remove();
+      popover = null;
+    }
+    activeButton = null;
+  }
+
+  async function togglePopover(button) {
+    if (activeButton === button) {
+      closePopover();
+      return;
+    }
+    closePopover();
+
+    activeButton = button;
+    popover = document.createElement('div');
+    popover.className = 'sd-container sd-popover';
+    document.body.appendChild(popover);
+
+    const rect = button.getBoundingClientRect();
+    popover.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    popover.style.left = `${Math.max(8, rect.left + window.scrollX - 12)}px`;
+
+    const name = button.dataset.name;
+    renderPopover(name, button.dataset.userId, null);
+
+    const result = await searchName(name);
+    // Ignore results for a popover that has since been closed
+    if (activeButton === button) {
+      renderPopover(name, button.dataset.userId, result);
+    }
+  }
+
+  /**
+   * Render the popover for a name
+   * @param {string} name - Byline name
+   * @param {string} [linkedUserId] - Profile the byline links to, if any
+   * @param {Object|null} result - Search result, or null while loading
+   */
+  function renderPopover(name, linkedUserId, result) {
+    let html = `<div class="sd-header"><span>Profiles named ${escapeHtml(name)}</span></div>`;
+
+    if (!result) {
+      html += '<div class="sd-loading">Searching...</div>';
+    } else if (!result.success) {
+      const description = SDErrors.describe(result.error);
+      html += `
+        <div class="sd-error">
+          <strong>${escapeHtml(description.title)}</strong>
+          <div>${escapeHtml(result.message || description.message)}</div>
+        </div>
+      `;
+    } else if (result.authors.length === 0) {
+      html += '<div class="sd-no-results">No Scholar profiles found with this name.</div>';
+    } else {
+      // Put the linked profile first
+      const authors = SDInstitutions.annotate(result.authors).sort((a, b) =>
+        (b.userId === linkedUserId) - (a.userId === linkedUserId));
+
+      html += '<ul class="sd-results">';
+      for (const author of authors.slice(0, POPOVER_LIMIT)) {
+        const isLinked = !!linkedUserId && author.userId === linkedUserId;
+        html += SDCards.renderAuthorCard(author, {
+          fields: POPOVER_FIELDS,
+          profileUrl: author.profileUrl,
+          className: isLinked ? 'sd-popover-linked' : '',
+          after: isLinked ? '<div class="sd-hint">Linked from this result</div>' : ''
+        });
+      }
+      html += '</ul>';
+
+      const total = result.authors.length;
+      if (total > POPOVER_LIMIT || result.hasMore) {
+        const searchUrl = `${SDSettings.scholarBaseUrl(settings)}/citations?view_op=search_authors&mauthors=${encodeURIComponent(name)}`;
+        html += `<a class="sd-popover-more" href="${escapeHtml(searchUrl)}" target="_blank">See all ${total}${result.hasMore ? '+' : ''} on Scholar</a>`;
+      }
+    }
+
+    popover.innerHTML = html;
+  }
+
+  // ==================== INITIALIZATION ====================
+
+  function init() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', onReady);
+    } else {
+      onReady();
+    }
+  }
+
+  async function onReady() {
+    // Article searches only; other /scholar pages (settings, library) have no results
+    if (!document.querySelector('.gs_r .gs_a')) return;
+
+    settings = await SDSettings.load();
+    SDSettings.onChange(newSettings => {
+      settings = newSettings;
+    });
+
+    decorateResults();
+    console.log('[Scholar Disambiguator] Article results decorated');
+
+    document.addEventListener('click', event => {
+      if (popover && !popover.contains(event.target)) {
+        closePopover();
+      }
+    });
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape') closePopover();
+    });
+  }
+
+  init();
+})();
@@ -0,0 +1,207 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, fakeResponse, readFixture } = require('./helpers/background');
+
+// Fastest spacing the settings allow, so multi-request tests stay short
+const SETTINGS = { requestSpacingMs: 1000 };
+
+function serve(fixture) {
+  return url => fakeResponse(readFixture(fixture), { url });
+}
+
+test('searchAuthors fetches the preferred domain and returns the next token', async () => {
+  const { sendMessage, requests } = loadBackground({
+    respond: serve('search-first-page.html'),
+    settings: { ...SETTINGS, scholarDomain: 'scholar.google.co.uk' }
+  });
+
+  const result = await sendMessage({ action: 'searchAuthors', authorName: 'Wei Wang' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.nextToken, 'L8YQAP3___8J');
+  assert.match(result.html, /gsc_1usr/);
+  assert.deepEqual(requests, ['https://scholar.google.co.uk/citations?view_op=search_authors&mauthors=Wei%20Wang']);
+});
+
+test('searchAuthors passes the token on and stops at the last page', async () => {
+  const { sendMessage, requests } = loadBackground({ respond: serve('search-last-page.html'), settings: SETTINGS });
+
+  const result = await sendMessage({ action: 'searchAuthors', authorName: 'Wei Wang', afterToken: 'L8YQAP3___8J' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.nextToken, null);
+  assert.match(requests[0], /&after_author=L8YQAP3___8J$/);
+});
+
+test('searchAuthors returns no token for a page without results', async () => {
+  const { sendMessage } = loadBackground({ respond: serve('search-no-results.html'), settings: SETTINGS });
+
+  const result = await sendMessage({ action: 'searchAuthors', authorName: 'Qwzx Plokmn' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.nextToken, null);
+});
+
+test('searchAuthorVariants merges variant results without duplicates', async () => {
+  const { sendMessage, requests } = loadBackground({
+    respond: url => fakeResponse(readFixture(/Wang%20Wei/.test(url) ? 'search-legacy-markup.html' : 'search-first-page.html'), { url }),
+    settings: SETTINGS
+  });
+
+  const result = await sendMessage({ action: 'searchAuthorVariants', authorName: 'Wei Wang', variants: ['wei wang', 'Wang Wei'] });
+
+  assert.equal(result.success, true);
+  assert.equal(requests.length, 2, 'a variant equal to the name is not searched again');
+  assert.equal(result.nextToken, 'L8YQAP3___8J');
+  assert.equal((result.html.match(/<div class="gsc_1usr\b/g) || []).length, 6);
+  assert.deepEqual(Object.keys(result.variantMatches), ['Old001AAAAAJ', 'Old002AAAAAJ', 'Old003AAAAAJ']);
+  assert.equal(result.variantMatches.Old001AAAAAJ, 'Wang Wei');
+});
+
+test('an unrecognized page is a layout change and lands in the diagnostics report', async () => {
+  const { sendMessage, chrome } = loadBackground({
+    respond: url => fakeResponse('<html><body><div id="new_results">Wei Wang</div></body></html>', { url }),
+    settings: SETTINGS
+  });
+
+  const result = await sendMessage({ action: 'searchAuthors', authorName: 'Wei Wang' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'layout_changed');
+  assert.match(result.url, /mauthors=Wei%20Wang/);
+
+  const report = await chrome.storage.local.get('sd_parser_diagnostics');
+  const entry = report.sd_parser_diagnostics['search:page:missing'];
+  assert.equal(entry.occurrences, 1);
+  assert.equal(entry.lastUrl, result.url);
+});
+
+test('network failures are reported as results, not exceptions', async () => {
+  const { sendMessage } = loadBackground({
+    respond: () => { throw new TypeError('Failed to fetch'); },
+    settings: SETTINGS
+  });
+
+  const result = await sendMessage({ action: 'searchAuthors', authorName: 'Wei Wang' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'network_error');
+});
+
+test('a CAPTCHA pauses the queue and fails requests at once until it is dismissed', async () => {
+  const { sendMessage, requests } = loadBackground({ respond: serve('captcha.html'), settings: SETTINGS });
+
+  const result = await sendMessage({ action: 'searchAuthors', authorName: 'Wei Wang' });
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'captcha');
+
+  const { state } = await sendMessage({ action: 'getSchedulerState' });
+  assert.equal(state.status, 'paused');
+  assert.equal(state.pausedReason, 'captcha');
+  assert.match(state.pausedKey, /mauthors=Wei%20Wang/);
+  assert.equal(state.pausedInfo.pageKind, 'search');
+
+  // Nothing waits for the user: later requests fail without being made
+  const later = await sendMessage({ action: 'searchAuthors', authorName: 'Wang Wei' });
+  assert.equal(later.error, 'captcha');
+  assert.equal(requests.length, 1);
+
+  await sendMessage({ action: 'cancelQueue' });
+  const after = await sendMessage({ action: 'getSchedulerState' });
+  assert.notEqual(after.state.status, 'paused');
+});
+
+test('only a successful probe resumes the queue, after which the search can be retried', async () => {
+  let page = 'captcha';
+  const { sendMessage, requests } = loadBackground({
+    respond: url => (page === 'rate_limited'
+      ? fakeResponse('Too many requests', { status: 429, url })
+      : fakeResponse(readFixture(page === 'solved' ? 'search-first-page.html' : 'captcha.html'), { url })),
+    settings: SETTINGS
+  });
+
+  const failed = await sendMessage({ action: 'searchAuthors', authorName: 'Wei Wang' });
+  assert.equal(failed.error, 'captcha');
+
+  const notYet = await sendMessage({ action: 'resumeQueue' });
+  assert.equal(notYet.resumed, false);
+
+  page = 'rate_limited';
+  const limited = await sendMessage({ action: 'resumeQueue' });
+  assert.equal(limited.resumed, false, 'a rate limit is no proof the challenge was solved');
+
+  page = 'solved';
+  const resumed = await sendMessage({ action: 'resumeQueue' });
+  assert.equal(resumed.resumed, true);
+
+  const result = await sendMessage({ action: 'searchAuthors', authorName: 'Wei Wang' });
+  assert.equal(result.success, true);
+  assert.equal(result.nextToken, 'L8YQAP3___8J');
+  assert.ok(requests.every(url => url === requests[0]), 'only the paused page is requested');
+});
+
+test('cacheSet and cacheGet share entries through the service worker', async () => {
+  const { sendMessage } = loadBackground({ respond: serve('search-first-page.html'), settings: SETTINGS });
+
+  await sendMessage({ action: 'cacheSet', type: 'search', key: 'wei wang', value: { authors: [{ userId: 'Abc123AAAAAJ' }] } });
+  const hit = await sendMessage({ action: 'cacheGet', type: 'search', key: 'wei wang' });
+  const miss = await sendMessage({ action: 'cacheGet', type: 'search', key: 'someone else' });
+
+  assert.deepEqual(hit.entry.value, { authors: [{ userId: 'Abc123AAAAAJ' }] });
+  assert.equal(miss.entry, null);
+});
+
+test('watchlistCheck takes a silent first snapshot, then notifies about new profiles', async () => {
+  let fixture = () => 'search-last-page.html';
+  const { sendMessage, chrome } = loadBackground({ respond: url => fakeResponse(readFixture(fixture(url)), { url }), settings: SETTINGS });
+  chrome.storage.local.data.set('sd_watchlist', {
+    'wei wang': { id: 'wei wang', name: 'Wei Wang', userId: null, addedAt: 1, lastChecked: null, lastError: null, knownUserIds: null, newProfiles: [] }
+  });
+
+  const first = await sendMessage({ action: 'watchlistCheck' });
+  assert.deepEqual([first.checked, first.added], [1, 0]);
+  assert.equal(chrome.notifications.shown.length, 0);
+
+  // The new profiles come first, with the known one on the next page
+  fixture = url => /after_author/.test(url) ? 'search-last-page.html' : 'search-legacy-markup.html';
+  const second = await sendMessage({ action: 'watchlistCheck' });
+  assert.equal(second.added, 3);
+
+  const [notification] = chrome.notifications.shown;
+  assert.equal(notification.id, 'sd-watchlist:wei wang');
+  assert.equal(notification.items[1].message, 'Fudan University');
+
+  const { sd_watchlist: watchlist } = await chrome.storage.local.get('sd_watchlist');
+  assert.deepEqual(watchlist['wei wang'].knownUserIds, ['Last01AAAAAJ', 'Old001AAAAAJ', 'Old002AAAAAJ', 'Old003AAAAAJ']);
+});
+
+test('the watchlist alarm follows the interval setting', async () => {
+  const { chrome } = loadBackground({ respond: serve('search-first-page.html'), settings: { ...SETTINGS, watchIntervalHours: 12 } });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.equal(chrome.alarms.alarms.get('sd-watchlist').periodInMinutes, 720);
+});
+
+test('the context menu sends the cleaned selection to the popup', async () => {
+  const { chrome } = loadBackground({ respond: serve('search-first-page.html'), settings: SETTINGS });
+  chrome.runtime.onInstalled.listeners.forEach(listener => listener({ reason: 'install' }));
+  const [menuItem] = chrome.contextMenus.menuItems;
+  assert.deepEqual([...menuItem.contexts], ['selection']);
+
+  const click = selectionText => chrome.contextMenus.onClicked.listeners[0]({ menuItemId: menuItem.id, selectionText }, { id: 7, index: 2 });
+  await click(' Wei\n  Wang1,2* ');
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  const stored = await chrome.storage.local.get('sd_lookup');
+  assert.deepEqual(stored.sd_lookup, { name: 'Wei Wang', pending: true });
+  assert.equal(chrome.action.popups.opened, 1);
+
+  // Without a popup to open, the lookup opens in a tab next to the page
+  chrome.action.popups.supported = false;
+  await click('José García');
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(chrome.tabs.openedTabs[0].url, 'chrome-extension://test-extension/src/pages/popup.html?name=Jos%C3%A9%20Garc%C3%ADa');
+  assert.equal(chrome.tabs.openedTabs[0].index, 3);
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+
+globalThis.chrome = createFakeChrome().chrome;
+require('../src/lib/names.js');
+require('../src/lib/institutions.js');
+require('../src/lib/scoring.js');
+const SDBatch = require('../src/lib/batch.js');
+
+const BASE_URL = 'https://scholar.google.com';
+
+const author = (userId, affiliation, extra = {}) => ({
+  userId, name: 'Wei Wang', affiliation, emailDomain: null, citationCount: 100, interests: [], ...extra
+});
+
+test('parseInput reads one name per line and cleans affiliation markers', () => {
+  const parsed = SDBatch.parseInput('Wei Wang1,2\n\n  Maria   Garcia* \nwei wang\n1234\n');
+
+  assert.deepEqual(parsed.rows.map(row => row.name), ['Wei Wang', 'Maria Garcia']);
+  assert.equal(parsed.duplicates, 1);
+  assert.equal(parsed.skipped, 1);
+});
+
+test('parseInput splits a byline pasted as one line', () => {
+  const parsed = SDBatch.parseInput('A. Smith, B. Jones and C. Lee');
+  assert.deepEqual(parsed.rows.map(row => row.name), ['A. Smith', 'B. Jones', 'C. Lee']);
+});
+
+test('parseInput reads CSV with quoted cells and hint columns', () => {
+  const csv = '\uFEFFAuthor Name,Institution,E-mail\r\n"Wang, Wei",UCLA,wei@cs.ucla.edu\r\nMaria Garcia,"University of ""Somewhere""",\r\n';
+  const parsed = SDBatch.parseInput(csv);
+
+  assert.deepEqual(parsed.rows, [
+    { name: 'Wang, Wei', affiliation: 'UCLA', email: 'wei@cs.ucla.edu' },
+    { name: 'Maria Garcia', affiliation: 'University of "Somewhere"', email: '' }
+  ]);
+});
+
+test('parseInput joins first and last name columns of a TSV roster', () => {
+  const parsed = SDBatch.parseInput('Last name\tFirst name\tDepartment\nGarcia\tMaria\tPhysics\n');
+  assert.deepEqual(parsed.rows, [{ name: 'Maria Garcia', affiliation: 'Physics', email: '' }]);
+});
+
+test('parseInput caps the batch size', () => {
+  const letter = n => String.fromCharCode(65 + (n % 26));
+  const names = Array.from({ length: SDBatch.MAX_ROWS + 3 }, (_, i) => `${letter(i)}${letter(Math.floor(i / 26))} Smith`);
+  const parsed = SDBatch.parseInput(names.join('\n'));
+
+  assert.equal(parsed.rows.length, SDBatch.MAX_ROWS);
+  assert.equal(parsed.truncated, 3);
+});
+
+test('recordResult ranks candidates by the row hints and picks a lone candidate', () => {
+  const [hinted, lone] = SDBatch.createBatch([
+    { name: 'Wei Wang', affiliation: 'Tsinghua University', email: '' },
+    { name: 'Maria Garcia', affiliation: '', email: '' }
+  ]).rows;
+
+  SDBatch.recordResult(hinted, [author('A', 'UCLA'), author('B', 'Tsinghua University')], false);
+  assert.deepEqual(hinted.candidates.map(c => c.userId), ['B', 'A']);
+  assert.ok(hinted.candidates[0].score > 0);
+  assert.equal(hinted.chosenUserId, null, 'several candidates are left to the user');
+
+  SDBatch.recordResult(lone, [author('C', 'MIT')], false);
+  assert.equal(lone.status, 'done');
+  assert.equal(lone.candidates[0].score, null);
+  assert.equal(lone.chosenUserId, 'C');
+});
+
+test('the batch survives a reload and exports the chosen profile per row', async () => {
+  const batch = SDBatch.createBatch(SDBatch.parseInput('Wei Wang\nMaria Garcia\nJ. Smith').rows);
+  SDBatch.recordResult(batch.rows[0], [author('A', 'UCLA'), author('B', 'MIT')], true);
+  batch.rows[0].chosenUserId = 'B';
+  SDBatch.recordResult(batch.rows[1], [], false);
+  batch.rows[1].chosenUserId = SDBatch.NO_PROFILE;
+  await SDBatch.save(batch);
+
+  const loaded = await SDBatch.load();
+  assert.deepEqual(SDBatch.progress(loaded), { total: 3, done: 2, failed: 0, pending: 1, chosen: 1 });
+
+  const [first, second, third] = SDBatch.toRecords(loaded, BASE_URL);
+  assert.equal(first.userId, 'B');
+  assert.equal(first.profileUrl, `${BASE_URL}/citations?user=B`);
+  assert.equal(first.profileAffiliation, 'MIT');
+  assert.equal(second.userId, null);
+  assert.equal(second.candidates, 0);
+  assert.equal(third.status, 'pending');
+  assert.equal(third.candidates, null);
+
+  assert.equal(JSON.parse(SDBatch.toJson(loaded, BASE_URL)).rows[0].userId, 'B');
+
+  await SDBatch.clear();
+  assert.equal(await SDBatch.load(), null);
+});
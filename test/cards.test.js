@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SDCards = require('../src/lib/cards.js');
+
+const ALL_FIELDS = { photo: true, affiliation: true, citations: true, email: true, interests: true };
+
+const author = {
+  userId: 'Abc123AAAAAJ',
+  name: 'Wei <b>Wang</b>',
+  affiliation: 'UCLA',
+  emailDomain: 'cs.ucla.edu',
+  emailVerified: true,
+  citationCount: 61234,
+  interests: ['Data Mining'],
+  thumbnailUrl: null
+};
+
+test('escapeHtml escapes markup and quotes and tolerates missing values', () => {
+  assert.equal(SDCards.escapeHtml('<a href="x">O\'Neil & co</a>'), '&lt;a href=&quot;x&quot;&gt;O&#39;Neil &amp; co&lt;/a&gt;');
+  assert.equal(SDCards.escapeHtml(null), '');
+  assert.equal(SDCards.escapeHtml(42), '42');
+});
+
+test('renderAuthorCard shows the enabled fields with escaped values', () => {
+  const html = SDCards.renderAuthorCard(author, {
+    fields: ALL_FIELDS,
+    profileUrl: 'https://scholar.google.com/citations?user=Abc123AAAAAJ',
+    className: 'sd-popover-linked',
+    after: '<div class="sd-hint">Linked</div>'
+  });
+
+  assert.match(html, /<li class="sd-author-card sd-popover-linked">/);
+  assert.match(html, /Wei &lt;b&gt;Wang&lt;\/b&gt;/);
+  assert.match(html, /Cited by 61,234/);
+  assert.match(html, /&#10003; cs\.ucla\.edu/);
+  assert.match(html, /sd-author-thumb-placeholder/);
+  assert.ok(html.indexOf('Data Mining') < html.indexOf('sd-hint'), 'view controls come after the tags');
+});
+
+test('renderAuthorCard leaves out disabled fields', () => {
+  const html = SDCards.renderAuthorCard({ ...author, affiliation: '' }, {
+    fields: { affiliation: true },
+    profileUrl: '#'
+  });
+
+  assert.match(html, /Affiliation not listed/);
+  assert.doesNotMatch(html, /Cited by|sd-author-thumb|sd-author-tags/);
+});
+
+test('renderPagination offers "..." while Scholar has more pages', () => {
+  assert.equal(SDCards.renderPagination(1, 1, false), '');
+
+  const html = SDCards.renderPagination(2, 2, true);
+  assert.match(html, /data-page="2"/);
+  assert.match(html, /id="sd-load-more"/);
+  assert.doesNotMatch(html, /id="sd-next-btn" disabled/);
+  assert.match(SDCards.renderPagination(2, 2, false), /id="sd-next-btn" disabled/);
+});
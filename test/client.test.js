@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DOMParser } = require('linkedom');
+const { loadBackground, fakeResponse, readFixture } = require('./helpers/background');
+
+globalThis.DOMParser = DOMParser;
+const SDParser = require('../src/lib/parser.js');
+const SDClient = require('../src/lib/client.js');
+
+const BASE_URL = 'https://scholar.google.com';
+
+function userIds(authors) {
+  return authors.map(author => author.userId);
+}
+
+test('a cached search serves every same-name profile without the one being viewed', async () => {
+  const { chrome, requests } = loadBackground({
+    respond: url => fakeResponse(readFixture('search-first-page.html'), { url }),
+    settings: { requestSpacingMs: 1000 }
+  });
+  globalThis.chrome = chrome;
+
+  // The first profile searches and caches everything found
+  assert.equal(await SDClient.getCachedSearch('wei wang', 'Abc123AAAAAJ'), null);
+  const result = await SDClient.sendMessage({ action: 'searchAuthors', authorName: 'Wei Wang' });
+  const found = SDParser.parseSearchPage(result.html, BASE_URL).authors;
+  await SDClient.cacheSearch('wei wang', found, result.nextToken);
+
+  const first = await SDClient.getCachedSearch('wei wang', 'Abc123AAAAAJ');
+  assert.deepEqual(userIds(first.authors), ['Def-456AAAAJ', 'Ghi_789AAAAJ']);
+  assert.deepEqual(userIds(first.found), ['Abc123AAAAAJ', 'Def-456AAAAJ', 'Ghi_789AAAAJ']);
+
+  // A second profile with the same name lists the first one, not itself
+  const second = await SDClient.getCachedSearch('wei wang', 'Def-456AAAAJ');
+  assert.deepEqual(userIds(second.authors), ['Abc123AAAAAJ', 'Ghi_789AAAAJ']);
+  assert.equal(second.nextToken, 'L8YQAP3___8J');
+  assert.equal(requests.length, 1, 'the second profile is served from the cache');
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/lib/institutions.js');
+require('../src/lib/scoring.js');
+const SDProfile = require('../src/lib/profile.js');
+const SDDuplicates = require('../src/lib/duplicates.js');
+
+function profile(years, citationsPerYear = []) {
+  return {
+    publications: years.map((year, i) => ({ title: `Paper ${i}`, authors: [], venue: '', year, citedBy: 0 })),
+    metrics: { citationsPerYear }
+  };
+}
+
+test('assessDuplicate counts active years as the card activity metrics do', () => {
+  // The loaded publications of the old account start in 2012, but it was cited from 2009
+  const candidate = profile([2012, 2013], [{ year: 2009, count: 3 }, { year: 2013, count: 10 }]);
+  const current = profile([2014, 2020]);
+  const overlap = { sharedTitles: [], sharedCoauthors: ['Jiawei Han'] };
+
+  const result = SDDuplicates.assessDuplicate(
+    { name: 'Wei Wang', affiliation: '', emailDomain: null },
+    { name: 'Wei Wang', affiliation: '', emailDomain: null },
+    { current, candidate, overlap });
+
+  const years = SDProfile.activeYears(candidate.publications, false, candidate.metrics.citationsPerYear);
+  assert.deepEqual(years, { first: 2009, last: 2013 });
+  assert.ok(result.evidence.includes('Active 2009–2013, before this profile'));
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./helpers/background');
+const SDErrors = require('../src/lib/errors.js');
+
+const SEARCH_URL = 'https://scholar.google.com/citations?view_op=search_authors&mauthors=Wei+Wang';
+
+function classify(html, overrides = {}) {
+  return SDErrors.classifyResponse({ status: 200, ok: true, url: SEARCH_URL, html, ...overrides }, 'search');
+}
+
+test('classifyResponse accepts result, last and empty search pages', () => {
+  assert.equal(classify(readFixture('search-first-page.html')), null);
+  assert.equal(classify(readFixture('search-last-page.html')), null);
+  assert.equal(classify(readFixture('search-no-results.html')), null);
+  assert.equal(classify(readFixture('search-zh-cn.html')), null);
+});
+
+test('classifyResponse detects CAPTCHA pages by markup and by redirect', () => {
+  assert.equal(classify(readFixture('captcha.html')).error, 'captcha');
+  assert.equal(classify('<html><body>x</body></html>', { url: 'https://www.google.com/sorry/index?continue=x' }).error, 'captcha');
+  assert.equal(classify('<html><body>Our systems have detected unusual traffic from your computer network.</body></html>').error, 'captcha');
+});
+
+test('classifyResponse does not take block-page wording on a real page for a CAPTCHA', () => {
+  const profile = '<html><body><div id="gsc_prf_in">Wei Wang</div><table><tbody id="gsc_a_b">' +
+    '<tr class="gsc_a_tr"><td><a class="gsc_a_at">Detecting unusual traffic in backbone networks</a></td></tr>' +
+    '</tbody></table></body></html>';
+  const url = 'https://scholar.google.com/citations?user=Abc123AAAAAJ';
+  assert.equal(SDErrors.classifyResponse({ status: 200, ok: true, url, html: profile }, 'profile'), null);
+});
+
+test('classifyResponse tells rate limits, sign-in and HTTP errors apart', () => {
+  assert.equal(classify('', { status: 429, ok: false }).error, 'rate_limited');
+  assert.equal(classify('<html>Sign in</html>', { url: 'https://accounts.google.com/ServiceLogin?continue=x' }).error, 'login_required');
+
+  const notFound = classify('<html>Not found</html>', { status: 404, ok: false });
+  assert.equal(notFound.error, 'network_error');
+  assert.equal(notFound.status, 404);
+});
+
+test('classifyResponse flags empty pages and unknown layouts', () => {
+  assert.equal(classify('<html><body> </body></html>').error, 'empty_page');
+
+  const layout = classify('<html><body><div id="new_results">Wei Wang</div></body></html>');
+  assert.equal(layout.error, 'layout_changed');
+  assert.equal(layout.pageKind, 'search');
+  assert.deepEqual(layout.expected, SDErrors.PAGE_MARKERS.search);
+});
+
+test('classifyException tells offline from other failures', () => {
+  assert.equal(SDErrors.classifyException(new TypeError('Failed to fetch'), false).error, 'offline');
+
+  const network = SDErrors.classifyException(new TypeError('Failed to fetch'), true);
+  assert.equal(network.error, 'network_error');
+  assert.equal(network.detail, 'Failed to fetch');
+});
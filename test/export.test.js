@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/lib/names.js');
+const SDExport = require('../src/lib/export.js');
+
+test('toCsv defuses cells a spreadsheet would run as a formula', () => {
+  const records = ['=HYPERLINK("x")', '+1', '-2+3', '@SUM(A1)', '\tcmd', '\r=1', 'Wei-Ming Wang']
+    .map(affiliation => ({ affiliation }));
+  const lines = SDExport.toCsv(records, ['affiliation']).replace(/^\uFEFF/, '').split('\r\n');
+
+  assert.deepEqual(lines.slice(1, -1), [
+    '"\'=HYPERLINK(""x"")"',
+    "'+1",
+    "'-2+3",
+    "'@SUM(A1)",
+    "'\tcmd",
+    '"\'\r=1"',
+    'Wei-Ming Wang'
+  ]);
+});
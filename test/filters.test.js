@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/lib/institutions.js');
+require('../src/lib/duplicates.js');
+const SDFilters = require('../src/lib/filters.js');
+
+const AUTHORS = [
+  { name: 'Wei Wang', affiliation: 'University of California, Los Angeles', emailDomain: 'cs.ucla.edu', emailVerified: true, citationCount: 61234, thumbnailUrl: 'https://scholar.googleusercontent.com/citations?view_op=small_photo&user=A' },
+  { name: 'Wang Wei', affiliation: 'University of New South Wales', emailDomain: 'unsw.edu.au', emailVerified: true, citationCount: 18902, thumbnailUrl: 'https://scholar.google.com/citations/images/avatar_scholar_56.png' },
+  { name: 'W. Wang', affiliation: 'Tsinghua University', emailDomain: null, emailVerified: false, citationCount: null, thumbnailUrl: null },
+  { name: 'Wei-Ming Wang', affiliation: 'Université de Montréal', emailDomain: 'umontreal.ca', emailVerified: true, citationCount: 950, thumbnailUrl: 'https://scholar.googleusercontent.com/citations?view_op=small_photo&user=D' }
+];
+
+function names(authors) {
+  return authors.map(author => author.name);
+}
+
+test('default filters keep everything', () => {
+  assert.equal(SDFilters.isActive(SDFilters.DEFAULT_FILTERS), false);
+  assert.deepEqual(SDFilters.applyFilters(AUTHORS, SDFilters.DEFAULT_FILTERS), AUTHORS);
+});
+
+test('affiliation keyword ignores case and accents', () => {
+  const filters = { ...SDFilters.DEFAULT_FILTERS, affiliation: 'universite DE montreal' };
+  assert.equal(SDFilters.isActive(filters), true);
+  assert.deepEqual(names(SDFilters.applyFilters(AUTHORS, filters)), ['Wei-Ming Wang']);
+});
+
+test('email domain matches the domain and its subdomains', () => {
+  const filters = { ...SDFilters.DEFAULT_FILTERS, emailDomain: 'ucla.edu' };
+  assert.deepEqual(names(SDFilters.applyFilters(AUTHORS, filters)), ['Wei Wang']);
+});
+
+test('country comes from the email domain TLD', () => {
+  assert.equal(SDFilters.countryFromDomain('ox.ac.uk'), 'GB');
+  assert.equal(SDFilters.countryFromDomain('cs.ucla.edu'), 'US');
+  assert.equal(SDFilters.countryFromDomain('google.com'), null);
+  assert.equal(SDFilters.countryName('GB'), 'United Kingdom');
+
+  const filters = { ...SDFilters.DEFAULT_FILTERS, country: 'AU' };
+  assert.deepEqual(names(SDFilters.applyFilters(AUTHORS, filters)), ['Wang Wei']);
+});
+
+test('minimum citations, photo and verified email combine', () => {
+  const filters = { ...SDFilters.DEFAULT_FILTERS, minCitations: 900, hasPhoto: true, verifiedEmail: true };
+  assert.deepEqual(names(SDFilters.applyFilters(AUTHORS, filters)), ['Wei Wang', 'Wei-Ming Wang']);
+  assert.equal(SDFilters.hasPhoto(AUTHORS[1]), false, 'the placeholder avatar is not a photo');
+});
+
+test('sortAuthors orders by citations or name similarity, keeping ties stable', () => {
+  assert.deepEqual(names(SDFilters.sortAuthors(AUTHORS, 'citations', 'Wei Wang')),
+    ['Wei Wang', 'Wang Wei', 'Wei-Ming Wang', 'W. Wang']);
+  assert.deepEqual(names(SDFilters.sortAuthors(AUTHORS, 'name', 'Wei Wang')),
+    ['Wei Wang', 'Wang Wei', 'W. Wang', 'Wei-Ming Wang']);
+  assert.deepEqual(SDFilters.sortAuthors(AUTHORS, 'match', 'Wei Wang'), AUTHORS);
+});
+
+test('facets count email domains and countries, most common first', () => {
+  const { emailDomains, countries } = SDFilters.facets([...AUTHORS, { ...AUTHORS[0], name: 'Another' }]);
+  assert.deepEqual(emailDomains[0], { value: 'cs.ucla.edu', count: 2 });
+  assert.equal(emailDomains.length, 3);
+  assert.deepEqual(countries, [
+    { value: 'US', count: 2 },
+    { value: 'AU', count: 1 },
+    { value: 'CA', count: 1 },
+    { value: 'CN', count: 1 }
+  ]);
+});
+
+test('institutions back the affiliation keyword, country and institution filters', () => {
+  const authors = [
+    { name: 'A', affiliation: 'CSAIL, M.I.T.', emailDomain: null },
+    { name: 'B', affiliation: 'PhD student', emailDomain: 'csail.mit.edu' },
+    { name: 'C', affiliation: 'Professor of Physics', emailDomain: 'ox.ac.uk' },
+    { name: 'D', affiliation: 'Massachusetts Institute of Technology', emailDomain: null }
+  ];
+
+  const keyword = { ...SDFilters.DEFAULT_FILTERS, affiliation: 'massachusetts' };
+  assert.deepEqual(names(SDFilters.applyFilters(authors, keyword)), ['A', 'B', 'D']);
+
+  const institution = { ...SDFilters.DEFAULT_FILTERS, institution: 'mit' };
+  assert.deepEqual(names(SDFilters.applyFilters(authors, institution)), ['A', 'B', 'D']);
+
+  assert.equal(SDFilters.authorCountry(authors[0]), 'US', 'from the institution without an email');
+  assert.deepEqual(SDFilters.facets(authors).institutions, [
+    { value: 'mit', count: 3, label: 'Massachusetts Institute of Technology' },
+    { value: 'oxford', count: 1, label: 'University of Oxford' }
+  ]);
+
+  assert.deepEqual(names(SDFilters.sortAuthors(authors, 'institution', 'A')), ['A', 'B', 'D', 'C']);
+});
+
+test('sortAuthors keeps candidates labeled as a different person last in every order', () => {
+  const authors = [
+    { name: 'Wei Wang', affiliation: 'UCLA', citationCount: 100 },
+    { name: 'Wei Wang', affiliation: 'MIT', citationCount: 90000, label: 'different' },
+    { name: 'W. Wang', affiliation: 'MIT', citationCount: 50, label: 'same' },
+    { name: 'Wang Wei', affiliation: 'UCLA', citationCount: 20 }
+  ].map((author, index) => ({ ...author, userId: String(index) }));
+  const ids = list => list.map(author => author.userId);
+
+  assert.deepEqual(ids(SDFilters.sortAuthors(authors, 'match', 'Wei Wang')), ['0', '2', '3', '1']);
+  assert.deepEqual(ids(SDFilters.sortAuthors(authors, 'citations', 'Wei Wang')), ['0', '2', '3', '1']);
+  assert.deepEqual(ids(SDFilters.sortAuthors(authors, 'name', 'Wei Wang')), ['0', '2', '3', '1']);
+  assert.deepEqual(ids(SDFilters.sortAuthors(authors, 'institution', 'Wei Wang')), ['0', '3', '2', '1'],
+    'the different MIT candidate is not grouped with the other MIT candidate');
+});
@@ -0,0 +1,76 @@
+// Loads src/background.js into its own V8 context with a fake chrome API and
+// a fake fetch that serves fixtures, so message handling can be tested end to
+// end without a browser or network
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createFakeChrome } = require('./fake-chrome');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Read a saved Scholar page
+ * @param {string} name - File name in test/fixtures
+ * @returns {string} HTML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Build a fetch() Response-like object
+ * @param {string} html - Body
+ * @param {Object} [init] - { status, url }
+ */
+function fakeResponse(html, { status = 200, url = '' } = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    url,
+    text: async () => html
+  };
+}
+
+/**
+ * Start the service worker
+ * @param {Object} options
+ * @param {Function} options.respond - (url) => fakeResponse(...) or a thrown error
+ * @param {Object} [options.settings] - Stored settings (chrome.storage.sync)
+ * @returns {{chrome: Object, sendMessage: Function, requests: string[]}}
+ *   requests lists every URL fetched
+ */
+function loadBackground({ respond, settings = {} }) {
+  const { chrome, sendMessage } = createFakeChrome();
+  chrome.storage.sync.data.set('sd_settings', settings);
+
+  const requests = [];
+  const quiet = () => {};
+  const context = vm.createContext({
+    chrome,
+    console: { log: quiet, warn: quiet, error: quiet },
+    navigator: { onLine: true },
+    fetch: async url => {
+      requests.push(url);
+      return respond(url);
+    },
+    setTimeout,
+    clearTimeout,
+    URL,
+    URLSearchParams
+  });
+  context.importScripts = (...files) => {
+    for (const file of files) {
+      const filePath = path.join(SRC_DIR, file);
+      vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+    }
+  };
+
+  context.importScripts('background.js');
+  return { chrome, sendMessage, requests };
+}
+
+module.exports = { loadBackground, fakeResponse, readFixture };
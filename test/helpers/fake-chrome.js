@@ -0,0 +1,191 @@
+// In-memory stand-in for the chrome.* APIs the extension uses, so the libs
+// and the service worker can run under Node without a browser
+
+'use strict';
+
+const path = require('node:path');
+const manifest = require(path.join(__dirname, '..', '..', 'manifest.json'));
+
+/**
+ * A chrome.storage area that answers both promise and callback callers
+ * @param {Function} notify - Called with (changes, areaName) after writes
+ * @param {string} areaName - 'local' or 'sync'
+ */
+function createStorageArea(notify, areaName) {
+  const data = new Map();
+
+  function respond(value, callback) {
+    if (callback) callback(value);
+    return Promise.resolve(value);
+  }
+
+  return {
+    data,
+    get(keys, callback) {
+      const result = {};
+      if (keys === null || keys === undefined) {
+        for (const [key, value] of data) result[key] = structuredClone(value);
+      } else {
+        const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+        for (const key of list) {
+          if (data.has(key)) {
+            result[key] = structuredClone(data.get(key));
+          } else if (keys && typeof keys === 'object' && !Array.isArray(keys)) {
+            result[key] = keys[key];
+          }
+        }
+      }
+      return respond(result, callback);
+    },
+    set(items, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: data.get(key), newValue: structuredClone(value) };
+        data.set(key, structuredClone(value));
+      }
+      notify(changes, areaName);
+      return respond(undefined, callback);
+    },
+    remove(keys, callback) {
+      const changes = {};
+      for (const key of typeof keys === 'string' ? [keys] : keys) {
+        if (data.has(key)) {
+          changes[key] = { oldValue: data.get(key) };
+          data.delete(key);
+        }
+      }
+      notify(changes, areaName);
+      return respond(undefined, callback);
+    }
+  };
+}
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Create a fake chrome object
+ * @returns {Object} { chrome, sendMessage(message, sender) } where sendMessage
+ *   delivers a runtime message to the registered onMessage listeners and
+ *   resolves with the response
+ */
+function createFakeChrome() {
+  const onChanged = createEvent();
+  const notify = (changes, areaName) => {
+    if (Object.keys(changes).length === 0) return;
+    for (const listener of onChanged.listeners) listener(changes, areaName);
+  };
+
+  const onMessage = createEvent();
+  const openedTabs = [];
+  let nextTabId = 1;
+  const alarms = new Map(); // name -> alarm
+  const shown = []; // Notifications created, in order
+  const menuItems = []; // Context menu items created
+  const popups = { opened: 0, supported: true }; // Set supported to false to make openPopup fail
+
+  const chrome = {
+    runtime: {
+      id: 'test-extension',
+      lastError: undefined,
+      onMessage,
+      onInstalled: createEvent(),
+      getManifest: () => manifest,
+      getURL: file => `chrome-extension://test-extension/${file}`,
+      sendMessage: (message, callback) => {
+        const response = sendMessage(message, {});
+        if (callback) response.then(callback);
+        return response;
+      }
+    },
+    storage: {
+      local: createStorageArea(notify, 'local'),
+      sync: createStorageArea(notify, 'sync'),
+      onChanged
+    },
+    tabs: {
+      openedTabs,
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      query: (queryInfo, callback) => {
+        if (callback) callback([]);
+        return Promise.resolve([]);
+      },
+      create: properties => {
+        const tab = { id: nextTabId++, ...properties };
+        openedTabs.push(tab);
+        return Promise.resolve(tab);
+      },
+      sendMessage: () => Promise.resolve()
+    },
+    alarms: {
+      alarms,
+      onAlarm: createEvent(),
+      get: name => Promise.resolve(alarms.get(name)),
+      create: (name, info) => {
+        alarms.set(name, { name, ...info });
+        return Promise.resolve();
+      }
+    },
+    notifications: {
+      shown,
+      onClicked: createEvent(),
+      create: (id, options) => {
+        shown.push({ id, ...options });
+        return Promise.resolve(id);
+      },
+      clear: () => Promise.resolve(true)
+    },
+    contextMenus: {
+      menuItems,
+      onClicked: createEvent(),
+      create: properties => {
+        menuItems.push(properties);
+      }
+    },
+    action: {
+      popups,
+      openPopup: () => {
+        if (!popups.supported) return Promise.reject(new Error('Could not find an active browser window.'));
+        popups.opened++;
+        return Promise.resolve();
+      },
+      setBadgeText: () => Promise.resolve(),
+      setBadgeBackgroundColor: () => Promise.resolve(),
+      setTitle: () => Promise.resolve()
+    }
+  };
+
+  /**
+   * Deliver a message the way chrome.runtime does: the first listener that
+   * responds (synchronously, or later after returning true) wins
+   */
+  function sendMessage(message, sender = {}) {
+    return new Promise(resolve => {
+      let responded = false;
+      const sendResponse = response => {
+        if (responded) return;
+        responded = true;
+        resolve(response);
+      };
+      let keepOpen = false;
+      for (const listener of onMessage.listeners) {
+        if (listener(message, sender, sendResponse) === true) keepOpen = true;
+      }
+      if (!responded && !keepOpen) resolve(undefined);
+    });
+  }
+
+  return { chrome, sendMessage };
+}
+
+module.exports = { createFakeChrome };
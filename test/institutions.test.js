@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SDInstitutions = require('../src/lib/institutions.js');
+require('../src/lib/scoring.js');
+require('../src/lib/duplicates.js');
+const SDCards = require('../src/lib/cards.js');
+
+function id(affiliation) {
+  const institution = SDInstitutions.fromAffiliation(affiliation);
+  return institution ? institution.id : null;
+}
+
+test('names, aliases and acronyms of an institution resolve to it', () => {
+  assert.equal(id('MIT'), 'mit');
+  assert.equal(id('Massachusetts Institute of Technology'), 'mit');
+  assert.equal(id('PhD student, CSAIL, M.I.T.'), 'mit');
+  assert.equal(id('École Polytechnique Fédérale de Lausanne'), 'epfl');
+  assert.equal(id('Ecole polytechnique federale de Lausanne'), 'epfl', 'accents and case are ignored');
+  assert.equal(id('清华大学 计算机系'), 'tsinghua');
+  assert.equal(id('Max-Planck-Institut für Informatik'), 'mpg');
+});
+
+test('the longest alias wins and acronyms need their capitals', () => {
+  assert.equal(id('Lawrence Berkeley National Laboratory'), 'lbnl');
+  assert.equal(id('UC Berkeley'), 'berkeley');
+  assert.equal(id('Washington University in St. Louis'), 'wustl');
+  assert.equal(id('University of Washington'), 'uw');
+  assert.equal(id('Professor mit Lehrauftrag'), null, 'the German word is not MIT');
+  assert.equal(id('Assistant Professor'), null);
+  assert.equal(id(''), null);
+});
+
+test('email domains and their subdomains resolve to an institution', () => {
+  assert.equal(SDInstitutions.fromEmailDomain('csail.mit.edu').id, 'mit');
+  assert.equal(SDInstitutions.fromEmailDomain('jhmi.edu').id, 'jhu');
+  assert.equal(SDInstitutions.fromEmailDomain('example.edu'), null);
+  assert.equal(SDInstitutions.fromEmailDomain(null), null);
+
+  assert.deepEqual(SDInstitutions.resolve({ affiliation: 'Research scientist', emailDomain: 'cs.stanford.edu' }),
+    { id: 'stanford', name: 'Stanford University', country: 'US', source: 'email' });
+  assert.equal(SDInstitutions.resolve({ affiliation: 'MIT', emailDomain: 'stanford.edu' }).id, 'mit',
+    'the affiliation comes first');
+});
+
+test('groupAuthors groups by institution, then by affiliation text', () => {
+  const groups = SDInstitutions.groupAuthors(SDInstitutions.annotate([
+    { name: 'A', affiliation: 'MIT' },
+    { name: 'B', affiliation: 'Acme Corp' },
+    { name: 'C', affiliation: 'CSAIL, M.I.T.' },
+    { name: 'D', affiliation: 'ACME corp.' },
+    { name: 'E', affiliation: '' }
+  ]));
+  assert.deepEqual(groups.map(group => [group.key, group.name, group.authors.map(author => author.name)]), [
+    ['mit', 'Massachusetts Institute of Technology', ['A', 'C']],
+    ['affiliation:acme corp', 'Acme Corp', ['B', 'D']],
+    ['', 'Affiliation not listed', ['E']]
+  ]);
+});
+
+test('scoring and duplicate detection treat the same institution as the same affiliation', () => {
+  const context = { affiliation: 'Massachusetts Institute of Technology', emailDomain: 'jhu.edu', coauthors: [] };
+  const { reasons } = SDScoring.scoreCandidate({ affiliation: 'CSAIL, M.I.T.', emailDomain: 'jhmi.edu' }, context);
+  assert.deepEqual(reasons.map(reason => [reason.label, reason.points]), [
+    ['Email domain of the same institution (jhmi.edu)', 28],
+    ['Same institution (Massachusetts Institute of Technology)', 25]
+  ]);
+
+  const duplicate = SDDuplicates.assessDuplicate(
+    { name: 'Wei Wang', affiliation: 'MIT', emailDomain: null },
+    { name: 'Wei Wang', affiliation: 'Massachusetts Institute of Technology', emailDomain: null },
+    null);
+  assert.ok(duplicate.evidence.includes('Same current affiliation'));
+});
+
+test('cards show the recognized institution unless the affiliation already reads so', () => {
+  const fields = { affiliation: true };
+  const [mit, stanford] = SDInstitutions.annotate([
+    { name: 'A', affiliation: 'CSAIL, M.I.T.' },
+    { name: 'B', affiliation: 'Stanford University' }
+  ]);
+  assert.match(SDCards.renderAuthorCard(mit, { fields, profileUrl: '#' }),
+    /<div class="sd-author-institution" title="Recognized from the affiliation">Massachusetts Institute of Technology<\/div>/);
+  assert.doesNotMatch(SDCards.renderAuthorCard(stanford, { fields, profileUrl: '#' }), /sd-author-institution/);
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DOMParser } = require('linkedom');
+const { readFixture } = require('./helpers/background');
+
+globalThis.DOMParser = DOMParser;
+require('../src/lib/labels.js');
+const SDParser = require('../src/lib/parser.js');
+const SDKnowledge = require('../src/lib/knowledge.js');
+
+const STORED_AT = Date.now();
+
+function knowledgeBase(cache) {
+  return { format: SDKnowledge.KB_FORMAT, version: SDKnowledge.KB_VERSION, labels: [], favorites: [], cache };
+}
+
+const PROFILE = {
+  name: 'Wei Wang',
+  affiliation: 'UCLA',
+  emailDomain: 'cs.ucla.edu',
+  interests: ['Data mining'],
+  coauthors: [{ name: 'Jiawei Han', userId: 'Kv9AbjMAAAAJ', affiliation: 'UIUC' }],
+  metrics: {
+    citations: { all: 61234, recent: 20000 },
+    hIndex: { all: 100, recent: 60 },
+    i10Index: { all: 400, recent: 200 },
+    sinceYear: 2019,
+    citationsPerYear: [{ year: 2023, count: 5000 }]
+  },
+  publications: [{ title: 'STING', authors: ['W Wang', 'J Yang'], venue: 'VLDB', year: 1997, citedBy: 3000 }]
+};
+
+test('validate accepts the cache entries the extension writes', () => {
+  const page = SDParser.parseSearchPage(readFixture('search-first-page.html'), 'https://scholar.google.com');
+  const { valid, errors } = SDKnowledge.validate(knowledgeBase([
+    { type: 'search', key: 'wei wang', value: { authors: page.authors, nextToken: 'abc' }, storedAt: STORED_AT },
+    { type: 'profile', key: 'Abc123AAAAAJ', value: PROFILE, storedAt: STORED_AT },
+    { type: 'metrics', key: 'Abc123AAAAAJ', value: { metrics: PROFILE.metrics, activeYears: { first: 1997, last: 2024 } }, storedAt: STORED_AT }
+  ]));
+
+  assert.deepEqual(errors, []);
+  assert.equal(valid, true);
+});
+
+test('validate checks the shape of each cache value', () => {
+  const { valid, errors } = SDKnowledge.validate(knowledgeBase([
+    { type: 'search', key: 'a', value: 1, storedAt: STORED_AT },
+    { type: 'search', key: 'b', value: { authors: [{ userId: 'x' }, null], nextToken: 5 }, storedAt: STORED_AT },
+    { type: 'profile', key: 'c', value: { ...PROFILE, publications: [{ title: 'T' }] }, storedAt: STORED_AT },
+    { type: 'metrics', key: 'd', value: { metrics: { citations: 5 } }, storedAt: STORED_AT }
+  ]));
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'cache[0].value: expected an object',
+    'cache[1].value.authors[0].name: expected a string',
+    'cache[1].value.authors[1]: expected an object',
+    'cache[1].value.nextToken: expected a string or null',
+    'cache[2].value.publications[0]: expected { title, authors, venue, year, citedBy }',
+    'cache[3].value.metrics.citations: expected { all, recent } numbers',
+    'cache[3].value.metrics.hIndex: expected { all, recent } numbers',
+    'cache[3].value.metrics.i10Index: expected { all, recent } numbers',
+    'cache[3].value.metrics.sinceYear: expected a year or null',
+    'cache[3].value.metrics.citationsPerYear: expected an array of { year, count }',
+    'cache[3].value.activeYears: expected { first, last } or null'
+  ]);
+});
+
+test('validate rejects links that are not Google Scholar pages', () => {
+  const author = { userId: 'x', name: 'Wei Wang' };
+  const { errors } = SDKnowledge.validate(knowledgeBase([
+    { type: 'search', key: 'a', storedAt: STORED_AT, value: { nextToken: null, authors: [
+      { ...author, profileUrl: 'javascript:alert(1)' },
+      { ...author, profileUrl: 'https://scholar.google.evil.com/citations?user=x' },
+      { ...author, thumbnailUrl: 'https://tracker.example/pixel.png' },
+      { ...author, profileUrl: 'https://scholar.google.co.uk/citations?user=x',
+        thumbnailUrl: 'https://scholar.googleusercontent.com/citations?view_op=small_photo&user=x' }
+    ] } }
+  ]));
+
+  assert.deepEqual(errors, [
+    'cache[0].value.authors[0].profileUrl: expected a Google Scholar link',
+    'cache[0].value.authors[1].profileUrl: expected a Google Scholar link',
+    'cache[0].value.authors[2].thumbnailUrl: expected a Google Scholar image link'
+  ]);
+});
@@ -0,0 +1,185 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DOMParser } = require('linkedom');
+const { readFixture } = require('./helpers/background');
+
+globalThis.DOMParser = DOMParser;
+const SDParser = require('../src/lib/parser.js');
+
+const BASE_URL = 'https://scholar.google.com';
+
+test('parseSearchPage reads every field of current result cards', () => {
+  const page = SDParser.parseSearchPage(readFixture('search-first-page.html'), BASE_URL);
+
+  assert.equal(page.selectorSet, '2017');
+  assert.equal(page.authors.length, 3);
+  assert.deepEqual(page.issues, []);
+
+  const [first, , third] = page.authors;
+  assert.equal(first.name, 'Wei Wang');
+  assert.equal(first.userId, 'Abc123AAAAAJ');
+  assert.equal(first.profileUrl, 'https://scholar.google.com/citations?hl=en&user=Abc123AAAAAJ');
+  assert.equal(first.affiliation, 'Professor of Computer Science, University of California, Los Angeles');
+  assert.equal(first.emailDomain, 'cs.ucla.edu');
+  assert.equal(first.emailVerified, true);
+  assert.deepEqual(first.interests, ['Data Mining', 'Bioinformatics']);
+  assert.equal(first.citationCount, 61234);
+  assert.match(first.thumbnailUrl, /^https:\/\/scholar\.googleusercontent\.com\//);
+  assert.deepEqual(first.confidence, {
+    name: 1, affiliation: 1, email: 1, interests: 1, citations: 1, photo: 1
+  });
+
+  // Empty email and citation elements are not values
+  assert.equal(third.userId, 'Ghi_789AAAAJ');
+  assert.equal(third.emailDomain, null);
+  assert.equal(third.emailVerified, false);
+  assert.equal(third.citationCount, null);
+  assert.deepEqual(third.interests, []);
+  assert.equal(third.thumbnailUrl, 'https://scholar.google.com/citations/images/avatar_scholar_56.png');
+});
+
+test('parseSearchPage handles localized pages', () => {
+  const { authors } = SDParser.parseSearchPage(readFixture('search-zh-cn.html'), 'https://scholar.google.com.hk');
+
+  assert.deepEqual(authors.map(a => a.name), ['王伟', '王伟']);
+  assert.deepEqual(authors.map(a => a.emailDomain), ['tsinghua.edu.cn', 'pku.edu.cn']);
+  assert.deepEqual(authors.map(a => a.emailVerified), [true, true]);
+  assert.deepEqual(authors.map(a => a.citationCount), [4521, 932]);
+  assert.equal(authors[0].affiliation, '清华大学 计算机科学与技术系');
+  assert.equal(authors[0].profileUrl, 'https://scholar.google.com.hk/citations?hl=zh-CN&user=Zh0001AAAAAJ');
+});
+
+test('a domain shown without the verified marker is not a verified email', () => {
+  const html = readFixture('search-first-page.html').replace('Verified email at cs.ucla.edu', 'Email at cs.ucla.edu');
+  const [first, second] = SDParser.parseSearchPage(html, BASE_URL).authors;
+
+  assert.equal(first.emailDomain, 'cs.ucla.edu');
+  assert.equal(first.emailVerified, false);
+  assert.equal(second.emailVerified, true);
+});
+
+test('parseSearchPage falls back to the legacy selector set', () => {
+  const page = SDParser.parseSearchPage(readFixture('search-legacy-markup.html'), BASE_URL);
+
+  assert.equal(page.selectorSet, '2012');
+  assert.deepEqual(page.authors.map(a => a.userId), ['Old001AAAAAJ', 'Old002AAAAAJ', 'Old003AAAAAJ']);
+  assert.equal(page.authors[0].affiliation, 'University of Illinois at Urbana-Champaign');
+  assert.equal(page.authors[0].emailDomain, 'illinois.edu');
+  assert.equal(page.authors[0].citationCount, 2345);
+  assert.deepEqual(page.authors[0].interests, ['Networking']);
+  assert.equal(page.authors[0].confidence.name, SDParser.CONFIDENCE.primary);
+  assert.deepEqual(page.issues, []);
+});
+
+test('parseSearchPage reports fields missing on every card', () => {
+  const html = readFixture('search-first-page.html').replace(/gs_ai_aff/g, 'gs_ai_renamed');
+  const page = SDParser.parseSearchPage(html, BASE_URL);
+
+  assert.equal(page.authors.length, 3);
+  assert.ok(page.authors.every(a => a.affiliation === '' && a.confidence.affiliation === 0));
+  assert.deepEqual(page.issues, [
+    { pageKind: 'search', field: 'affiliation', kind: 'missing', selectorSet: '2017', count: 3 }
+  ]);
+});
+
+test('parseSearchPage reports fields only found by fallbacks or heuristics', () => {
+  const html = readFixture('search-first-page.html').replace(/class="gs_ai_cby"/g, 'class="gs_ai_stats"');
+  const page = SDParser.parseSearchPage(html, BASE_URL);
+
+  assert.equal(page.authors[0].citationCount, 61234);
+  assert.equal(page.authors[0].confidence.citations, SDParser.CONFIDENCE.heuristic);
+  assert.deepEqual(page.issues, [
+    { pageKind: 'search', field: 'citations', kind: 'fallback', selectorSet: '2017', count: 2 }
+  ]);
+});
+
+test('parseSearchResults returns no authors for empty and CAPTCHA pages', () => {
+  assert.deepEqual(SDParser.parseSearchResults(readFixture('search-no-results.html'), BASE_URL), []);
+  assert.deepEqual(SDParser.parseSearchResults(readFixture('captcha.html'), BASE_URL), []);
+});
+
+test('hasResults tells result pages from empty ones', () => {
+  assert.equal(SDParser.hasResults(readFixture('search-first-page.html')), true);
+  assert.equal(SDParser.hasResults(readFixture('search-no-results.html')), false);
+  assert.equal(SDParser.hasResults(readFixture('captcha.html')), false);
+});
+
+test('extractNextPageToken reads the Next button onclick', () => {
+  const next = SDParser.extractNextPageToken(readFixture('search-first-page.html'));
+  assert.equal(next.token, 'L8YQAP3___8J');
+  assert.equal(next.pattern, 'next_button');
+  assert.equal(next.confidence, 1);
+  assert.deepEqual(next.issues, []);
+
+  assert.equal(SDParser.extractNextPageToken(readFixture('search-zh-cn.html')).token, 'Zh2XAAAAAAAJ');
+});
+
+test('extractNextPageToken reads legacy Next links', () => {
+  const next = SDParser.extractNextPageToken(readFixture('search-legacy-markup.html'));
+  assert.equal(next.token, 'OldTok42');
+  assert.equal(next.pattern, 'next_button');
+});
+
+test('extractNextPageToken falls back to cstart and start parameters', () => {
+  const cstart = SDParser.extractNextPageToken(readFixture('search-cstart-pagination.html'));
+  assert.equal(cstart.token, 'cstart:20');
+  assert.equal(cstart.pattern, 'cstart');
+
+  const start = SDParser.extractNextPageToken(readFixture('search-start-pagination.html'));
+  assert.equal(start.token, '10');
+  assert.equal(start.pattern, 'start');
+});
+
+test('extractNextPageToken finds no token on the last page', () => {
+  const next = SDParser.extractNextPageToken(readFixture('search-last-page.html'));
+  assert.equal(next.token, null);
+  assert.equal(next.confidence, 0);
+  assert.deepEqual(next.issues, []);
+});
+
+test('extractNextPageToken reports an enabled Next button without a token', () => {
+  const html = readFixture('search-first-page.html').replace(/after_author\\x3d[^\\]+/, 'next_key\\x3dabc');
+  const next = SDParser.extractNextPageToken(html);
+  assert.equal(next.token, null);
+  assert.deepEqual(next.issues, [
+    { pageKind: 'search', field: 'nextToken', kind: 'missing', selectorSet: null }
+  ]);
+});
+
+test('buildSearchUrl encodes the name and each token format', () => {
+  const base = `${BASE_URL}/citations?view_op=search_authors&mauthors=Jos%C3%A9%20Garc%C3%ADa`;
+  assert.equal(SDParser.buildSearchUrl(BASE_URL, 'José García'), base);
+  assert.equal(SDParser.buildSearchUrl(BASE_URL, 'José García', 'L8YQAP3___8J'), `${base}&after_author=L8YQAP3___8J`);
+  assert.equal(SDParser.buildSearchUrl(BASE_URL, 'José García', 'cstart:20'), `${base}&cstart=20`);
+  assert.equal(SDParser.buildSearchUrl(BASE_URL, 'José García', '10'), `${base}&start=10`);
+});
+
+test('splitResultCards cuts a page into cards with user IDs', () => {
+  const cards = SDParser.splitResultCards(readFixture('search-first-page.html'));
+
+  assert.deepEqual(cards.map(card => card.userId), ['Abc123AAAAAJ', 'Def-456AAAAJ', 'Ghi_789AAAAJ']);
+  assert.ok(cards.every(card => card.html.startsWith('<div class="gsc_1usr')));
+  assert.ok(!cards[2].html.includes('gsc_authors_bottom_pag'));
+});
+
+test('summarizeCard reads name and affiliation from either markup', () => {
+  const [current] = SDParser.splitResultCards(readFixture('search-first-page.html'));
+  const [legacy] = SDParser.splitResultCards(readFixture('search-legacy-markup.html'));
+
+  assert.deepEqual(SDParser.summarizeCard(current.html), {
+    name: 'Wei Wang',
+    affiliation: 'Professor of Computer Science, University of California, Los Angeles'
+  });
+  assert.deepEqual(SDParser.summarizeCard(legacy.html), {
+    name: 'Wei Wang',
+    affiliation: 'University of Illinois at Urbana-Champaign'
+  });
+});
+
+test('extractUserIdFromUrl handles encoded and relative URLs', () => {
+  assert.equal(SDParser.extractUserIdFromUrl('/citations?hl=en&amp;user=Abc123AAAAAJ'), 'Abc123AAAAAJ');
+  assert.equal(SDParser.extractUserIdFromUrl('https://scholar.google.com/citations?user=Def-456AAAAJ&hl=en'), 'Def-456AAAAJ');
+  assert.equal(SDParser.extractUserIdFromUrl('/citations?view_op=search_authors'), null);
+});
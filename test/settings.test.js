@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+
+globalThis.chrome = createFakeChrome().chrome;
+const SDSettings = require('../src/lib/settings.js');
+
+test('normalize fills in defaults for missing settings', () => {
+  const settings = SDSettings.normalize({ pageSize: 20 });
+
+  assert.equal(settings.pageSize, 20);
+  assert.equal(settings.loadAllMaxPages, SDSettings.DEFAULT_SETTINGS.loadAllMaxPages);
+  assert.deepEqual(settings.cardFields, SDSettings.DEFAULT_SETTINGS.cardFields);
+});
+
+test('normalize clamps numbers to their limits', () => {
+  const settings = SDSettings.normalize({ loadAllMaxPages: 1000, requestSpacingMs: 10, pageSize: 'many' });
+
+  assert.equal(settings.loadAllMaxPages, SDSettings.LIMITS.loadAllMaxPages.max);
+  assert.equal(settings.requestSpacingMs, SDSettings.LIMITS.requestSpacingMs.min);
+  assert.equal(settings.pageSize, SDSettings.DEFAULT_SETTINGS.pageSize);
+});
+
+test('normalize only accepts Scholar domains the extension can reach', () => {
+  assert.equal(SDSettings.normalize({ scholarDomain: 'scholar.google.de' }).scholarDomain, 'scholar.google.de');
+  assert.equal(SDSettings.normalize({ scholarDomain: 'example.com' }).scholarDomain, 'scholar.google.com');
+});
+
+test('save stores normalized settings and load reads them back', async () => {
+  const saved = await SDSettings.save({ loadAllMaxPages: 0 });
+  assert.equal(saved.loadAllMaxPages, 1);
+
+  const loaded = await SDSettings.load();
+  assert.deepEqual(loaded, saved);
+});
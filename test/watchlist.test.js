@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+
+globalThis.chrome = createFakeChrome().chrome;
+const SDWatchlist = require('../src/lib/watchlist.js');
+
+const profile = (userId, name = 'Wei Wang') => ({ userId, name, affiliation: '' });
+
+test('entryId ignores case and spacing', () => {
+  assert.equal(SDWatchlist.entryId('  Wei   WANG '), 'wei wang');
+});
+
+test('add keeps one entry per name and remove deletes it', async () => {
+  const first = await SDWatchlist.add('Wei Wang', 'Abc123AAAAAJ');
+  const again = await SDWatchlist.add('wei  wang');
+
+  assert.equal(again.addedAt, first.addedAt);
+  assert.equal(again.userId, 'Abc123AAAAAJ');
+  assert.equal(first.knownUserIds, null);
+  assert.deepEqual(Object.keys(await SDWatchlist.loadAll()), ['wei wang']);
+
+  await SDWatchlist.remove('wei wang');
+  assert.deepEqual(await SDWatchlist.loadAll(), {});
+});
+
+test('update ignores entries removed meanwhile', async () => {
+  assert.equal(await SDWatchlist.update('nobody', { lastChecked: 1 }), null);
+  assert.deepEqual(await SDWatchlist.loadAll(), {});
+});
+
+test('the first snapshot reports nothing as new', () => {
+  const entry = { knownUserIds: null, newProfiles: [] };
+  const { changes, added } = SDWatchlist.diffSnapshot(entry, [profile('A'), profile('B'), profile(null), profile('A')], 100);
+
+  assert.deepEqual(added, []);
+  assert.deepEqual(changes.knownUserIds, ['A', 'B']);
+  assert.equal(changes.lastChecked, 100);
+});
+
+test('later snapshots report only unseen user IDs, newest first', () => {
+  const entry = { knownUserIds: ['A', 'B'], newProfiles: [{ ...profile('X'), foundAt: 50 }] };
+  const { changes, added } = SDWatchlist.diffSnapshot(entry, [profile('A'), profile('C', 'Wang Wei')], 200);
+
+  assert.deepEqual(added, [{ ...profile('C', 'Wang Wei'), foundAt: 200 }]);
+  assert.deepEqual(changes.newProfiles.map(p => p.userId), ['C', 'X']);
+  assert.deepEqual(changes.knownUserIds, ['A', 'B', 'C'], 'profiles missing from this check stay known');
+});